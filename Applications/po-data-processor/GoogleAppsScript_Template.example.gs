@@ -2,7 +2,8 @@
  * Google Apps Script - Automated PDF Processing for Google Drive
  * 
  * Manages the complete workflow:
- * 1. Lists customer PDFs from WEBSITE_APP/CustomerData/Beals/New/
+ * 1. Lists customer PDFs from WEBSITE_APP/CustomerData/<retailer>/New/ (Beals unless
+ *    the request names another retailerFolder)
  * 2. Fetches vendor data from WEBSITE_APP/VendorData/
  * 3. Saves processed output to designated folders
  * 4. Moves processed PDFs to archive (Old folder)
@@ -50,7 +51,8 @@ const FOLDER_STRUCTURE = {
   customerOld: ['CustomerData', 'Beals', 'Old'],
   vendorData: ['VendorData'],
   vendorNew: ['VendorData', 'New'],
-  vendorProcessed: ['VendorData', 'Processed']
+  vendorProcessed: ['VendorData', 'Processed'],
+  templates: ['Templates']
 };
 
 const PO_LIST_CONFIG = {
@@ -70,17 +72,19 @@ function doGet(e) {
     const action = e.parameter.action || 'status';
     
     if (action === 'status') {
-      return getStatus();
+      return getStatus(e);
     } else if (action === 'list-customer-pdfs') {
-      return listCustomerPDFs();
+      return listCustomerPDFs(e);
     } else if (action === 'list-vendor-data') {
       return listVendorData();
     } else if (action === 'download-vendor-file') {
       return downloadVendorFile();
     } else if (action === 'download-customer-data-only') {
-      return downloadLatestCustomerDataOnly();
+      return downloadLatestCustomerDataOnly(e);
     } else if (action === 'download-po-list') {
-      return downloadPoListWorkbook();
+      return downloadPoListWorkbook(e);
+    } else if (action === 'list-templates') {
+      return listLayoutTemplates();
     } else if (action === 'download') {
       return downloadFile(e.parameter.fileId);
     } else if (action === 'archive-pdfs') {
@@ -123,7 +127,7 @@ function doPost(e) {
 function processOrder(e) {
   try {
     // Step 1: Get all customer PDFs from New folder
-    const customerFolder = navigateToFolder(FOLDER_STRUCTURE.customerNew);
+    const customerFolder = navigateToFolder(retailerPath(e, FOLDER_STRUCTURE.customerNew));
     const pdfFiles = customerFolder.getFilesByType(MimeType.PDF);
     const pdfList = [];
     const pdfIds = [];
@@ -172,9 +176,10 @@ function processOrder(e) {
 /**
  * Get system status and folder structure
  */
-function getStatus() {
+function getStatus(e) {
   try {
-    const customerNewFolder = navigateToFolder(FOLDER_STRUCTURE.customerNew);
+    const customerNewPath = retailerPath(e, FOLDER_STRUCTURE.customerNew);
+    const customerNewFolder = navigateToFolder(customerNewPath);
     const vendorNewFolder = navigateToFolder(FOLDER_STRUCTURE.vendorNew);
     
     const customerPdfCount = countFiles(customerNewFolder, MimeType.PDF);
@@ -183,7 +188,7 @@ function getStatus() {
     return success({
       system: 'ready',
       folders: {
-        customerNew: FOLDER_STRUCTURE.customerNew.join('/'),
+        customerNew: customerNewPath.join('/'),
         vendorNew: FOLDER_STRUCTURE.vendorNew.join('/')
       },
       stats: {
@@ -199,9 +204,10 @@ function getStatus() {
 /**
  * List all customer PDFs in New folder
  */
-function listCustomerPDFs() {
+function listCustomerPDFs(e) {
   try {
-    const folder = navigateToFolder(FOLDER_STRUCTURE.customerNew);
+    const folderPath = retailerPath(e, FOLDER_STRUCTURE.customerNew);
+    const folder = navigateToFolder(folderPath);
     const files = folder.getFilesByType(MimeType.PDF);
     const pdfList = [];
     
@@ -218,7 +224,7 @@ function listCustomerPDFs() {
     pdfList.sort((a, b) => new Date(b.modifiedDate) - new Date(a.modifiedDate));
     
     return success({
-      folderPath: FOLDER_STRUCTURE.customerNew.join('/'),
+      folderPath: folderPath.join('/'),
       count: pdfList.length,
       files: pdfList
     });
@@ -304,9 +310,9 @@ function downloadVendorFile() {
 /**
  * Download the latest processed customer data file from CustomerDataOnly folder
  */
-function downloadLatestCustomerDataOnly() {
+function downloadLatestCustomerDataOnly(e) {
   try {
-    const folder = navigateToFolder(FOLDER_STRUCTURE.customerProcessedOnly);
+    const folder = navigateToFolder(retailerPath(e, FOLDER_STRUCTURE.customerProcessedOnly));
     const files = folder.getFiles();
     let latestFile = null;
     let latestDate = null;
@@ -381,7 +387,8 @@ function uploadMergedCustomerVendorData(e) {
     const finalFileName = `${fileName}_${timestamp}.xlsx`;
     
     // Navigate to CustomerAndVendorData folder
-    const targetFolder = navigateToFolder(FOLDER_STRUCTURE.customerAndVendorData);
+    const folderPath = retailerPath(e, FOLDER_STRUCTURE.customerAndVendorData);
+    const targetFolder = navigateToFolder(folderPath);
     
     // Decode base64 and create blob
     const decodedData = Utilities.base64Decode(fileData);
@@ -394,7 +401,7 @@ function uploadMergedCustomerVendorData(e) {
       message: 'Merged file uploaded successfully to Google Drive',
       fileName: finalFileName,
       fileId: file.getId(),
-      folder: FOLDER_STRUCTURE.customerAndVendorData.join('/'),
+      folder: folderPath.join('/'),
       timestamp: timestamp,
       driveUrl: 'https://drive.google.com/drive/folders/' + targetFolder.getId()
     });
@@ -485,7 +492,8 @@ function uploadProcessedCustomerData(e) {
     const finalFileName = `${fileName}_${timestamp}.xlsx`;
     
     // Navigate to CustomerDataOnly folder
-    const targetFolder = navigateToFolder(FOLDER_STRUCTURE.customerProcessedOnly);
+    const folderPath = retailerPath(e, FOLDER_STRUCTURE.customerProcessedOnly);
+    const targetFolder = navigateToFolder(folderPath);
     
     // Decode base64 and create blob
     const decodedData = Utilities.base64Decode(fileData);
@@ -498,7 +506,7 @@ function uploadProcessedCustomerData(e) {
       message: 'File uploaded successfully to Google Drive',
       fileName: finalFileName,
       fileId: file.getId(),
-      folder: FOLDER_STRUCTURE.customerProcessedOnly.join('/'),
+      folder: folderPath.join('/'),
       timestamp: timestamp,
       driveUrl: 'https://drive.google.com/drive/folders/' + targetFolder.getId()
     });
@@ -511,13 +519,14 @@ function uploadProcessedCustomerData(e) {
 /**
  * Download PO running list workbook by exact filename from Processed folder
  */
-function downloadPoListWorkbook() {
+function downloadPoListWorkbook(e) {
   try {
-    const folder = navigateToFolder(PO_LIST_CONFIG.folderPath);
+    const folderPath = retailerPath(e, PO_LIST_CONFIG.folderPath);
+    const folder = navigateToFolder(folderPath);
     const files = folder.getFilesByName(PO_LIST_CONFIG.fileName);
 
     if (!files.hasNext()) {
-      return error(`PO list template not found: ${PO_LIST_CONFIG.fileName} in ${PO_LIST_CONFIG.folderPath.join('/')}`);
+      return error(`PO list template not found: ${PO_LIST_CONFIG.fileName} in ${folderPath.join('/')}`);
     }
 
     const file = files.next();
@@ -529,13 +538,44 @@ function downloadPoListWorkbook() {
       mimeType: blob.getContentType(),
       data: base64,
       fileId: file.getId(),
-      folder: PO_LIST_CONFIG.folderPath.join('/')
+      folder: folderPath.join('/')
     });
   } catch (err) {
     return error('Error downloading PO list workbook: ' + err.toString());
   }
 }
 
+/**
+ * List the layout templates (.json files) in the Templates folder
+ * A missing folder just means no templates.
+ */
+function listLayoutTemplates() {
+  try {
+    let folder;
+    try {
+      folder = navigateToFolder(FOLDER_STRUCTURE.templates);
+    } catch (err) {
+      return success({ templates: [] });
+    }
+    
+    const templates = [];
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (!/\.json$/i.test(file.getName())) continue;
+      templates.push({
+        fileName: file.getName(),
+        content: file.getBlob().getDataAsString()
+      });
+    }
+    templates.sort((a, b) => a.fileName.localeCompare(b.fileName));
+    
+    return success({ templates });
+  } catch (err) {
+    return error('Error listing layout templates: ' + err.toString());
+  }
+}
+
 /**
  * Upload updated PO running list workbook (overwrite by exact filename)
  */
@@ -558,7 +598,8 @@ function uploadPoListWorkbook(e) {
       fileData = fileData.split('base64,')[1];
     }
 
-    const targetFolder = navigateToFolder(PO_LIST_CONFIG.folderPath);
+    const folderPath = retailerPath(e, PO_LIST_CONFIG.folderPath);
+    const targetFolder = navigateToFolder(folderPath);
 
     // Keep only one canonical file by moving existing matches to trash
     const existingFiles = targetFolder.getFilesByName(fileName);
@@ -579,7 +620,7 @@ function uploadPoListWorkbook(e) {
       message: 'PO list workbook uploaded successfully',
       fileName: fileName,
       fileId: file.getId(),
-      folder: PO_LIST_CONFIG.folderPath.join('/'),
+      folder: folderPath.join('/'),
       driveUrl: 'https://drive.google.com/drive/folders/' + targetFolder.getId()
     });
   } catch (err) {
@@ -600,8 +641,8 @@ function archiveProcessedPDFsFromGet(e) {
       return error('No PDF IDs provided');
     }
     
-    const newFolder = navigateToFolder(FOLDER_STRUCTURE.customerNew);
-    const oldFolder = navigateToFolder(FOLDER_STRUCTURE.customerOld);
+    const newFolder = navigateToFolder(retailerPath(e, FOLDER_STRUCTURE.customerNew));
+    const oldFolder = navigateToFolder(retailerPath(e, FOLDER_STRUCTURE.customerOld));
     
     let movedCount = 0;
     processedPdfIds.forEach(fileId => {
@@ -657,6 +698,21 @@ function navigateToFolder(pathArray) {
   return currentFolder;
 }
 
+/**
+ * Helper: Swap the retailer folder (CustomerData/<retailer>/...) for the one
+ * requested by the app's retailer profile, if any
+ */
+function retailerPath(e, pathArray) {
+  const retailerFolder = e && e.parameter ? (e.parameter.retailerFolder || '').trim() : '';
+  if (!retailerFolder) {
+    return pathArray;
+  }
+  if (!/^[\w .&-]+$/.test(retailerFolder)) {
+    throw new Error('Invalid retailer folder: ' + retailerFolder);
+  }
+  return pathArray.map((name, i) => (i === 1 && pathArray[0] === 'CustomerData') ? retailerFolder : name);
+}
+
 /**
  * Helper: Count files in folder
  */
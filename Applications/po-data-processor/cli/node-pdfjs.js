@@ -0,0 +1,35 @@
+/**
+ * pdfjs-dist set up for Node
+ * Used by the command line and the golden-file tests to inject pdf.js into
+ * converter.js with configure({ pdfjsLib }).
+ */
+
+'use strict';
+
+const path = require('path');
+
+/**
+ * The pdfjs-dist legacy build, quiet and able to find its standard fonts
+ */
+function loadPdfjs() {
+  // pdf.js warns on load that canvas (only needed for rendering) is missing,
+  // before its verbosity can be set, so mute console.log just for the require
+  const log = console.log;
+  console.log = () => {};
+  let pdfjs;
+  try {
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  } finally {
+    console.log = log;
+  }
+  pdfjs.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js');
+
+  // Node has no fetch for the standard fonts, so point pdf.js at the package copy
+  const standardFontDataUrl = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+  return {
+    ...pdfjs,
+    getDocument: params => pdfjs.getDocument({ ...params, standardFontDataUrl, verbosity: pdfjs.VerbosityLevel.ERRORS })
+  };
+}
+
+module.exports = { loadPdfjs };
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+/**
+ * Headless combined workflow
+ * Runs what the page's "Process & Merge" button does, on local files: the
+ * PDF folder becomes the customer workbook, which is merged with the vendor
+ * CSV/XLSX, and the PO lines are appended to PO#List.xlsx (updated in place).
+ * Workbooks are written to CustomerDataOnly/ and CustomerAndVendorData/
+ * under --out, named {folder}_{count}_{timestamp}.xlsx as on Google Drive.
+ * A JSON summary goes to stdout; progress and parser logs go to stderr.
+ *
+ *   node cli/po-data-processor.js <pdf-folder> --vendor <file.csv|.xlsx>
+ *     --po-list <PO#List.xlsx> [--out <dir>] [--profile <id>]
+ *     [--templates <file.json|dir>]... [--layout <file.json>] [--size-matrix]
+ *     [--block-on-failures] [--conflicts first|latest|split] [--long] [--export]
+ *
+ * With --export the run is also written as JSON and CSV (js/po-export.js) to
+ * Exports/ under --out, named like the workbooks.
+ * With --block-on-failures nothing is written when any PDF failed or gave
+ * no usable lines (the summary's "files" list says why).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { loadPdfjs } = require('./node-pdfjs.js');
+
+const USAGE = 'Usage: po-data-processor <pdf-folder> --vendor <file.csv|.xlsx> --po-list <PO#List.xlsx> [--out <dir>] [--profile <id>] [--templates <file.json|dir>]... [--layout <file.json>] [--size-matrix] [--block-on-failures] [--conflicts first|latest|split] [--long] [--export]';
+
+// Output folders, as in Google Drive under CustomerData/<retailer>/Processed
+const OUTPUT_FOLDERS = {
+  customer: 'CustomerDataOnly',
+  merged: 'CustomerAndVendorData',
+  exports: 'Exports'
+};
+
+/**
+ * Generate timestamp in YYYYMMDD_HHMMSS format
+ */
+function generateTimestamp() {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+  const seconds = String(now.getSeconds()).padStart(2, '0');
+  return `${year}${month}${day}_${hours}${minutes}${seconds}`;
+}
+
+/**
+ * Command line arguments as { pdfFolder, vendor, poList, out, profile, templates, layout, sizeMatrix, blockOnFailures, conflicts, long, exportData }
+ */
+function parseArgs(argv) {
+  const args = { out: '.', profile: 'auto', templates: [], sizeMatrix: false, blockOnFailures: false, conflicts: 'first', long: false, exportData: false };
+  const valueFlags = { '--vendor': 'vendor', '--po-list': 'poList', '--out': 'out', '--profile': 'profile', '--layout': 'layout', '--conflicts': 'conflicts' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--size-matrix') {
+      args.sizeMatrix = true;
+    } else if (arg === '--block-on-failures') {
+      args.blockOnFailures = true;
+    } else if (arg === '--long') {
+      args.long = true;
+    } else if (arg === '--export') {
+      args.exportData = true;
+    } else if (arg === '--templates' || valueFlags[arg]) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      if (arg === '--templates') args.templates.push(value);
+      else args[valueFlags[arg]] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.pdfFolder) {
+      args.pdfFolder = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!args.pdfFolder || !args.vendor || !args.poList) {
+    throw new Error('The PDF folder, --vendor and --po-list are required');
+  }
+  if (!['first', 'latest', 'split'].includes(args.conflicts)) {
+    throw new Error('--conflicts must be first, latest or split');
+  }
+  return args;
+}
+
+/**
+ * A file's contents as an ArrayBuffer (what the page gets from File.arrayBuffer)
+ */
+function readArrayBuffer(file) {
+  const data = fs.readFileSync(file);
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * Layout templates from JSON files (or every .json file in a folder); each
+ * file holds one template or an array, like the Drive Templates/ folder
+ */
+function readLayoutTemplates(sources) {
+  const templates = [];
+  for (const source of sources) {
+    const files = fs.statSync(source).isDirectory()
+      ? fs.readdirSync(source).filter(name => name.toLowerCase().endsWith('.json')).sort().map(name => path.join(source, name))
+      : [source];
+    for (const file of files) {
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        throw new Error(`Layout template ${file} is not valid JSON: ${err.message}`);
+      }
+      templates.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+    }
+  }
+  return templates;
+}
+
+/**
+ * Write a workbook ArrayBuffer (or text) to <out>/<folder>/<fileName>
+ */
+function writeOutput(out, folder, fileName, buffer) {
+  const dir = path.join(out, folder);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, fileName);
+  fs.writeFileSync(file, typeof buffer === 'string' ? buffer : Buffer.from(buffer));
+  return file;
+}
+
+async function run(args) {
+  const converter = require('../js/converter.js').configure({ pdfjsLib: loadPdfjs(), ExcelJS });
+  const POList = require('../js/po-list.js');
+  const POExport = require('../js/po-export.js');
+
+  const pdfFolder = path.resolve(args.pdfFolder);
+  const pdfNames = fs.readdirSync(pdfFolder).filter(name => name.toLowerCase().endsWith('.pdf')).sort();
+  if (pdfNames.length === 0) {
+    throw new Error(`No PDF files found in ${pdfFolder}`);
+  }
+  const files = pdfNames.map(name => ({ name, data: new Uint8Array(fs.readFileSync(path.join(pdfFolder, name))) }));
+  const parentFolderName = path.basename(pdfFolder);
+  const fileCount = files.length;
+
+  // Output layout for the PO Data sheet, used again by the vendor merge
+  const layout = args.layout ? JSON.parse(fs.readFileSync(args.layout, 'utf8')) : null;
+
+  // Layout templates are checked once, before any PDF is read
+  const layoutTemplates = converter.filterLayoutTemplates(readLayoutTemplates(args.templates));
+  if (layoutTemplates.errors.length > 0) {
+    throw new Error(`Invalid layout template(s): ${layoutTemplates.errors.join('; ')}`);
+  }
+
+  console.log(`Processing ${fileCount} PDF file(s) from ${pdfFolder}...`);
+  const conversionResult = await converter.convertMultiplePdfsToExcel(files, {
+    includeRecords: true,
+    profile: args.profile,
+    templates: layoutTemplates.templates,
+    sizeMatrix: args.sizeMatrix,
+    layout,
+    conflictPolicy: args.conflicts,
+    outputMode: args.long ? converter.OUTPUT_MODE.LONG : converter.OUTPUT_MODE.WIDE,
+    onProgress: ({ completed, total }) => console.log(`${completed}/${total} done.`)
+  });
+  const poLineRecords = conversionResult.records || [];
+  const poRevisions = conversionResult.poRevisions || [];
+  const fileOutcomes = conversionResult.sources.map(({ name, status, message, strategies }) => ({ name, status, message, strategies }));
+  const failedFiles = fileOutcomes.filter(file => file.status !== converter.FILE_STATUS.OK);
+  if (failedFiles.length > 0 && args.blockOnFailures) {
+    const error = new Error(`${failedFiles.length} of ${fileCount} PDF file(s) failed or gave no usable lines; nothing was written`);
+    error.sources = conversionResult.sources;
+    throw error;
+  }
+
+  const timestamp = generateTimestamp();
+  const fileName = `${parentFolderName}_${fileCount}_${timestamp}.xlsx`;
+  const customerBuffer = await converter.writeWorkbook(conversionResult.workbook);
+  const customerFile = writeOutput(args.out, OUTPUT_FOLDERS.customer, fileName, customerBuffer);
+
+  const vendorName = path.basename(args.vendor);
+  const vendorBuffer = readArrayBuffer(args.vendor);
+  const mergedWorkbook = await converter.mergeVendorData(customerBuffer, vendorBuffer, vendorName, { layout });
+  const mergedFile = writeOutput(args.out, OUTPUT_FOLDERS.merged, fileName, await converter.writeWorkbook(mergedWorkbook));
+
+  if (poLineRecords.length === 0 && poRevisions.length === 0) {
+    throw new Error('No PO line records were generated for append');
+  }
+  const vendorLookup = await converter.buildVendorLookup(vendorBuffer, vendorName);
+  const appendRows = POList.buildPoListRows(poLineRecords, vendorLookup, timestamp);
+
+  let poListResult = { appendedRows: 0, skippedRows: 0, updatedRows: 0, skippedPOList: [], skippedSourceList: [], ignoredRevisions: [] };
+  if (appendRows.length > 0 || poRevisions.length > 0) {
+    poListResult = await POList.appendRowsToWorkbook(readArrayBuffer(args.poList), appendRows, poRevisions);
+    fs.writeFileSync(args.poList, Buffer.from(poListResult.buffer));
+  }
+
+  const exportFiles = [];
+  if (args.exportData) {
+    // A mixed run has no single retailer unless one was forced
+    const retailers = [...new Set(poLineRecords.map(record => record['Retailer']).filter(Boolean))];
+    const exportDoc = POExport.buildExport(poLineRecords, {
+      poRevisions,
+      vendorLookup,
+      run: {
+        timestamp,
+        folder: parentFolderName,
+        fileCount,
+        retailer: args.profile !== 'auto' ? args.profile : (retailers.length === 1 ? retailers[0] : null),
+        vendorFile: vendorName,
+        files: conversionResult.sources
+      }
+    });
+    const baseName = fileName.replace(/\.xlsx$/, '');
+    exportFiles.push(writeOutput(args.out, OUTPUT_FOLDERS.exports, `${baseName}.json`, JSON.stringify(exportDoc, null, 2) + '\n'));
+    const csvFiles = POExport.exportToCsv(exportDoc);
+    for (const [key, suffix] of Object.entries(POExport.EXPORT_CSV_FILES)) {
+      exportFiles.push(writeOutput(args.out, OUTPUT_FOLDERS.exports, `${baseName}_${suffix}.csv`, csvFiles[key]));
+    }
+  }
+
+  const mismatches = converter.reconcilePoTotals(poLineRecords).filter(entry => !entry.ok);
+  return {
+    folder: parentFolderName,
+    fileCount,
+    failedFiles: failedFiles.length,
+    files: fileOutcomes,
+    timestamp,
+    customerWorkbook: customerFile,
+    mergedWorkbook: mergedFile,
+    poList: args.poList,
+    exports: exportFiles,
+    lines: poLineRecords.length,
+    appendedRows: poListResult.appendedRows,
+    skippedRows: poListResult.skippedRows,
+    updatedRows: poListResult.updatedRows,
+    skippedPOList: poListResult.skippedPOList,
+    skippedSourceList: poListResult.skippedSourceList,
+    ignoredRevisions: poListResult.ignoredRevisions,
+    totalMismatches: mismatches.map(entry => entry['PO #']),
+    priceConflicts: converter.findPriceConflicts(poLineRecords, args.conflicts).map(conflict => ({
+      sku: conflict['SKU'],
+      style: conflict['MFG Style'],
+      field: conflict.field,
+      values: conflict.values.map(entry => ({ value: entry.value, pos: entry.pos }))
+    }))
+  };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  // stdout carries only the JSON summary
+  console.log = console.error;
+  try {
+    const summary = await run(args);
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    // Failed runs still report each PDF's outcome
+    if (err.sources) {
+      const files = err.sources.map(({ name, status, message, strategies }) => ({ name, status, message, strategies }));
+      process.stdout.write(JSON.stringify({ files }, null, 2) + '\n');
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
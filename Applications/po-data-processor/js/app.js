@@ -12,18 +12,14 @@ const customerExcelInput = document.getElementById('customer-excel-input');
 const vendorDataInput = document.getElementById('vendor-data-input');
 const statusEl = document.getElementById('status');
 const resultPanel = document.getElementById('result-panel');
+const reviewPanel = document.getElementById('review-panel');
 const resultLink = document.getElementById('result-link');
+const fileOutcomesEl = document.getElementById('file-outcomes');
 
 let processedBlob = null;
 let processedFileName = 'merged-output.xlsx';
 let currentTimestamp = '';
-
-const PO_LIST_CONFIG = {
-  fileName: 'PO#List.xlsx',
-  startRow: 10,
-  startColumn: 2, // Column B
-  endColumn: 23   // Column W
-};
+let currentProfile = window.POProfiles.get(); // Retailer of the current run (Drive folder, prefixes)
 
 /**
  * Generate timestamp in YYYYMMDD_HHMMSS format
@@ -73,6 +69,25 @@ const PathMemory = {
   }
 };
 
+/**
+ * Pick the retailer profile for a run
+ * A manual override in settings wins; otherwise use the profile detected for
+ * most of the parsed lines (or the default profile when there are none).
+ */
+function resolveRunProfile(records = []) {
+  const override = SETUP.getRetailerProfile();
+  if (override !== 'auto') {
+    return window.POProfiles.get(override);
+  }
+  
+  const counts = {};
+  for (const record of records) {
+    if (record['Retailer']) counts[record['Retailer']] = (counts[record['Retailer']] || 0) + 1;
+  }
+  const [topId] = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  return window.POProfiles.get(topId);
+}
+
 /**
  * Show status message
  */
@@ -89,6 +104,166 @@ function showStatus(message, type = 'info', useHTML = false) {
 function clearOutputButton() {
   resultPanel.classList.remove('show');
   resultLink.innerHTML = '';
+  fileOutcomesEl.innerHTML = '';
+}
+
+/**
+ * Escape text for use in innerHTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Show each PDF's outcome (from convertMultiplePdfsToExcel's sources) as a
+ * table in the result panel; returns the entries that were not OK
+ */
+function renderFileOutcomes(sources) {
+  const failed = sources.filter(source => source.status !== window.POConverter.FILE_STATUS.OK);
+  fileOutcomesEl.innerHTML = `
+    <table class="file-outcomes">
+      <caption>${sources.length - failed.length} of ${sources.length} PDF file(s) OK</caption>
+      <thead><tr><th>File</th><th>Status</th><th>Details</th><th>Parse strategies</th></tr></thead>
+      <tbody>
+        ${sources.map(source => `
+          <tr class="file-outcome-${source.status === window.POConverter.FILE_STATUS.OK ? 'ok' : source.status === window.POConverter.FILE_STATUS.ERROR ? 'error' : 'warning'}">
+            <td>${escapeHtml(source.name)}</td>
+            <td>${escapeHtml(source.status)}</td>
+            <td>${escapeHtml(source.message)}</td>
+            <td class="file-outcome-strategies">${escapeHtml(source.strategies)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  resultPanel.classList.add('show');
+  return failed;
+}
+
+/**
+ * Collect low-confidence POs and lines for the review queue
+ * PO-level fields (dates, PO #, addresses...) are listed once per PO; SKU
+ * line fields once per line. Each entry points at the records it edits.
+ */
+function collectReviewItems(records) {
+  const itemFields = new Set(window.POConverter.ITEM_FIELDS);
+  const isLow = (record, field) => record._fields && record._fields[field] && record._fields[field].confidence === 'low';
+  const poEntries = new Map();
+  const lineEntries = [];
+  
+  records.forEach((record, index) => {
+    const flagged = Object.keys(record._fields || {}).filter(field => isLow(record, field));
+    if (flagged.length === 0) return;
+    
+    const poFields = flagged.filter(field => !itemFields.has(field));
+    const lineFields = flagged.filter(field => itemFields.has(field));
+    
+    if (poFields.length > 0) {
+      const key = `${record['PO #']}|${record['SourceFile']}|${record['Pages']}`;
+      if (!poEntries.has(key)) {
+        const recordIndexes = records
+          .map((r, i) => (`${r['PO #']}|${r['SourceFile']}|${r['Pages']}` === key ? i : -1))
+          .filter(i => i !== -1);
+        poEntries.set(key, { type: 'po', recordIndexes, fields: poFields });
+      }
+    }
+    if (lineFields.length > 0) {
+      lineEntries.push({ type: 'line', recordIndexes: [index], fields: lineFields });
+    }
+  });
+  
+  return [...poEntries.values(), ...lineEntries];
+}
+
+/**
+ * Show the review queue and wait for the user
+ * Edits are written back into the records (all records of a PO for PO-level
+ * fields). POs whose lines don't add up to their printed footer totals
+ * (from reconcilePoTotals) are listed as errors above the fields. Resolves
+ * { changed } on continue, or null if the user cancels.
+ */
+function showReviewQueue(reviewItems, records, totalMismatches = []) {
+  return new Promise(resolve => {
+    const mismatchHtml = totalMismatches.length === 0 ? '' : `
+      <div class="review-errors">
+        <strong>${totalMismatches.length} PO(s) don't match their printed totals</strong> (a SKU line may be missing or a quantity misread):
+        <ul>${totalMismatches.map(entry => {
+          const checks = entry.checks
+            .filter(check => check.status === 'MISMATCH')
+            .map(check => `${check.field} printed ${check.printed}, parsed ${check.parsed}`)
+            .join('; ');
+          const source = `${entry['SourceFile']}${entry['Pages'] ? ` p. ${entry['Pages']}` : ''}`;
+          return `<li>PO ${escapeHtml(entry['PO #'] || '(no PO #)')} (${escapeHtml(source)}): ${escapeHtml(checks)}</li>`;
+        }).join('')}</ul>
+      </div>`;
+
+    const entriesHtml = reviewItems.map((entry, entryIdx) => {
+      const record = records[entry.recordIndexes[0]];
+      const source = `${record['SourceFile'] || ''}${record['Pages'] ? ` p. ${record['Pages']}` : ''}`;
+      const title = entry.type === 'po'
+        ? `PO ${record['PO #'] || '(no PO #)'}`
+        : `PO ${record['PO #'] || '(no PO #)'} · line ${record['Line']} · SKU ${record['SKU'] || '?'} · read by ${record['ParseStrategy'] || '?'}`;
+      
+      const fieldsHtml = entry.fields.map(field => {
+        const info = record._fields[field];
+        return `
+          <div class="review-field">
+            <label>${escapeHtml(field)}</label>
+            <input type="text" data-entry="${entryIdx}" data-field="${escapeHtml(field)}" value="${escapeHtml(record[field])}" />
+            <div class="review-note">${escapeHtml(info.note || 'low confidence')}</div>
+            ${info.source.length > 0 ? `<pre class="review-source">${escapeHtml(info.source.join('\n'))}</pre>` : ''}
+          </div>`;
+      }).join('');
+      
+      return `
+        <div class="review-entry">
+          <div class="review-title">${escapeHtml(title)} <span>${escapeHtml(source)}</span></div>
+          ${fieldsHtml}
+        </div>`;
+    }).join('');
+    
+    reviewPanel.innerHTML = `
+      <h2>Review before upload</h2>
+      <p>${reviewItems.length > 0
+        ? `${reviewItems.length} PO(s)/line(s) have fields that were missing or read with low confidence. Correct them below, or continue to upload as-is.`
+        : 'Check the POs below against their PDFs. Cancel the upload to fix them first, or continue to upload as-is.'}</p>
+      ${mismatchHtml}
+      ${entriesHtml}
+      <div class="review-actions">
+        <button id="review-cancel-btn" class="btn btn-secondary">Cancel Upload</button>
+        <button id="review-continue-btn" class="btn btn-primary">Continue</button>
+      </div>
+    `;
+    reviewPanel.classList.add('show');
+    
+    const finish = (result) => {
+      reviewPanel.classList.remove('show');
+      reviewPanel.innerHTML = '';
+      resolve(result);
+    };
+    
+    document.getElementById('review-cancel-btn').addEventListener('click', () => finish(null));
+    document.getElementById('review-continue-btn').addEventListener('click', () => {
+      let changed = false;
+      reviewPanel.querySelectorAll('input[data-entry]').forEach(input => {
+        const entry = reviewItems[parseInt(input.dataset.entry, 10)];
+        const field = input.dataset.field;
+        const value = input.value.trim();
+        for (const index of entry.recordIndexes) {
+          const record = records[index];
+          if (String(record[field] ?? '') === value) continue;
+          record[field] = value;
+          record._fields[field] = { ...record._fields[field], confidence: 'high', note: 'corrected in review' };
+          changed = true;
+        }
+      });
+      finish({ changed });
+    });
+  });
 }
 
 /**
@@ -133,8 +308,9 @@ if (combinedBtn) {
  */
 if (vendorBtn) {
   vendorBtn.addEventListener('click', async () => {
+    currentProfile = resolveRunProfile();
     showStatus('Fetching customer data from Google Drive...', 'loading');
-    resultPanel.classList.remove('show');
+    clearOutputButton();
     customerBtn.disabled = true;
     vendorBtn.disabled = true;
     combinedBtn.disabled = true;
@@ -202,7 +378,7 @@ if (vendorDataInput) {
   
   // Process the vendor merge CLIENT-SIDE
   showStatus(`Processing vendor merge... Please wait.`, 'loading');
-  resultPanel.classList.remove('show');
+  clearOutputButton();
   customerBtn.disabled = true;
   vendorBtn.disabled = true;
   combinedBtn.disabled = true;
@@ -216,7 +392,8 @@ if (vendorDataInput) {
     const mergedWorkbook = await window.POConverter.mergeVendorData(
       customerBuffer,
       vendorBuffer,
-      vendorMergeState.vendorFile.name
+      vendorMergeState.vendorFile.name,
+      { layout: SETUP.getOutputLayout() }
     );
     
     // Convert workbook to blob
@@ -284,7 +461,7 @@ if (fileInput) {
   console.log('Number of files: ' + files.length);
   
   showStatus(`Processing ${files.length} PDF file(s)... Please wait.`, 'loading');
-  resultPanel.classList.remove('show');
+  clearOutputButton();
   customerBtn.disabled = true;
   vendorBtn.disabled = true;
   combinedBtn.disabled = true;
@@ -293,18 +470,73 @@ if (fileInput) {
   let customerDataBlob = null;
   let customerDataFileName = null;
   let poLineRecords = [];
+  let poRevisions = [];
+  let driveTemplates = { templates: [], errors: [] };
   const fileCount = files.length;
   
   try {
     // Use client-side converter (no server)
-    let workbook;
-    if (isCombined) {
-      const conversionResult = await window.POConverter.convertMultiplePdfsToExcel(files, { includeRecords: true });
-      workbook = conversionResult.workbook;
-      poLineRecords = conversionResult.records || [];
-    } else {
-      workbook = await window.POConverter.convertMultiplePdfsToExcel(files);
+    driveTemplates = await fetchLayoutTemplatesFromDrive();
+    const conversionResult = await window.POConverter.convertMultiplePdfsToExcel(files, {
+      includeRecords: true,
+      profile: SETUP.getRetailerProfile(),
+      strategyOverrides: SETUP.getStrategyOverrides(),
+      templates: [...SETUP.getLayoutTemplates(), ...driveTemplates.templates],
+      sizeMatrix: SETUP.getSizeMatrix(),
+      layout: SETUP.getOutputLayout(),
+      conflictPolicy: SETUP.getConflictPolicy(),
+      outputMode: SETUP.getOutputMode(),
+      onProgress: ({ completed, total }) => {
+        showStatus(`Processing ${total} PDF file(s)... ${completed}/${total} done.`, 'loading');
+      }
+    });
+    let workbook = conversionResult.workbook;
+    poLineRecords = conversionResult.records || [];
+    poRevisions = conversionResult.poRevisions || [];
+    currentProfile = resolveRunProfile(poLineRecords);
+    console.log('Retailer profile: ' + currentProfile.name);
+    
+    // Per-file outcomes stay in the result panel for the rest of the run
+    const failedFiles = renderFileOutcomes(conversionResult.sources || []);
+    if (failedFiles.length > 0 && SETUP.getBlockOnFailures()) {
+      showStatus(`Upload blocked: ${failedFiles.length} of ${fileCount} PDF file(s) failed or gave no usable lines (see the table below). Nothing was sent to Google Drive.`, 'error');
+      return;
     }
+    const failedNote = failedFiles.length > 0 ? ` ${failedFiles.length} PDF file(s) failed or gave no usable lines - see the Processing Log sheet.` : '';
+    
+    // Nothing goes to Drive until low-confidence fields and POs that don't
+    // add up to their printed totals have been looked at
+    const reviewItems = collectReviewItems(poLineRecords);
+    const totalMismatches = window.POConverter.reconcilePoTotals(poLineRecords).filter(entry => !entry.ok);
+    if (reviewItems.length > 0 || totalMismatches.length > 0) {
+      showStatus(`${reviewItems.length} PO(s)/line(s) need review and ${totalMismatches.length} PO(s) don't match their printed totals.`, totalMismatches.length > 0 ? 'error' : 'info');
+      const review = await showReviewQueue(reviewItems, poLineRecords, totalMismatches);
+      if (!review) {
+        showStatus('Upload cancelled. Nothing was sent to Google Drive.', 'info');
+        return;
+      }
+      if (review.changed) {
+        // Same inputs as the first build, with the corrected lines
+        workbook = window.POConverter.buildCustomerWorkbook(poLineRecords, conversionResult.buildOptions);
+      }
+    }
+    
+    // Scanned PDFs are read via OCR - remind the user to double-check them
+    const ocrFiles = [...new Set(poLineRecords.filter(r => r['TextSource'] === 'OCR').map(r => r['SourceFile']))];
+    const ocrNote = ocrFiles.length > 0 ? ` ${ocrFiles.length} scanned file(s) read via OCR - please double-check: ${ocrFiles.join(', ')}.` : '';
+    if (ocrFiles.length > 0) {
+      console.log('OCR-derived files: ' + ocrFiles.join(', '));
+    }
+    const remainingMismatches = window.POConverter.reconcilePoTotals(poLineRecords).filter(entry => !entry.ok);
+    const totalsNote = remainingMismatches.length > 0
+      ? ` ${remainingMismatches.length} PO(s) don't match their printed totals - see the Reconciliation sheet: ${remainingMismatches.map(entry => entry['PO #']).join(', ')}.`
+      : '';
+    const conflictSkus = [...new Set(window.POConverter.findPriceConflicts(poLineRecords).map(conflict => conflict['SKU'] || conflict['MFG Style']))];
+    const conflictsNote = conflictSkus.length > 0
+      ? ` ${conflictSkus.length} SKU(s) have a different cost, retail or pack qty on different POs - see the Conflicts sheet: ${conflictSkus.join(', ')}.`
+      : '';
+    const templateNote = layoutTemplateNote([...driveTemplates.errors, ...(conversionResult.templateErrors || [])]);
+    const runNotes = templateNote + failedNote + ocrNote + totalsNote + conflictsNote;
     
     // Convert workbook to blob
     const buffer = await workbook.xlsx.writeBuffer();
@@ -318,11 +550,9 @@ if (fileInput) {
     
     console.log('Customer data filename: ' + customerDataFileName);
     
-    resultPanel.classList.remove('show');
-    
     // If combined workflow, fetch vendor data and merge, but also upload customer data
     if (isCombined) {
-      showStatus(`✓ Processed ${fileCount} PDF file(s). Uploading customer data...`, 'loading');
+      showStatus(`✓ Processed ${fileCount} PDF file(s). Uploading customer data...${runNotes}`, 'loading');
       
       // Upload customer data first
       console.log('Combined workflow: uploading customer data...');
@@ -357,7 +587,8 @@ if (fileInput) {
         const mergedWorkbook = await window.POConverter.mergeVendorData(
           customerBuffer,
           vendorBuffer,
-          vendorData.name
+          vendorData.name,
+          { layout: SETUP.getOutputLayout() }
         );
         
         console.log('Merge successful, creating blob...');
@@ -383,8 +614,8 @@ if (fileInput) {
         showStatus('✓ Merged data uploaded. Appending rows to PO#List.xlsx...', 'loading');
         let poListResult;
         try {
-          poListResult = await appendRowsToPoList(poLineRecords, vendorBuffer, vendorData.name, currentTimestamp);
-          console.log(`PO#List append complete. Rows appended: ${poListResult.appendedRows}, skipped (duplicates): ${poListResult.skippedRows}`);
+          poListResult = await appendRowsToPoList(poLineRecords, vendorBuffer, vendorData.name, currentTimestamp, poRevisions);
+          console.log(`PO#List append complete. Rows appended: ${poListResult.appendedRows}, skipped (duplicates): ${poListResult.skippedRows}, updated (revisions): ${poListResult.updatedRows}`);
         } catch (poListErr) {
           console.error('PO#List append error:', poListErr);
           showStatus(`Error updating PO#List.xlsx: ${poListErr.message}`, 'error');
@@ -392,6 +623,9 @@ if (fileInput) {
         }
         
         let poListMsg = `✓ Complete — ${poListResult.appendedRows + poListResult.skippedRows} row(s) in batch, ${poListResult.appendedRows} added to PO#List.xlsx`;
+        if (poListResult.updatedRows > 0) {
+          poListMsg += `, ${poListResult.updatedRows} existing row(s) updated from revised/cancelled POs`;
+        }
         let useHTML = false;
         if (poListResult.skippedRows > 0) {
           poListMsg += `, ${poListResult.skippedRows} skipped (already processed)`;
@@ -402,6 +636,12 @@ if (fileInput) {
           }
         }
         poListMsg += '.';
+        // Revisions older than the one already listed were left out
+        const ignored = poListResult.ignoredRevisions.map(entry => `PO ${entry.po} revision ${entry.revision} from ${entry.sourceFile} (PO#List.xlsx has revision ${entry.appliedRevision})`);
+        const ignoredNote = ignored.length > 0 ? ` ${ignored.length} older revision(s) ignored: ${ignored.join(', ')}.` : '';
+        if (ignoredNote || runNotes) {
+          poListMsg += useHTML ? `<br>${escapeHtml(ignoredNote + runNotes)}` : ignoredNote + runNotes;
+        }
         showStatus(poListMsg, 'success', useHTML);
         resultLink.innerHTML = `
           <button id="download-btn" style="
@@ -422,6 +662,19 @@ if (fileInput) {
           await saveLocally(processedFileName);
         });
         
+        addExportButtons(window.POExport.buildExport(poLineRecords, {
+          poRevisions,
+          vendorLookup: await window.POConverter.buildVendorLookup(vendorBuffer, vendorData.name),
+          run: {
+            timestamp: currentTimestamp,
+            folder: parentFolderName,
+            fileCount,
+            retailer: currentProfile.id,
+            vendorFile: vendorData.name,
+            files: conversionResult.sources
+          }
+        }), processedFileName);
+        
       } catch (err) {
         console.error('Error in vendor merge:', err);
         console.error('Error stack:', err.stack);
@@ -432,13 +685,24 @@ if (fileInput) {
       // Regular customer-only workflow
       processedBlob = customerDataBlob;
       processedFileName = customerDataFileName;
-      showStatus(`✓ Processed ${fileCount} PDF file(s). Uploading to Google Drive...`, 'success');
-      setupOutputButton(false, fileCount, parentFolderName);
+      showStatus(`✓ Processed ${fileCount} PDF file(s). Uploading to Google Drive...${runNotes}`, 'success');
+      const exportDoc = window.POExport.buildExport(poLineRecords, {
+        poRevisions,
+        run: {
+          timestamp: currentTimestamp,
+          folder: parentFolderName,
+          fileCount,
+          retailer: currentProfile.id,
+          files: conversionResult.sources
+        }
+      });
+      setupOutputButton(false, fileCount, parentFolderName, runNotes, exportDoc);
     }
     
   } catch (err) {
     console.error('Error:', err);
-    showStatus(`Error: ${err.message}`, 'error');
+    if (err.sources) renderFileOutcomes(err.sources);
+    showStatus(`Error: ${err.message}${layoutTemplateNote([...driveTemplates.errors, ...(err.templateErrors || [])])}`, 'error');
   } finally {
     customerBtn.disabled = false;
     vendorBtn.disabled = false;
@@ -451,10 +715,50 @@ if (fileInput) {
   console.error('File input not found in DOM');
 }
 
+/**
+ * Add the JSON and CSV export buttons under the download button; files are
+ * named after the workbook (fileName without .xlsx)
+ */
+function addExportButtons(exportDoc, fileName) {
+  const baseName = fileName.replace(/\.xlsx$/i, '');
+  const buttons = document.createElement('div');
+  buttons.className = 'export-actions';
+  buttons.innerHTML = `
+    <button id="export-json-btn" class="export-btn">Export JSON</button>
+    <button id="export-csv-btn" class="export-btn">Export CSV</button>
+  `;
+  resultLink.appendChild(buttons);
+  
+  document.getElementById('export-json-btn').addEventListener('click', () => {
+    downloadText(`${baseName}.json`, JSON.stringify(exportDoc, null, 2), 'application/json');
+  });
+  document.getElementById('export-csv-btn').addEventListener('click', () => {
+    const csvFiles = window.POExport.exportToCsv(exportDoc);
+    Object.entries(window.POExport.EXPORT_CSV_FILES).forEach(([key, suffix]) => {
+      downloadText(`${baseName}_${suffix}.csv`, csvFiles[key], 'text/csv');
+    });
+  });
+}
+
+/**
+ * Download text as a file (the exports; workbooks go through saveLocally)
+ */
+function downloadText(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Automatically upload processed file to Google Drive
+ * exportDoc (from POExport.buildExport) adds the JSON/CSV export buttons.
  */
-async function setupOutputButton(isMerged = false, fileCount = 0, parentFolderName = '') {
+async function setupOutputButton(isMerged = false, fileCount = 0, parentFolderName = '', note = '', exportDoc = null) {
   try {
     // Upload to Google Drive automatically
     console.log('setupOutputButton() called');
@@ -492,11 +796,12 @@ async function setupOutputButton(isMerged = false, fileCount = 0, parentFolderNa
       ">Download Locally (Optional)</button>
     `;
     resultPanel.classList.add('show');
-    showStatus(`✓ Uploaded to Google Drive. Optionally download a local copy.`, 'success');
+    showStatus(`✓ Uploaded to Google Drive. Optionally download a local copy.${note}`, 'success');
     
     document.getElementById('download-btn').addEventListener('click', async () => {
       await saveLocally(desiredName);
     });
+    if (exportDoc) addExportButtons(exportDoc, desiredName);
     
   } catch (err) {
     console.error('Error:', err);
@@ -509,7 +814,7 @@ async function setupOutputButton(isMerged = false, fileCount = 0, parentFolderNa
  */
 async function fetchCustomerDataFromDrive() {
   try {
-    const response = await fetch(`${CONFIG.scriptUrl}?action=download-customer-data-only&apiKey=${CONFIG.apiKey}`);
+    const response = await fetch(`${CONFIG.scriptUrl}?action=download-customer-data-only&apiKey=${CONFIG.apiKey}&retailerFolder=${encodeURIComponent(currentProfile.drive.folder)}`);
     
     if (!response.ok) {
       console.error('HTTP Error:', response.status, response.statusText);
@@ -580,6 +885,49 @@ async function fetchVendorDataFromDrive() {
   }
 }
 
+/**
+ * Fetch the layout templates (.json files) from the Drive Templates folder
+ * Returns { templates, errors }: files that aren't valid JSON (or Drive being
+ * unreachable) end up in errors for the run's status message, and PDFs are
+ * still processed with the other templates and the built-in rules.
+ */
+async function fetchLayoutTemplatesFromDrive() {
+  try {
+    const response = await fetch(`${CONFIG.scriptUrl}?action=list-templates&apiKey=${CONFIG.apiKey}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to list layout templates');
+    }
+    
+    const errors = [];
+    const templates = result.data.templates.flatMap(file => {
+      try {
+        return [].concat(JSON.parse(file.content));
+      } catch (err) {
+        errors.push(`Templates/${file.fileName}: not valid JSON (${err.message})`);
+        return [];
+      }
+    });
+    return { templates, errors };
+  } catch (err) {
+    console.warn('Could not fetch layout templates from Google Drive:', err.message);
+    return { templates: [], errors: [`Could not fetch the Drive layout templates: ${err.message}`] };
+  }
+}
+
+/**
+ * Status message note listing the layout templates left out of the run
+ */
+function layoutTemplateNote(errors) {
+  return errors.length > 0
+    ? ` Layout templates skipped (${errors.length} problem(s)): ${errors.join('; ')}.`
+    : '';
+}
+
 /**
  * Perform vendor merge with downloaded vendor file
  */
@@ -602,7 +950,8 @@ async function performVendorMerge() {
     const mergedWorkbook = await window.POConverter.mergeVendorData(
       customerBuffer,
       vendorBuffer,
-      vendorMergeState.vendorFile.name
+      vendorMergeState.vendorFile.name,
+      { layout: SETUP.getOutputLayout() }
     );
     
     // Convert workbook to blob
@@ -615,7 +964,7 @@ async function performVendorMerge() {
     
     // Extract parent folder name, file count, and timestamp from customer data filename
     // Expected format: {parentFolder}_{fileCount}_{timestamp}.xlsx or {parentFolder}_{timestamp}.xlsx
-    let parentFolderName = 'Beals'; // default fallback
+    let parentFolderName = currentProfile.drive.folder; // default fallback
     let fileCount = ''; // default fallback (empty string means no file count)
     let extractedTimestamp = generateTimestamp(); // default fallback
     
@@ -675,6 +1024,25 @@ async function performVendorMerge() {
       await saveLocally(processedFileName);
     });
     
+    // The records come back from the customer workbook's Line Items sheet
+    // (older workbooks without it get no exports)
+    try {
+      const { records, files } = await window.POExport.readWorkbookRecords(customerBuffer);
+      addExportButtons(window.POExport.buildExport(records, {
+        vendorLookup: await window.POConverter.buildVendorLookup(vendorBuffer, vendorMergeState.vendorFile.name),
+        run: {
+          timestamp: currentTimestamp,
+          folder: parentFolderName,
+          fileCount: parseInt(fileCount, 10) || files.length,
+          retailer: currentProfile.id,
+          vendorFile: vendorMergeState.vendorFile.name,
+          files
+        }
+      }), processedFileName);
+    } catch (exportErr) {
+      console.warn('Exports unavailable:', exportErr.message);
+    }
+    
   } catch (err) {
     console.error('Error:', err);
     showStatus(`Error: ${err.message}`, 'error');
@@ -733,6 +1101,7 @@ async function uploadToGoogleDrive(blob, timestamp, isMerged, fileCount, parentF
       payload.append('fileName', filePrefix);
       payload.append('fileCount', fileCount);
       payload.append('timestamp', timestamp);
+      payload.append('retailerFolder', currentProfile.drive.folder);
       payload.append('data', base64Data);
       
       xhr.send(payload);
@@ -749,7 +1118,7 @@ async function uploadToGoogleDrive(blob, timestamp, isMerged, fileCount, parentF
  */
 async function fetchPoListWorkbookFromDrive() {
   try {
-    const response = await fetch(`${CONFIG.scriptUrl}?action=download-po-list&apiKey=${CONFIG.apiKey}`);
+    const response = await fetch(`${CONFIG.scriptUrl}?action=download-po-list&apiKey=${CONFIG.apiKey}&retailerFolder=${encodeURIComponent(currentProfile.drive.folder)}`);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -768,9 +1137,9 @@ async function fetchPoListWorkbookFromDrive() {
     }
 
     const blob = new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-    return new File([blob], data.fileName || PO_LIST_CONFIG.fileName, { type: blob.type });
+    return new File([blob], data.fileName || window.POList.PO_LIST_CONFIG.fileName, { type: blob.type });
   } catch (err) {
-    throw new Error(`Could not fetch PO#List.xlsx from CustomerData/Beals/Processed. ${err.message}`);
+    throw new Error(`Could not fetch PO#List.xlsx from CustomerData/${currentProfile.drive.folder}/Processed. ${err.message}`);
   }
 }
 
@@ -805,6 +1174,7 @@ async function uploadPoListWorkbookToDrive(blob) {
 
       const payload = new FormData();
       payload.append('action', 'upload-po-list');
+      payload.append('retailerFolder', currentProfile.drive.folder);
       payload.append('data', base64Data);
 
       xhr.send(payload);
@@ -816,327 +1186,29 @@ async function uploadPoListWorkbookToDrive(blob) {
 
 /**
  * Append combined workflow rows to PO#List workbook
+ * poRevisions (from convertMultiplePdfsToExcel) update the lines already
+ * listed for revised or cancelled POs instead of appending duplicates.
  */
-async function appendRowsToPoList(poLineRecords, vendorArrayBuffer, vendorFileName, appRunTimestamp) {
-  if (!Array.isArray(poLineRecords) || poLineRecords.length === 0) {
+async function appendRowsToPoList(poLineRecords, vendorArrayBuffer, vendorFileName, appRunTimestamp, poRevisions = []) {
+  if (!Array.isArray(poLineRecords) || (poLineRecords.length === 0 && poRevisions.length === 0)) {
     throw new Error('No PO line records were generated for append');
   }
 
-  const vendorLookup = await buildVendorLookup(vendorArrayBuffer, vendorFileName);
-  const appendRows = buildPoListRows(poLineRecords, vendorLookup, appRunTimestamp);
+  const vendorLookup = await window.POConverter.buildVendorLookup(vendorArrayBuffer, vendorFileName);
+  const appendRows = window.POList.buildPoListRows(poLineRecords, vendorLookup, appRunTimestamp);
 
-  if (appendRows.length === 0) {
-    return { appendedRows: 0, skippedRows: 0 };
+  if (appendRows.length === 0 && poRevisions.length === 0) {
+    return { appendedRows: 0, skippedRows: 0, updatedRows: 0, ignoredRevisions: [] };
   }
 
   const poListFile = await fetchPoListWorkbookFromDrive();
-  const result = await appendRowsToWorkbook(poListFile, appendRows);
-
-  await uploadPoListWorkbookToDrive(result.blob);
-
-  return { appendedRows: result.appendedRows, skippedRows: result.skippedRows, skippedPOList: result.skippedPOList || [], skippedSourceList: result.skippedSourceList || [] };
-}
-
-/**
- * Build vendor lookup keyed by Item#/MFG STYLE
- */
-async function buildVendorLookup(vendorArrayBuffer, vendorFileName) {
-  const vendorLookup = {};
-  const isCSV = (vendorFileName || '').toLowerCase().endsWith('.csv');
-
-  if (isCSV) {
-    const content = new TextDecoder().decode(vendorArrayBuffer);
-    const { rows } = window.POConverter.parseCSV(content);
-
-    for (const row of rows) {
-      const itemNum = (row['Item#'] || '').toString().trim();
-      const whsNum = parseInt(row['WHS#'], 10) || 0;
-
-      if (itemNum && !vendorLookup[itemNum] && whsNum === 1) {
-        const baseCost = parseCurrencyToNumber(row['Base Cost']);
-        vendorLookup[itemNum] = {
-          vend: (row['Vend#'] || '').toString().trim(),
-          baseCost,
-          boxCase: (row['Box/Case'] || '').toString().trim(),
-          unitCase: (row['Unit/Case'] || '').toString().trim()
-        };
-      }
-    }
-  } else {
-    const workbook = new window.ExcelJS.Workbook();
-    await workbook.xlsx.load(vendorArrayBuffer);
-
-    const worksheet = workbook.worksheets[0];
-    if (!worksheet) return vendorLookup;
-
-    const headerRow = worksheet.getRow(1);
-    const cols = {};
-    headerRow.eachCell((cell, num) => {
-      const val = (cell.value || '').toString().trim();
-      if (val === 'Item#') cols.item = num;
-      else if (val === 'WHS#') cols.whs = num;
-      else if (val === 'Vend#') cols.vend = num;
-      else if (val === 'Base Cost') cols.baseCost = num;
-      else if (val === 'Unit/Case') cols.unitCase = num;
-      else if (val === 'Box/Case') cols.boxCase = num;
-    });
+  const result = await window.POList.appendRowsToWorkbook(await poListFile.arrayBuffer(), appendRows, poRevisions);
 
-    if (!cols.item || !cols.whs) {
-      return vendorLookup;
-    }
-
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
-
-      const itemNum = (row.getCell(cols.item).value || '').toString().trim();
-      const whsNum = parseInt(row.getCell(cols.whs).value, 10) || 0;
-
-      if (itemNum && !vendorLookup[itemNum] && whsNum === 1) {
-        vendorLookup[itemNum] = {
-          vend: (row.getCell(cols.vend).value || '').toString().trim(),
-          baseCost: parseCurrencyToNumber(row.getCell(cols.baseCost).value),
-          boxCase: cols.boxCase ? (row.getCell(cols.boxCase).value || '').toString().trim() : '',
-          unitCase: cols.unitCase ? (row.getCell(cols.unitCase).value || '').toString().trim() : ''
-        };
-      }
-    });
-  }
+  await uploadPoListWorkbookToDrive(new Blob([result.buffer], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }));
 
-  return vendorLookup;
-}
-
-/**
- * Map parsed records to PO#List column order B:W
- */
-function buildPoListRows(records, vendorLookup, appRunTimestamp) {
-  const rows = [];
-
-  for (const record of records) {
-    const poNumber = (record['PO #'] || '').toString().trim();
-    const sku = (record['SKU'] || '').toString().trim();
-    const mfgStyle = (record['MFG Style'] || '').toString().trim();
-
-    if (!poNumber && !sku && !mfgStyle) {
-      continue;
-    }
-
-    const ttlUnits = parseInt(record['Qty'], 10) || 0;
-    const costUnit = parseCurrencyToNumber(record['Cost/Unit']);
-    const retail = parseCurrencyToNumber(record['Retail']);
-    const packQty = parseInt(record['Pack Qty.'], 10) || '';
-    const ttlAmt = costUnit !== null ? costUnit * ttlUnits : '';
-
-    const vendorData = vendorLookup[mfgStyle] || {};
-    const baseCost = typeof vendorData.baseCost === 'number' ? vendorData.baseCost : null;
-    const ttlCost = baseCost !== null ? baseCost * ttlUnits : '';
-
-    rows.push([
-      poNumber,
-      (record['ORDER DATE'] || '').toString().trim(),
-      (record['SHIP DATE'] || '').toString().trim(),
-      (record['CANCEL DATE'] || '').toString().trim(),
-      record['DEPT #'] || '',
-      (record['DC'] || '').toString().trim(),
-      record['STORE #'] || '',
-      sku,
-      mfgStyle,
-      costUnit !== null ? costUnit : '',
-      retail !== null ? retail : '',
-      packQty,
-      ttlUnits,
-      ttlAmt,
-      record['Line'] || '',
-      appRunTimestamp,
-      vendorData.vend || '',
-      baseCost !== null ? baseCost : '',
-      vendorData.boxCase || '',
-      vendorData.unitCase || '',
-      ttlCost,
-      (record['SourceFile'] || '').toString().trim()
-    ]);
-  }
-
-  return rows;
-}
-
-/**
- * Append rows to first worksheet in PO#List workbook
- */
-async function appendRowsToWorkbook(poListFile, rowsToAppend) {
-  const workbook = new window.ExcelJS.Workbook();
-  const arrayBuffer = await poListFile.arrayBuffer();
-  await workbook.xlsx.load(arrayBuffer);
-
-  const worksheet = workbook.worksheets[0];
-  if (!worksheet) {
-    throw new Error('PO#List workbook has no worksheet');
-  }
-
-  let nextRow = PO_LIST_CONFIG.startRow;
-  const maxRow = Math.max(worksheet.rowCount, PO_LIST_CONFIG.startRow);
-  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= maxRow; rowNum++) {
-    let hasData = false;
-    for (let col = PO_LIST_CONFIG.startColumn; col <= PO_LIST_CONFIG.endColumn; col++) {
-      const cellValue = worksheet.getCell(rowNum, col).value;
-      if (cellValue !== null && cellValue !== undefined && String(cellValue).trim() !== '') {
-        hasData = true;
-        break;
-      }
-    }
-    if (!hasData) {
-      nextRow = rowNum;
-      break;
-    }
-    nextRow = rowNum + 1;
-  }
-
-  // --- Duplicate check: skip rows whose SourceFile already exists in PO#List ---
-  // SourceFile is in column W (23)
-  const srcColIndex = PO_LIST_CONFIG.endColumn;         // Column W (23)
-
-  const existingSources = new Set();
-  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum < nextRow; rowNum++) {
-    const srcVal = (worksheet.getCell(rowNum, srcColIndex).value ?? '').toString().trim();
-    if (srcVal) {
-      existingSources.add(srcVal);
-    }
-  }
-
-  const originalCount = rowsToAppend.length;
-  const skippedPOs = new Set();
-  const skippedSources = new Set();
-  rowsToAppend = rowsToAppend.filter(row => {
-    const srcVal = (row[21] ?? '').toString().trim();      // SourceFile
-    if (existingSources.has(srcVal)) {
-      const poVal = (row[0] ?? '').toString().trim();      // PO#
-      if (poVal) skippedPOs.add(poVal);
-      if (srcVal) skippedSources.add(srcVal);
-      return false;
-    }
-    return true;
-  });
-
-  const skippedCount = originalCount - rowsToAppend.length;
-  const skippedPOList = Array.from(skippedPOs).sort();
-  const skippedSourceList = Array.from(skippedSources).sort();
-  if (skippedCount > 0) {
-    console.log(`Duplicate check: skipped ${skippedCount} row(s) already in PO#List.xlsx. POs skipped: ${skippedPOList.join(', ')}. Sources: ${skippedSourceList.join(', ')}`);
-  }
-
-  if (rowsToAppend.length === 0) {
-    console.log('All rows already exist in PO#List.xlsx — nothing to append.');
-    const buffer = await workbook.xlsx.writeBuffer();
-    return {
-      blob: new Blob([buffer], {
-        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-      }),
-      appendedRows: 0,
-      skippedRows: skippedCount,
-      skippedPOList,
-      skippedSourceList
-    };
-  }
-  // --- End duplicate check ---
-
-  for (const rowValues of rowsToAppend) {
-    rowValues.forEach((value, idx) => {
-      worksheet.getCell(nextRow, PO_LIST_CONFIG.startColumn + idx).value = value;
-    });
-
-    // Currency formats for K, L, O, S, V
-    worksheet.getCell(nextRow, 11).numFmt = '$#,##0.00';
-    worksheet.getCell(nextRow, 12).numFmt = '$#,##0.00';
-    worksheet.getCell(nextRow, 15).numFmt = '$#,##0.00';
-    worksheet.getCell(nextRow, 19).numFmt = '$#,##0.00';
-    worksheet.getCell(nextRow, 22).numFmt = '$#,##0.00';
-
-    nextRow++;
-  }
-
-  // Sort all populated data rows (B:W) by PO# in column B
-  const dataRows = [];
-  const lastAppendedRow = Math.max(PO_LIST_CONFIG.startRow, nextRow - 1);
-  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= lastAppendedRow; rowNum++) {
-    const rowValues = [];
-    let hasData = false;
-    for (let col = PO_LIST_CONFIG.startColumn; col <= PO_LIST_CONFIG.endColumn; col++) {
-      const cellValue = worksheet.getCell(rowNum, col).value;
-      rowValues.push(cellValue);
-      if (cellValue !== null && cellValue !== undefined && String(cellValue).trim() !== '') {
-        hasData = true;
-      }
-    }
-    if (hasData) {
-      dataRows.push(rowValues);
-    }
-  }
-
-  dataRows.sort((a, b) => {
-    const poA = (a[0] ?? '').toString().trim();
-    const poB = (b[0] ?? '').toString().trim();
-
-    const numA = parseInt(poA, 10);
-    const numB = parseInt(poB, 10);
-    const aIsNum = Number.isFinite(numA);
-    const bIsNum = Number.isFinite(numB);
-
-    if (aIsNum && bIsNum) {
-      return numA - numB;
-    }
-    if (aIsNum && !bIsNum) return -1;
-    if (!aIsNum && bIsNum) return 1;
-    return poA.localeCompare(poB);
-  });
-
-  // Clear existing B:W data region, then rewrite sorted rows from row 10
-  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= lastAppendedRow; rowNum++) {
-    for (let col = PO_LIST_CONFIG.startColumn; col <= PO_LIST_CONFIG.endColumn; col++) {
-      worksheet.getCell(rowNum, col).value = null;
-    }
-  }
-
-  let writeRow = PO_LIST_CONFIG.startRow;
-  for (const rowValues of dataRows) {
-    rowValues.forEach((value, idx) => {
-      worksheet.getCell(writeRow, PO_LIST_CONFIG.startColumn + idx).value = value;
-    });
-
-    // Currency formats for K, L, O, S, V
-    worksheet.getCell(writeRow, 11).numFmt = '$#,##0.00';
-    worksheet.getCell(writeRow, 12).numFmt = '$#,##0.00';
-    worksheet.getCell(writeRow, 15).numFmt = '$#,##0.00';
-    worksheet.getCell(writeRow, 19).numFmt = '$#,##0.00';
-    worksheet.getCell(writeRow, 22).numFmt = '$#,##0.00';
-
-    writeRow++;
-  }
-
-  const lastDataRow = Math.max(PO_LIST_CONFIG.startRow, writeRow - 1);
-
-  // Row 8 summary formulas for N (TTL UNITS), O (TTL AMT), and V (TTL COST)
-  worksheet.getCell(8, 14).value = { formula: `SUM(N${PO_LIST_CONFIG.startRow}:N${lastDataRow})` };
-  worksheet.getCell(8, 15).value = { formula: `SUM(O${PO_LIST_CONFIG.startRow}:O${lastDataRow})` };
-  worksheet.getCell(8, 22).value = { formula: `SUM(V${PO_LIST_CONFIG.startRow}:V${lastDataRow})` };
-  worksheet.getCell(8, 15).numFmt = '$#,##0.00';
-  worksheet.getCell(8, 22).numFmt = '$#,##0.00';
-
-  const buffer = await workbook.xlsx.writeBuffer();
-  return {
-    blob: new Blob([buffer], {
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    }),
-    appendedRows: rowsToAppend.length,
-    skippedRows: skippedCount,
-    skippedPOList,
-    skippedSourceList
-  };
-}
-
-function parseCurrencyToNumber(value) {
-  if (value === null || value === undefined || value === '') return null;
-  if (typeof value === 'number') return value;
-  const parsed = parseFloat(String(value).replace(/[$,]/g, ''));
-  return Number.isFinite(parsed) ? parsed : null;
+  return { appendedRows: result.appendedRows, skippedRows: result.skippedRows, updatedRows: result.updatedRows, skippedPOList: result.skippedPOList || [], skippedSourceList: result.skippedSourceList || [], ignoredRevisions: result.ignoredRevisions || [] };
 }
 
 /**
@@ -1157,6 +1229,8 @@ function blobToBase64(blob) {
 
 /**
  * Save file locally
+ * The result panel stays as it is (file outcomes, export buttons), so the
+ * run's report isn't lost and the file can be saved again.
  */
 async function saveLocally(desiredName) {
   try {
@@ -1175,7 +1249,6 @@ async function saveLocally(desiredName) {
       await writable.write(processedBlob);
       await writable.close();
       showStatus(`✓ Saved locally as ${handle.name}`, 'success');
-      clearOutputButton();
       return;
     }
     
@@ -1183,7 +1256,6 @@ async function saveLocally(desiredName) {
     if (navigator.msSaveOrOpenBlob) {
       navigator.msSaveOrOpenBlob(processedBlob, desiredName);
       showStatus(`✓ Saved locally as ${desiredName}`, 'success');
-      clearOutputButton();
       return;
     }
 
@@ -1197,7 +1269,6 @@ async function saveLocally(desiredName) {
     a.remove();
     URL.revokeObjectURL(url);
     showStatus(`✓ Download started as ${desiredName}`, 'success');
-    clearOutputButton();
   } catch (err) {
     if (err.name === 'AbortError') {
       // User cancelled - not an error
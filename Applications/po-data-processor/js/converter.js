@@ -2,80 +2,475 @@
  * Client-side PDF to Excel converter
  * Uses pdf.js for PDF parsing and ExcelJS for Excel generation
  * All processing happens in the browser - no server required
+ *
+ * Also loaded inside js/pdf-worker.js, so only the page-level code paths
+ * (OCR, workbook building) may touch `window`/`document`.
+ *
+ * UMD-style module: a plain <script> (or importScripts) sets the
+ * `POConverter` global and uses the pdfjsLib/ExcelJS/POProfiles globals,
+ * while require('./converter.js') under Node returns the same object and
+ * loads profiles.js itself; pass pdf.js and ExcelJS with configure().
  */
 
+const isCommonJs = typeof module === 'object' && !!module.exports;
+const globalScope = typeof window !== 'undefined' ? window
+  : typeof self !== 'undefined' ? self
+  : globalThis;
+
+// Libraries injected with configure(); globals are used for anything unset
+const dependencies = {
+  pdfjsLib: null,
+  ExcelJS: null,
+  profiles: isCommonJs ? require('./profiles.js') : null
+};
+
 /**
- * Extract text from PDF using pdf.js
- * Reconstructs text in reading order, preserving line structure
+ * Inject pdf.js (pdfjsLib), ExcelJS and/or the retailer profiles (POProfiles)
+ * Returns POConverter, so `require('./converter.js').configure({...})` chains.
+ */
+function configure(options = {}) {
+  for (const name of Object.keys(dependencies)) {
+    if (options[name]) dependencies[name] = options[name];
+  }
+  return POConverter;
+}
+
+/**
+ * The pdf.js library (injected, or the page/worker global)
  */
-async function extractPdfText(arrayBuffer) {
-  // Access pdf.js library from window global
-  if (typeof window.pdfjsLib === 'undefined') {
+function getPdfjs() {
+  const pdfjs = dependencies.pdfjsLib || globalScope.pdfjsLib;
+  if (!pdfjs) {
     throw new Error('PDF.js library not loaded. Please check your internet connection and refresh the page.');
   }
+  return pdfjs;
+}
+
+/**
+ * A new ExcelJS workbook (ExcelJS injected, or the page global)
+ */
+function createWorkbook() {
+  const excel = dependencies.ExcelJS || globalScope.ExcelJS;
+  if (!excel) {
+    throw new Error('ExcelJS library not loaded. Please check your internet connection and refresh the page.');
+  }
+  return new excel.Workbook();
+}
+
+// Worker script lives next to this file
+const PDF_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+  ? new URL('pdf-worker.js', document.currentScript.src).href
+  : 'pdf-worker.js';
+
+// pdf.js's own worker, copied to vendor/pdfjs by npm install
+const PDFJS_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+  ? new URL('../vendor/pdfjs/pdf.worker.min.js', document.currentScript.src).href
+  : '../vendor/pdfjs/pdf.worker.min.js';
+
+/**
+ * Extract text from PDF using pdf.js
+ * Reconstructs text in reading order, preserving line structure. Pages are
+ * read (and OCR'd) as in extractPdfLayout, with the same options.
+ */
+async function extractPdfText(arrayBuffer, options = {}) {
+  const { text } = await extractPdfLayout(arrayBuffer, options);
+  return text;
+}
+
+/**
+ * Extract text and page layout from PDF using pdf.js
+ * Keeps a positional model of every page next to the text so table parsers
+ * can read cells by column.
+ *
+ * Pages without a text layer (scans, faxes) are run through the bundled OCR
+ * engine when it is available and options.ocr is not false. options.profile
+ * forces a retailer profile id; otherwise it is detected from the text.
+ *
+ * Returns { text, pages, profileId } where each page is
+ *   { pageNumber, width, height, textSource, items, lines, header, columns }
+ * textSource: 'pdf' (text layer), 'ocr' (recognized) or 'none' (no text found)
+ * items:   [{ str, x, y, width, height, fontSize }] in PDF units (Y grows upward)
+ * lines:   [{ y, height, items, text }] top to bottom
+ * header:  { lineIndex, y } of the SKU table header, or null
+ * columns: [{ label, x0, x1 }] column x-ranges derived from the header labels
+ */
+async function extractPdfLayout(arrayBuffer, options = {}) {
+  const pdfjs = getPdfjs();
   
-  const pdfjs = window.pdfjsLib;
-  
-  // Set worker source on first use
-  if (!pdfjs.GlobalWorkerOptions.workerSrc) {
-    pdfjs.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+  // Set worker source on first use (pdfjs-dist under Node finds its own)
+  if (!pdfjs.GlobalWorkerOptions.workerSrc && !isCommonJs) {
+    pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
   }
   
   const pdf = await pdfjs.getDocument({ data: arrayBuffer }).promise;
   let fullText = '';
+  const pages = [];
   
   for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
     const page = await pdf.getPage(pageNum);
+    const viewport = page.getViewport({ scale: 1 });
     const textContent = await page.getTextContent();
     
-    // Get all text items with their positions
-    const items = textContent.items;
-    if (items.length === 0) continue;
+    let textSource = 'pdf';
+    let items = textContent.items
+      .filter(item => typeof item.str === 'string')
+      .map(toPositionedItem);
     
-    // Sort by Y position (top to bottom), then X (left to right)
-    // PDF Y coordinates increase upward, so we sort descending
-    const sortedItems = items.slice().sort((a, b) => {
-      const yDiff = b.transform[5] - a.transform[5];
-      if (Math.abs(yDiff) > 5) return yDiff; // Different lines (5 unit threshold)
-      return a.transform[4] - b.transform[4]; // Same line, sort by X
-    });
+    if (!items.some(item => item.str.trim())) {
+      textSource = 'none';
+      if (options.ocr !== false && isOcrAvailable()) {
+        items = await globalScope.POOcr.recognizePage(page);
+        textSource = 'ocr';
+      } else {
+        console.warn(`Page ${pageNum} has no text layer and OCR is unavailable`);
+      }
+    }
     
-    // Group into lines based on Y position
-    const lines = [];
-    let currentLine = [];
-    let currentY = sortedItems[0]?.transform[5];
+    const lines = groupItemsIntoLines(items);
+    
+    pages.push({
+      pageNumber: pageNum,
+      width: viewport.width,
+      height: viewport.height,
+      textSource,
+      items,
+      lines,
+      header: null,
+      columns: []
+    });
     
-    for (const item of sortedItems) {
-      const y = item.transform[5];
-      if (Math.abs(y - currentY) > 5) {
-        // New line
-        if (currentLine.length > 0) {
-          // Sort items in current line by X position
-          currentLine.sort((a, b) => a.transform[4] - b.transform[4]);
-          lines.push(currentLine.map(it => it.str).join(' '));
+    if (lines.length === 0) continue;
+    fullText += lines.map(line => line.text).join('\n') + '\n';
+  }
+  
+  // Table header/columns depend on the retailer, detected from the text
+  const profile = resolveProfile(options.profile, fullText);
+  annotateTableLayout(pages, profile);
+  
+  return { text: fullText, pages, profileId: profile.id };
+}
+
+/**
+ * Check whether OCR can run here (page context with Tesseract.js bundled)
+ */
+function isOcrAvailable() {
+  return !!(globalScope.POOcr && globalScope.POOcr.isAvailable());
+}
+
+/**
+ * Convert a pdf.js text item into a plain positioned item
+ */
+function toPositionedItem(item) {
+  const transform = item.transform || [1, 0, 0, 1, 0, 0];
+  const fontSize = Math.hypot(transform[2], transform[3]) || Math.abs(transform[0]) || 0;
+  return {
+    str: item.str,
+    x: transform[4],
+    y: transform[5],
+    width: item.width || 0,
+    height: item.height || fontSize,
+    fontSize
+  };
+}
+
+/**
+ * Group positioned items into lines
+ * The Y tolerance follows the font height of the items being compared, so
+ * tightly spaced small rows stay apart while superscripts join their line.
+ */
+function groupItemsIntoLines(items) {
+  const DEFAULT_TOLERANCE = 5; // Used when pdf.js reports no glyph height
+  
+  // PDF Y coordinates increase upward, so sort descending (top to bottom)
+  const sortedItems = items.slice().sort((a, b) => (b.y - a.y) || (a.x - b.x));
+  
+  const lines = [];
+  let current = null;
+  
+  for (const item of sortedItems) {
+    if (current) {
+      const refHeight = Math.max(item.height, current.height);
+      const tolerance = refHeight > 0 ? refHeight * 0.5 : DEFAULT_TOLERANCE;
+      if (Math.abs(item.y - current.y) <= tolerance) {
+        current.items.push(item);
+        // Anchor the line on its tallest item so superscripts don't drag it
+        if (item.height > current.height) {
+          current.height = item.height;
+          current.y = item.y;
         }
-        currentLine = [item];
-        currentY = y;
-      } else {
-        currentLine.push(item);
+        continue;
       }
     }
-    // Don't forget last line
-    if (currentLine.length > 0) {
-      currentLine.sort((a, b) => a.transform[4] - b.transform[4]);
-      lines.push(currentLine.map(it => it.str).join(' '));
+    current = { y: item.y, height: item.height, items: [item] };
+    lines.push(current);
+  }
+  
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    line.text = line.items.map(it => it.str).join(' ');
+  }
+  
+  return lines;
+}
+
+/**
+ * Locate the SKU table header (e.g. SKU label with MFG STYLE within a few lines)
+ */
+function findTableHeader(lines, profile) {
+  const { headerAnchor, headerRequires } = profile.table;
+  for (let i = 0; i < lines.length; i++) {
+    if (!headerAnchor.test(lines[i].text)) continue;
+    const windowText = lines.slice(i, i + 4).map(l => l.text).join(' ').toUpperCase();
+    if (headerRequires.every(word => windowText.includes(word))) {
+      return { lineIndex: i, y: lines[i].y };
+    }
+  }
+  return null;
+}
+
+/**
+ * Locate each page's table header and column ranges for a retailer profile
+ */
+function annotateTableLayout(pages, profile) {
+  for (const page of pages) {
+    page.header = findTableHeader(page.lines, profile);
+    page.columns = page.header ? detectColumns(page.lines, page.header) : [];
+  }
+  return pages;
+}
+
+/**
+ * Cluster header labels into column x-ranges
+ * Labels stacked over several header lines ("MFG" above "STYLE") share a
+ * column when their horizontal extents overlap. Column boundaries are the
+ * midpoints of the gaps between neighbouring labels.
+ */
+function detectColumns(lines, header) {
+  const headerLines = [lines[header.lineIndex]];
+  for (let i = header.lineIndex + 1; i < Math.min(header.lineIndex + 4, lines.length); i++) {
+    const gap = headerLines[headerLines.length - 1].y - lines[i].y;
+    const lineHeight = lines[i].height || 10;
+    if (gap > lineHeight * 1.6) break;
+    if (/\d{4,}|\$\d/.test(lines[i].text)) break; // Data row, not header text
+    headerLines.push(lines[i]);
+  }
+  
+  const labelItems = headerLines
+    .flatMap(line => line.items)
+    .filter(item => item.str.trim())
+    .sort((a, b) => a.x - b.x);
+  
+  const clusters = [];
+  for (const item of labelItems) {
+    const x0 = item.x;
+    const x1 = item.x + Math.max(item.width, 1);
+    const overlapping = clusters.find(c => x0 < c.x1 && x1 > c.x0);
+    if (overlapping) {
+      overlapping.x0 = Math.min(overlapping.x0, x0);
+      overlapping.x1 = Math.max(overlapping.x1, x1);
+      overlapping.items.push(item);
+    } else {
+      clusters.push({ x0, x1, items: [item] });
     }
-    
-    fullText += lines.join('\n') + '\n';
   }
+  clusters.sort((a, b) => a.x0 - b.x0);
   
-  return fullText;
+  return clusters.map((cluster, idx) => {
+    const prev = clusters[idx - 1];
+    const next = clusters[idx + 1];
+    const label = cluster.items
+      .slice()
+      .sort((a, b) => (b.y - a.y) || (a.x - b.x))
+      .map(it => it.str.trim())
+      .join(' ');
+    return {
+      label,
+      x0: prev ? (prev.x1 + cluster.x0) / 2 : -Infinity,
+      x1: next ? (cluster.x1 + next.x0) / 2 : Infinity
+    };
+  });
+}
+
+// Address blocks read from the PO header, flattened onto records as
+// "<BLOCK> <PART>" fields (e.g. "SHIP TO CITY")
+const ADDRESS_BLOCKS = [
+  { key: 'SHIP TO', label: /\bSHIP[\s-]*TO\b\s*:?/i },
+  { key: 'BILL TO', label: /\bBILL[\s-]*TO\b\s*:?/i },
+  { key: 'MARK FOR', label: /\bMARK[\s-]*FOR\b\s*:?/i }
+];
+const ADDRESS_PARTS = ['NAME', 'ADDRESS 1', 'ADDRESS 2', 'CITY', 'STATE', 'ZIP', 'PHONE'];
+const ADDRESS_FIELDS = ADDRESS_BLOCKS.flatMap(block => ADDRESS_PARTS.map(part => `${block.key} ${part}`));
+
+const ADDRESS_LABEL_RE = /\b(?:SHIP[\s-]*TO|BILL[\s-]*TO|MARK[\s-]*FOR)\b/i;
+const CITY_STATE_ZIP_RE = /^(.+?),?\s+([A-Z]{2})\.?\s+(\d{5}(?:-\d{4})?)\s*$/;
+const PHONE_RE = /(?:\b(?:PH(?:ONE)?|TEL)\b\.?\s*#?:?\s*)?(\(?\d{3}\)?[\s.-]*\d{3}[\s.-]\d{4})(?!\d)/i;
+// Header text that never belongs to an address and ends a block
+const ADDRESS_STOP_RE = /\b(?:SKU|UPC|ORDER\s*(?:NUMBER|DATE)|DEPT\.?\s*NUMBER|SHIP\s*(?:DATE|VIA)|CANCEL\s*DATE|TERMS|F\.?O\.?B)\b/i;
+const MAX_ADDRESS_LINES = 6;
+
+// Commercial terms read from labeled PO header fields
+const TERMS_FIELDS = ['TERMS', 'FOB', 'FREIGHT TERMS', 'ROUTING', 'ALLOWANCES'];
+// Matched in this order so "FREIGHT ALLOWANCE" and "FREIGHT TERMS" aren't also
+// read as FREIGHT/TERMS labels. Allowances keep their label wording, e.g.
+// "DEFECTIVE ALLOWANCE: 2%", and may appear several times.
+const TERMS_LABELS = [
+  { key: 'ALLOWANCES', label: /\b(?:(?:DEFECTIVE|ADVERTISING|MARKDOWN|SPECIAL|FREIGHT|CO-?OP|VOLUME|DAMAGE)\s+)?ALLOWANCES?\b\s*:?/i, keepLabel: true },
+  { key: 'FREIGHT TERMS', label: /\bFREIGHT(?:\s+TERMS\b\s*:?|\s*:)/i }, // Not "FEDEX FREIGHT"
+  { key: 'ROUTING', label: /\b(?:ROUTING(?:\s+INSTRUCTIONS)?|SHIP\s+VIA|CARRIER)\b\s*:?/i },
+  { key: 'FOB', label: /\bF\.?O\.?B\b\.?(?:\s+POINT)?\s*:?/i },
+  { key: 'TERMS', label: /\b(?:PAYMENT\s+TERMS|TERMS(?:\s+OF\s+(?:PAYMENT|SALE))?)\b\s*:?/i }
+];
+const TERMS_BOILERPLATE_RE = /\bTERMS\s+(?:AND|&)\s+CONDITIONS\b/i;
+const MAX_TERMS_LENGTH = 80; // Longer "values" are fine print, not a field
+
+// Date formats seen on POs: M/D/YYYY, MM-DD-YY, M.D.YY, DD-MMM-YYYY,
+// "1 MAY 26" and YYYY-MM-DD (regex source, no capturing groups)
+const DATE_SOURCE = '(?:\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}'
+  + '|\\d{1,2}[-/.]\\d{1,2}[-/.](?:\\d{4}|\\d{2})'
+  + '|\\d{1,2}[-\\s](?:JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)[A-Z]*\\.?[-\\s,]+(?:\\d{4}|\\d{2}))(?!\\d)';
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const TWO_DIGIT_YEAR_PIVOT = 70; // "69" is 2069, "70" is 1970
+const DATE_FIELDS = ['ORDER DATE', 'SHIP DATE', 'CANCEL DATE'];
+
+// PO status of a reissued document ('' for an original PO); also written per line
+const REVISION_FIELDS = ['STATUS', 'REVISION'];
+const PO_STATUS = { REVISED: 'REVISED', CANCELLED: 'CANCELLED' };
+
+// Footer totals printed on the PO, checked against the parsed lines
+const TOTAL_FIELDS = ['TOTAL COST', 'TOTAL QTY', 'TOTAL PACKS'];
+
+// Metadata that every PO should have; a miss is flagged for review
+const REQUIRED_METADATA = ['PO #', 'DEPT #', 'ORDER DATE', 'SHIP DATE', 'CANCEL DATE'];
+
+const ITEM_FIELDS = ['SKU', 'MFG Style', 'MFG Color', 'Size Desc.', 'Description', 'Cost/Unit', 'Comp', 'Retail', 'Pack Qty.', 'Qty', 'UPC'];
+
+// Prepack letter and a one-cell summary of its components, per line
+const PREPACK_FIELDS = ['PACK', 'PACK COMPONENTS'];
+
+// Red fill for errors: failed PDFs, total mismatches, and missing or
+// invalid UPC cells in the PO Data sheet and PO#List
+const ERROR_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } };
+
+// Outcome of each PDF in a run, listed in the Processing Log sheet; anything
+// but OK counts as a failure for the "don't upload" setting
+const FILE_STATUS = {
+  OK: 'ok',
+  NO_ITEMS: 'no items',
+  NO_PO: 'no PO #',
+  ERROR: 'error'
+};
+const FILE_STATUS_FILLS = {
+  [FILE_STATUS.ERROR]: ERROR_FILL,
+  [FILE_STATUS.NO_ITEMS]: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } },
+  [FILE_STATUS.NO_PO]: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } }
+};
+
+// Line fields that must agree for a SKU across the POs of a batch, and how
+// the PO Data sheet settles a disagreement: the first value seen, the value
+// on the PO with the latest order date, or a separate row per value
+const CONFLICT_FIELDS = ['Cost/Unit', 'Retail', 'Pack Qty.'];
+const CONFLICT_POLICY = { FIRST: 'first', LATEST: 'latest', SPLIT: 'split' };
+const CONFLICT_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF8CBAD' } };
+
+// Shape of the PO Data sheet: one quantity column per PO under its metadata
+// rows (wide), or one row per PO and SKU with the PO metadata as columns and
+// the header in row 1 (long, for pivot tables and large batches)
+const OUTPUT_MODE = { WIDE: 'wide', LONG: 'long' };
+
+// Columns of the Line Items and PO Headers sheets, named after the record
+// fields so each sheet reads as a tidy table (one row per line / per PO)
+const LINE_ITEM_FIELDS = ['PO #', 'Line', 'SourceFile', 'Pages', ...DATE_FIELDS, 'DEPT #', 'DC', 'STORE #',
+  ...ITEM_FIELDS, ...PREPACK_FIELDS, ...REVISION_FIELDS, 'Retailer', 'ParseStrategy', 'TextSource'];
+const PO_HEADER_FIELDS = ['PO #', 'SourceFile', 'Pages', 'VENDOR', 'Retailer', ...DATE_FIELDS, 'DEPT #', 'DC', 'STORE #',
+  'STATE', ...TERMS_FIELDS, ...REVISION_FIELDS, ...TOTAL_FIELDS, ...ADDRESS_FIELDS];
+
+// Layout of the customer "PO Data" sheet, also followed by mergeVendorData.
+// Line columns come first, then one quantity column per PO from
+// poBlock.column (default: right after the line columns) under that PO's
+// metadata rows, labelled in the column left of the block; the trailing
+// columns follow the last PO. A column's field is a line field
+// (OUTPUT_LINE_FIELDS) or a computed one (OUTPUT_COMPUTED_FIELDS); numFmt
+// and width are optional and `total` sums the column in the PO# row. The
+// vendor merge inserts vendorColumns (VENDOR_FIELDS) after MFG Style.
+// A custom layout replaces the keys it sets (poBlock key by key); the format
+// is documented in README.md ("Output Layout").
+const OUTPUT_COMPUTED_FIELDS = ['TTL AMT', 'TTL UNITS'];
+const OUTPUT_LINE_FIELDS = [...ITEM_FIELDS.filter(field => field !== 'Qty'), ...PREPACK_FIELDS, 'SourceFile'];
+const OUTPUT_PRICE_FIELDS = ['Cost/Unit', 'Comp', 'Retail']; // Written as numbers
+const MERGE_VARIANT_FIELDS = ['MFG Color', 'Size Desc.']; // Split merged rows when in the layout
+const VENDOR_FIELDS = ['vend', 'baseCost', 'boxCase', 'unitCase'];
+const DEFAULT_OUTPUT_LAYOUT = {
+  columns: [
+    { field: 'SKU', header: 'SKU #', width: 12 },
+    { field: 'MFG Style', header: 'MFG STYLE', width: 15 },
+    { field: 'Cost/Unit', header: 'COST / UNIT', numFmt: '$#,##0.00', width: 12 },
+    { field: 'Retail', header: 'RETAIL', numFmt: '$#,##0.00', width: 10 },
+    { field: 'TTL AMT', header: 'TTL AMT', numFmt: '$#,##0.00', width: 12, total: true },
+    { field: 'TTL UNITS', header: 'TTL UNITS', width: 10, total: true },
+    { field: 'Pack Qty.', header: 'PACK QTY', width: 10 }
+  ],
+  poBlock: {
+    column: null,
+    header: 'TTL UNITS',
+    metadata: [
+      ...DATE_FIELDS.map(field => ({ field, label: field })),
+      { field: 'DEPT #', label: 'DEPT#' },
+      { field: 'DC', label: 'DC' },
+      { field: 'STORE #', label: 'STORE #' },
+      ...TERMS_FIELDS.map(field => ({ field, label: field }))
+    ]
+  },
+  // UPC after the source file, so the PO and formula columns keep their places
+  trailingColumns: [
+    { field: 'SourceFile', header: 'SOURCE FILE' },
+    { field: 'UPC', header: 'UPC', numFmt: '@', width: 15 }
+  ],
+  vendorColumns: [
+    { field: 'vend', header: 'VEND #' },
+    { field: 'baseCost', header: 'BASE COST', numFmt: '$#,##0.00' },
+    { field: 'boxCase', header: 'Box/Case' },
+    { field: 'unitCase', header: 'Unit/Case' }
+  ]
+};
+
+/**
+ * Describe how a field was read: confidence ('high' | 'medium' | 'low'),
+ * the PDF line(s) it came from, and why it was flagged (if it was)
+ */
+function fieldInfo(confidence, source = [], note = '') {
+  const info = { confidence, source: [].concat(source).filter(Boolean) };
+  if (note) info.note = note;
+  return info;
+}
+
+/**
+ * The line of text around a character index (e.g. a regex match)
+ */
+function lineAt(text, index) {
+  const start = text.lastIndexOf('\n', index) + 1;
+  const end = text.indexOf('\n', index);
+  return text.slice(start, end === -1 ? undefined : end).trim();
+}
+
+/**
+ * Resolve a retailer profile (object, id, or auto-detect from the PDF text)
+ */
+function resolveProfile(profile, text) {
+  return (dependencies.profiles || globalScope.POProfiles).resolve(profile, text);
 }
 
 /**
  * Extract PO metadata from PDF text
+ * PO #/DEPT #/vendor patterns come from the retailer profile. Pass the
+ * positional layout ({ pages }) so side-by-side address blocks can be told
+ * apart; without it addresses are read from the plain text.
+ *
+ * metadata._fields holds fieldInfo() per field, so loosely matched or
+ * missing values can be reviewed before upload. options.template is the
+ * layout template matched for this PO, whose fields override the rules.
  */
-async function getPoMetadata(text) {
+async function getPoMetadata(text, profile = null, layout = null, options = {}) {
+  const rules = resolveProfile(profile, text).metadata;
   const metadata = {
     'VENDOR': '',
     'PO #': '',
@@ -85,19 +480,30 @@ async function getPoMetadata(text) {
     'STATE': '',
     'ORDER DATE': '',
     'SHIP DATE': '',
-    'CANCEL DATE': ''
+    'CANCEL DATE': '',
+    'TERMS': '',
+    'FOB': '',
+    'FREIGHT TERMS': '',
+    'ROUTING': '',
+    'ALLOWANCES': '',
+    'STATUS': '',
+    'REVISION': '',
+    'TOTAL COST': '',
+    'TOTAL QTY': '',
+    'TOTAL PACKS': ''
   };
+  const fields = {};
   
   const lines = text.split('\n');
   const allText = text;
   
   // Extract DEPT NUMBER and ORDER NUMBER
-  // Format: "DEPT. NUMBER:ORDER NUMBER:7761665367" (concatenated)
+  // Beals format: "DEPT. NUMBER:ORDER NUMBER:7761665367" (concatenated)
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
     
     // Try concatenated format
-    const concatMatch = line.match(/DEPT\.\s*NUMBER:\s*ORDER\s*NUMBER:\s*(\d{3,4}?)(\d{6,7})/i);
+    const concatMatch = rules.deptPoConcat && line.match(rules.deptPoConcat);
     if (concatMatch) {
       const fullNum = concatMatch[1] + concatMatch[2];
       let dept, po;
@@ -116,37 +522,43 @@ async function getPoMetadata(text) {
       }
       metadata['DEPT #'] = parseInt(dept);
       metadata['PO #'] = po;
+      fields['DEPT #'] = fieldInfo('medium', line, 'split from a combined DEPT/ORDER number');
+      fields['PO #'] = fieldInfo('medium', line, 'split from a combined DEPT/ORDER number');
       break;
     }
     
     // Try spaced format
-    const spacedMatch = line.match(/DEPT\.\s*NUMBER:\s*(\d+)\s*ORDER\s*NUMBER:\s*(\d+)/i);
+    const spacedMatch = rules.deptPoSpaced && line.match(rules.deptPoSpaced);
     if (spacedMatch) {
       metadata['DEPT #'] = parseInt(spacedMatch[1]);
       metadata['PO #'] = spacedMatch[2];
+      fields['DEPT #'] = fieldInfo('high', line);
+      fields['PO #'] = fieldInfo('high', line);
       break;
     }
   }
   
   // Fallback: look for patterns in full text
-  if (!metadata['PO #']) {
+  if (!metadata['PO #'] && rules.deptLabel && rules.orderLabel) {
     // First try separate lines approach - DEPT. NUMBER: and ORDER NUMBER: are labels
     // followed by the actual values on subsequent lines
     let deptLineFound = false;
     let orderLineFound = false;
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
-      if (line.includes('DEPT. NUMBER:')) {
+      if (line.includes(rules.deptLabel)) {
         deptLineFound = true;
-      } else if (line.includes('ORDER NUMBER:') && deptLineFound) {
+      } else if (line.includes(rules.orderLabel) && deptLineFound) {
         orderLineFound = true;
       } else if (deptLineFound && orderLineFound && /^\d+$/.test(line)) {
         // First number after both labels = DEPT#
         // Second number = PO#
         if (!metadata['DEPT #']) {
           metadata['DEPT #'] = parseInt(line);
+          fields['DEPT #'] = fieldInfo('medium', line, 'first number below the DEPT/ORDER labels');
         } else if (!metadata['PO #']) {
           metadata['PO #'] = line;
+          fields['PO #'] = fieldInfo('medium', line, 'second number below the DEPT/ORDER labels');
           break;
         }
       }
@@ -156,21 +568,31 @@ async function getPoMetadata(text) {
   // Final fallback: look for patterns in full text
   if (!metadata['PO #']) {
     // Try finding DEPT and ORDER separately
-    const deptMatch = allText.match(/DEPT\.?\s*(?:NUMBER|#)?:?\s*(\d{3,4})/i);
-    const poMatch = allText.match(/ORDER\s*NUMBER:?\s*(\d{6,7})/i) || allText.match(/PO\s*#?\s*:?\s*(\d{6,7})/i);
-    if (deptMatch) metadata['DEPT #'] = parseInt(deptMatch[1]);
-    if (poMatch) metadata['PO #'] = poMatch[1];
+    const deptMatch = rules.dept && allText.match(rules.dept);
+    const poMatch = rules.po.map(pattern => allText.match(pattern)).find(Boolean);
+    if (deptMatch) {
+      metadata['DEPT #'] = parseInt(deptMatch[1]);
+      fields['DEPT #'] = fieldInfo('low', lineAt(allText, deptMatch.index), 'matched loosely');
+    }
+    if (poMatch) {
+      metadata['PO #'] = poMatch[1];
+      fields['PO #'] = fieldInfo('low', lineAt(allText, poMatch.index), 'matched loosely');
+    }
   }
   
   // Extract dates
-  const cancelDateMatch = allText.match(/Cancel\s*Date:?\s*(\d{1,2}\/\d{1,2}\/\d{4})/i);
-  if (cancelDateMatch) metadata['CANCEL DATE'] = cancelDateMatch[1];
-  
-  const shipDateMatch = allText.match(/Ship\s*Date:?\s*(\d{1,2}\/\d{1,2}\/\d{4})/i);
-  if (shipDateMatch) metadata['SHIP DATE'] = shipDateMatch[1];
-  
-  const orderDateMatch = allText.match(/Order\s*Date:?\s*(\d{1,2}\/\d{1,2}\/\d{4})/i);
-  if (orderDateMatch) metadata['ORDER DATE'] = orderDateMatch[1];
+  const datePatterns = {
+    'CANCEL DATE': new RegExp(`Cancel\\s*Date:?\\s*(${DATE_SOURCE})`, 'i'),
+    'SHIP DATE': new RegExp(`Ship\\s*Date:?\\s*(${DATE_SOURCE})`, 'i'),
+    'ORDER DATE': new RegExp(`Order\\s*Date:?\\s*(${DATE_SOURCE})`, 'i')
+  };
+  for (const [field, pattern] of Object.entries(datePatterns)) {
+    const dateMatch = allText.match(pattern);
+    if (dateMatch) {
+      metadata[field] = dateMatch[1];
+      fields[field] = fieldInfo('high', lineAt(allText, dateMatch.index));
+    }
+  }
   
   // Look for dates after Cancel Date line (they often appear on consecutive lines)
   if (metadata['CANCEL DATE'] && (!metadata['SHIP DATE'] || !metadata['ORDER DATE'])) {
@@ -178,12 +600,14 @@ async function getPoMetadata(text) {
       if (/Cancel\s*Date/i.test(lines[i])) {
         // Look at next lines for dates
         for (let j = i + 1; j < Math.min(i + 5, lines.length); j++) {
-          const dateMatch = lines[j].trim().match(/^(\d{1,2}\/\d{1,2}\/\d{4})$/);
+          const dateMatch = lines[j].trim().match(new RegExp(`^(${DATE_SOURCE})$`, 'i'));
           if (dateMatch) {
             if (!metadata['SHIP DATE']) {
               metadata['SHIP DATE'] = dateMatch[1];
+              fields['SHIP DATE'] = fieldInfo('medium', [lines[i], lines[j]], 'taken by position after Cancel Date');
             } else if (!metadata['ORDER DATE']) {
               metadata['ORDER DATE'] = dateMatch[1];
+              fields['ORDER DATE'] = fieldInfo('medium', [lines[i], lines[j]], 'taken by position after Cancel Date');
               break;
             }
           }
@@ -205,6 +629,7 @@ async function getPoMetadata(text) {
     const match = allText.match(pattern);
     if (match) {
       metadata['STORE #'] = parseInt(match[1]);
+      fields['STORE #'] = fieldInfo('medium', lineAt(allText, match.index));
       break;
     }
   }
@@ -222,664 +647,1914 @@ async function getPoMetadata(text) {
     const match = allText.match(pattern);
     if (match) {
       metadata['DC'] = match[1].toUpperCase();
+      fields['DC'] = fieldInfo('medium', lineAt(allText, match.index));
       break;
     }
   }
   
   // Extract vendor name
-  const vendorMatch = allText.match(/([\w\s]+)\s+Outlet\s+Stores/i) || 
-                      allText.match(/([\w\s]+)\s+DIST\s*CENTER/i);
+  const vendorMatch = rules.vendor.map(pattern => allText.match(pattern)).find(Boolean);
   if (vendorMatch) {
     metadata['VENDOR'] = vendorMatch[1].trim().toUpperCase();
+    fields['VENDOR'] = fieldInfo('medium', lineAt(allText, vendorMatch.index));
   }
   
+  // Ship-to / bill-to / mark-for blocks
+  Object.assign(metadata, extractAddresses(text, layout, fields));
+  
+  // Terms, FOB, freight, routing and allowances
+  Object.assign(metadata, extractTerms(text, layout, fields));
+  
+  // Revised or cancelled reissue of an earlier PO
+  Object.assign(metadata, detectRevision(text, rules.revision, fields));
+  
+  // Printed Total Cost / Total Qty / packs, for reconcilePoTotals
+  Object.assign(metadata, extractFooterTotals(text, rules.totals, fields));
+  
   // Extract state from shipping address
   const stateMatch = allText.match(/,\s*([A-Z]{2})\s+\d{5}/);
-  if (stateMatch) {
+  if (metadata['SHIP TO STATE']) {
+    metadata['STATE'] = metadata['SHIP TO STATE'];
+    fields['STATE'] = fields['SHIP TO STATE'];
+  } else if (stateMatch) {
     metadata['STATE'] = stateMatch[1];
+    fields['STATE'] = fieldInfo('medium', lineAt(allText, stateMatch.index), 'first City, ST ZIP in the document');
+  }
+  
+  // Fields read by a matching layout template win over the built-in rules
+  if (options.template) {
+    Object.assign(metadata, readTemplateMetadata(options.template, text, layout, fields));
+  }
+  
+  // Normalize dates to MM/DD/YYYY; keep what was printed if it won't parse
+  for (const field of DATE_FIELDS) {
+    if (!metadata[field]) continue;
+    const date = parseDate(metadata[field]);
+    if (date) {
+      metadata[field] = formatDate(date);
+    } else {
+      fields[field] = fieldInfo('low', fields[field] ? fields[field].source : [], 'unrecognized date');
+    }
+  }
+  checkShipWindow(metadata, fields);
+  
+  for (const field of REQUIRED_METADATA) {
+    if (!metadata[field]) fields[field] = fieldInfo('low', [], 'not found');
   }
+  metadata._fields = fields;
   
   return metadata;
 }
 
 /**
- * Parse date string to Date object
+ * Tell a revised or cancelled reissue from an original PO
+ * A revision number alone (e.g. "REV 2") also marks the PO as revised.
  */
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-  try {
-    const parts = dateStr.split('/');
-    if (parts.length === 3) {
-      const month = parseInt(parts[0]);
-      const day = parseInt(parts[1]);
-      const year = parseInt(parts[2]);
-      return new Date(year, month - 1, day);
-    }
-  } catch (e) {
-    console.error('Date parse error:', e);
+function detectRevision(text, patterns, fieldInfos) {
+  const result = { 'STATUS': '', 'REVISION': '' };
+  if (!patterns) return result;
+  
+  const numberMatch = text.match(patterns.number);
+  if (numberMatch) {
+    result['REVISION'] = String(parseInt(numberMatch[1], 10));
+    fieldInfos['REVISION'] = fieldInfo('high', lineAt(text, numberMatch.index));
   }
-  return null;
+  
+  const cancelMatch = patterns.cancelled.map(re => text.match(re)).find(Boolean);
+  const revisedMatch = text.match(patterns.revised);
+  if (cancelMatch) {
+    result['STATUS'] = PO_STATUS.CANCELLED;
+    fieldInfos['STATUS'] = fieldInfo('high', lineAt(text, cancelMatch.index));
+  } else if (revisedMatch || numberMatch) {
+    result['STATUS'] = PO_STATUS.REVISED;
+    fieldInfos['STATUS'] = fieldInfo('high', lineAt(text, (revisedMatch || numberMatch).index));
+  }
+  return result;
 }
 
 /**
- * Get column letter from 1-based index
+ * Read the footer totals printed under the SKU table
+ * The last occurrence of each label wins (earlier ones can be page
+ * subtotals). Values are kept as printed digits: "1234.56" or "120".
  */
-function getColumnLetter(colNum) {
-  let letter = '';
-  while (colNum > 0) {
-    const remainder = (colNum - 1) % 26;
-    letter = String.fromCharCode(65 + remainder) + letter;
-    colNum = Math.floor((colNum - 1) / 26);
+function extractFooterTotals(text, patterns, fieldInfos) {
+  const result = {};
+  TOTAL_FIELDS.forEach(field => { result[field] = ''; });
+  if (!patterns) return result;
+  
+  const lines = text.split('\n').map(line => line.trim());
+  const valueIn = (str, field) => {
+    if (field === 'TOTAL COST') {
+      const match = str.match(/\$?\s*([\d,]+\.\d{2})\b/);
+      return match ? match[1].replace(/,/g, '') : '';
+    }
+    const match = str.replace(/\$?[\d,]+\.\d+/g, ' ').match(/\b(\d[\d,]*)\b/);
+    return match ? match[1].replace(/,/g, '') : '';
+  };
+  const isValueLine = str => /^[\s$\d,.]+$/.test(str) && /\d/.test(str);
+  
+  for (const field of TOTAL_FIELDS) {
+    const label = patterns[field];
+    if (!label) continue;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const match = lines[i].match(label);
+      if (!match) continue;
+      
+      let value = valueIn(lines[i].slice(match.index + match[0].length), field);
+      let source = [lines[i]];
+      // Labels printed above their values: look past label-only lines
+      for (let j = i + 1; !value && j < Math.min(i + 4, lines.length); j++) {
+        if (isValueLine(lines[j])) {
+          value = valueIn(lines[j], field);
+          source = [lines[i], lines[j]];
+        } else if (/\d/.test(lines[j])) {
+          break;
+        }
+      }
+      if (value) {
+        result[field] = value;
+        fieldInfos[field] = fieldInfo('high', source);
+        break;
+      }
+    }
   }
-  return letter;
+  return result;
 }
 
 /**
- * Parse SKU table from PDF text
- * Complete 4-strategy parser ported from backend
+ * Status of one PO line: cancelled if the whole PO is, if the line says so,
+ * or if a revision drops its quantity to zero; otherwise the PO's status
  */
-function parseSkuTable(pdfText) {
-  const lines = pdfText
-    .split(/\r?\n/)
-    .map(l => l.trim());
-
-  const items = [];
+function lineStatus(metadata, item, patterns) {
+  if (metadata['STATUS'] === PO_STATUS.CANCELLED) return PO_STATUS.CANCELLED;
+  const sourceLines = (item._fields && item._fields['SKU'] ? item._fields['SKU'].source : []);
+  if (patterns && sourceLines.some(line => patterns.lineCancelled.test(line))) return PO_STATUS.CANCELLED;
+  if (metadata['STATUS'] === PO_STATUS.REVISED && parseInt(item['Qty'], 10) === 0) return PO_STATUS.CANCELLED;
+  return metadata['STATUS'];
+}
 
-  let headerIdx = -1;
-  for (let i = 0; i < lines.length; i++) {
-    const upper = lines[i].toUpperCase();
-    if (upper.includes('SKU')) {
-      const windowLines = lines.slice(i, i + 6).join(' ').toUpperCase();
-      if (windowLines.includes('MFG') && windowLines.includes('STYLE')) {
-        headerIdx = i;
-        break;
+/**
+ * Read the ship-to, bill-to and mark-for blocks into flat address fields
+ * Each block is found by its label; with a layout, only text below the label
+ * and left of the next label on that line is taken, so blocks printed side by
+ * side stay separate. The first block found for each label wins. Field
+ * confidence is added to fieldInfos when given.
+ */
+function extractAddresses(text, layout = null, fieldInfos = {}) {
+  const blockLines = {};
+  
+  for (const page of (layout && layout.pages) || []) {
+    page.lines.forEach((line, lineIndex) => {
+      for (const label of findLabels(line, ADDRESS_BLOCKS)) {
+        if (blockLines[label.key]) continue;
+        const following = columnTextBelow(page.lines, lineIndex, label.x0, label.x1);
+        blockLines[label.key] = { lines: collectAddressLines([label.rest, ...following]), fromLayout: true };
       }
+    });
+  }
+  
+  // Plain-text fallback: only lines carrying a single label can be split
+  const lines = text.split('\n');
+  lines.forEach((line, lineIndex) => {
+    const labels = ADDRESS_BLOCKS.filter(block => block.label.test(line));
+    if (labels.length !== 1 || blockLines[labels[0].key]) return;
+    const rest = line.slice(line.search(labels[0].label)).replace(labels[0].label, '').trim();
+    const following = lines.slice(lineIndex + 1, lineIndex + 1 + MAX_ADDRESS_LINES * 2);
+    blockLines[labels[0].key] = { lines: collectAddressLines([rest, ...following]), fromLayout: false };
+  });
+  
+  const fields = {};
+  for (const block of ADDRESS_BLOCKS) {
+    const found = blockLines[block.key] || { lines: [], fromLayout: false };
+    const address = parseAddressLines(found.lines);
+    const complete = address['CITY'] && address['ZIP'];
+    for (const part of ADDRESS_PARTS) {
+      const field = `${block.key} ${part}`;
+      fields[field] = address[part];
+      if (!address[part]) continue;
+      fieldInfos[field] = complete
+        ? fieldInfo(found.fromLayout ? 'high' : 'medium', found.lines)
+        : fieldInfo('low', found.lines, 'no City, ST ZIP line in the block');
     }
   }
+  return fields;
+}
 
-  if (headerIdx === -1) {
-    return items;
+/**
+ * Find labels on a line with their x-range and same-line text
+ * labelDefs are { key, label, keepLabel? }, earlier defs winning where
+ * matches overlap ("FREIGHT TERMS" before "TERMS"). A label's text and
+ * x-range run up to the next label on the line; x-ranges need layout items.
+ */
+function findLabels(line, labelDefs) {
+  const items = line.items || [];
+  // Character offset of each item within line.text (items joined by spaces)
+  const offsets = [];
+  let offset = 0;
+  for (const item of items) {
+    offsets.push(offset);
+    offset += item.str.length + 1;
   }
+  const xAt = (charIndex) => {
+    if (items.length === 0) return NaN;
+    let i = offsets.length - 1;
+    while (i > 0 && offsets[i] > charIndex) i--;
+    const item = items[i];
+    const perChar = item.str.length > 0 ? item.width / item.str.length : 0;
+    return item.x + (charIndex - offsets[i]) * perChar;
+  };
   
-  // Strategy 1: stacked columns (each field on its own line following headers)
-  const firstSkuIdx = lines.findIndex((line, idx) => idx > headerIdx && /^\d{8,9}$/.test(line));
+  const found = [];
+  for (const def of labelDefs) {
+    const flags = def.label.flags.includes('g') ? def.label.flags : def.label.flags + 'g';
+    for (const match of line.text.matchAll(new RegExp(def.label.source, flags))) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some(label => start < label.end && end > label.start)) continue;
+      found.push({ key: def.key, keepLabel: def.keepLabel, start, end, text: match[0].trim(), x0: xAt(start) });
+    }
+  }
+  found.sort((a, b) => a.start - b.start);
   
-  if (firstSkuIdx !== -1) {
-    let idx = firstSkuIdx;
-    
-    const isUpc = (text) => /^upc:/i.test(text) || /^\d{12,14}$/.test(text);
-    const isPrice = (text) => /^\$[\d,]+\.\d{2}$/.test(text);
-    const isSmallQty = (text) => /^\d+$/.test(text) && parseInt(text) >= 1 && parseInt(text) <= 9999;
-    const isPackLetter = (text) => /^[A-Z]$/.test(text);
-    
-    while (idx < lines.length) {
-      // Skip pack letters (A, B, C) that appear before SKUs in ComplexDomestic format
-      while (idx < lines.length && isPackLetter(lines[idx])) {
-        idx++;
-      }
-      if (idx >= lines.length) break;
-      
-      const skuLine = lines[idx];
-      if (!/^\d{8,9}$/.test(skuLine)) {
-        break;
-      }
-      if (/^number\s+of\s+packs\s*$/i.test(skuLine) || /^total\s+(cost|qty)/i.test(skuLine)) break;
-      
-      const item = {
-        'SKU': skuLine,
-        'MFG Style': '',
-        'MFG Color': '',
-        'Size Desc.': '',
-        'Description': '',
-        'Cost/Unit': '',
-        'Retail': '',
-        'Comp': '',
-        'Pack Qty.': '',
-        'Qty': ''
-      };
-      
-      idx++;
-      let fieldStage = 0;
-      const prices = [];
-      const quantities = [];
-      
-      while (idx < lines.length) {
-        const line = lines[idx].trim();
-        if (!line) { idx++; continue; }
-        
-        if (/^\d{8,9}$/.test(line)) break;
-        if (/^number\s+of\s+packs\s+ordered:/i.test(line)) { idx++; break; }
-        if (/^number\s+of\s+packs\s*$/i.test(line)) break;
-        if (/^total\s+(cost|qty)/i.test(line)) break;
-        if (/^page/i.test(line)) break;
-        
-        if (isUpc(line)) { idx++; continue; }
-        
-        if (isPrice(line)) {
-          prices.push(line);
-          idx++;
+  const TOLERANCE = 5; // Values may start slightly left of their label
+  return found.map((label, idx) => {
+    const next = found[idx + 1];
+    return {
+      key: label.key,
+      keepLabel: Boolean(label.keepLabel),
+      text: label.text,
+      rest: line.text.slice(label.keepLabel ? label.start : label.end, next ? next.start : undefined).trim(),
+      x0: label.x0 - TOLERANCE,
+      x1: next ? next.x0 - TOLERANCE : Infinity
+    };
+  });
+}
+
+/**
+ * Read terms, FOB point, freight terms, routing and allowances
+ * A value is the text after its label, up to the next label on the line;
+ * with a layout, a label with nothing after it takes the text right below it
+ * (header row over value row). Several allowances are joined with "; ".
+ */
+function extractTerms(text, layout = null, fieldInfos = {}) {
+  const found = {};
+  TERMS_FIELDS.forEach(field => { found[field] = []; });
+  
+  const add = (field, value, confidence, source) => {
+    value = value.replace(/^[\s:.-]+|[\s,;]+$/g, '').replace(/\s+/g, ' ');
+    if (!value || value.length > MAX_TERMS_LENGTH) return;
+    if (field !== 'ALLOWANCES' && found[field].length > 0) return;
+    if (found[field].some(entry => entry.value === value)) return;
+    found[field].push({ value, confidence, source });
+  };
+  const valueAfter = (label) => (label.keepLabel ? label.rest.slice(label.text.length) : label.rest).trim();
+  const withLabel = (label, value) => (label.keepLabel ? `${label.text} ${value}` : value);
+  const isLabel = (value) => TERMS_LABELS.some(def => def.label.test(value));
+  
+  for (const page of (layout && layout.pages) || []) {
+    page.lines.forEach((line, lineIndex) => {
+      if (TERMS_BOILERPLATE_RE.test(line.text)) return;
+      for (const label of findLabels(line, TERMS_LABELS)) {
+        const value = valueAfter(label);
+        if (value) {
+          add(label.key, withLabel(label, value), 'high', [line.text]);
           continue;
         }
-        
-        if (prices.length > 0 && isSmallQty(line)) {
-          quantities.push(parseInt(line));
-          idx++;
-          continue;
+        const [below] = columnTextBelow(page.lines, lineIndex, label.x0, label.x1);
+        if (below && !isLabel(below)) {
+          add(label.key, withLabel(label, below), 'medium', [line.text, page.lines[lineIndex + 1].text]);
         }
-        
-        if (prices.length === 0) {
-          if (fieldStage === 0) {
-            item['MFG Style'] = line;
-            fieldStage = 1;
-          } else if (fieldStage === 1) {
-            item['MFG Color'] = line;
-            fieldStage = 2;
-          } else if (fieldStage === 2) {
-            item['Size Desc.'] = line;
-            fieldStage = 3;
-          } else if (fieldStage === 3) {
-            if (item['Description']) {
-              item['Description'] += ' ' + line;
-            } else {
-              item['Description'] = line;
-            }
-          }
-        }
-        idx++;
       }
+    });
+  }
+  
+  // Plain-text fallback for anything the layout didn't give
+  const fromLayout = new Set(TERMS_FIELDS.filter(field => found[field].length > 0));
+  const lines = text.split('\n');
+  lines.forEach((lineText, lineIndex) => {
+    if (TERMS_BOILERPLATE_RE.test(lineText)) return;
+    const labels = findLabels({ text: lineText }, TERMS_LABELS);
+    for (const label of labels) {
+      if (fromLayout.has(label.key)) continue;
+      const value = valueAfter(label);
+      if (value) {
+        add(label.key, withLabel(label, value), 'high', [lineText]);
+        continue;
+      }
+      // Value on the next line only when this line has a single label
+      const next = (lines[lineIndex + 1] || '').trim();
+      if (labels.length === 1 && next && !isLabel(next)) {
+        add(label.key, withLabel(label, next), 'low', [lineText, next]);
+      }
+    }
+  });
+  
+  const rank = { high: 2, medium: 1, low: 0 };
+  const values = {};
+  for (const field of TERMS_FIELDS) {
+    const entries = found[field];
+    values[field] = entries.map(entry => entry.value).join('; ');
+    if (entries.length === 0) continue;
+    const weakest = entries.reduce((a, b) => (rank[b.confidence] < rank[a.confidence] ? b : a));
+    fieldInfos[field] = fieldInfo(weakest.confidence, entries.flatMap(entry => entry.source),
+      weakest.confidence === 'low' ? 'value taken from the line below its label' : '');
+  }
+  return values;
+}
+
+/**
+ * Text of the lines below a label within [x0, x1)
+ * Large vertical gaps come back as empty strings so the block ends there.
+ */
+function columnTextBelow(lines, lineIndex, x0, x1) {
+  const texts = [];
+  let prevY = lines[lineIndex].y;
+  for (let i = lineIndex + 1; i < Math.min(lines.length, lineIndex + 1 + MAX_ADDRESS_LINES * 2); i++) {
+    const line = lines[i];
+    if (prevY - line.y > Math.max(line.height || 10, 6) * 2.5) texts.push('');
+    prevY = line.y;
+    texts.push(line.items.filter(item => item.x >= x0 && item.x < x1).map(item => item.str).join(' ').trim());
+  }
+  return texts;
+}
+
+/**
+ * Take an address block's lines until it ends
+ * Stops at a blank line, another label or header text, after the
+ * city/state/ZIP line (plus a phone line right below it), or at the cap.
+ */
+function collectAddressLines(candidates) {
+  const collected = [];
+  let skippedBlanks = 0;
+  let sawCityLine = false;
+  
+  for (const candidate of candidates) {
+    const line = (candidate || '').replace(/\s+/g, ' ').trim();
+    if (!line) {
+      if (collected.length > 0 || ++skippedBlanks > 2) break;
+      continue;
+    }
+    if (ADDRESS_LABEL_RE.test(line) || ADDRESS_STOP_RE.test(line)) break;
+    if (sawCityLine && !PHONE_RE.test(line)) break;
+    
+    collected.push(line);
+    if (sawCityLine || collected.length >= MAX_ADDRESS_LINES) break;
+    if (CITY_STATE_ZIP_RE.test(line)) sawCityLine = true;
+  }
+  
+  return collected;
+}
+
+/**
+ * Split an address block's lines into name, street, city, state, ZIP, phone
+ */
+function parseAddressLines(lines) {
+  const address = { 'NAME': '', 'ADDRESS 1': '', 'ADDRESS 2': '', 'CITY': '', 'STATE': '', 'ZIP': '', 'PHONE': '' };
+  const streetLines = [];
+  
+  for (let line of lines) {
+    const cityMatch = !address['CITY'] && line.match(CITY_STATE_ZIP_RE);
+    if (cityMatch) {
+      address['CITY'] = cityMatch[1].replace(/,\s*$/, '').trim();
+      address['STATE'] = cityMatch[2];
+      address['ZIP'] = cityMatch[3];
+      continue;
+    }
+    
+    const phoneMatch = !address['PHONE'] && line.match(PHONE_RE);
+    if (phoneMatch && (phoneMatch[0] !== phoneMatch[1] || line.trim() === phoneMatch[0].trim())) {
+      address['PHONE'] = phoneMatch[1].trim();
+      line = line.replace(phoneMatch[0], '').trim();
+      if (!line) continue;
+    }
+    
+    if (!address['NAME']) {
+      address['NAME'] = line;
+    } else {
+      streetLines.push(line);
+    }
+  }
+  
+  address['ADDRESS 1'] = streetLines[0] || '';
+  address['ADDRESS 2'] = streetLines.slice(1).join(', ');
+  return address;
+}
+
+/**
+ * Parse a PO date to a Date at UTC midnight (so Excel gets a whole-day serial)
+ * Accepts M/D/YYYY, MM-DD-YY, M.D.YY, DD-MMM-YYYY, "1 MAY 26" and YYYY-MM-DD;
+ * numeric dates are read month first. Returns null for anything else,
+ * including impossible days like 2/30.
+ */
+function parseDate(dateStr) {
+  if (dateStr instanceof Date) return isNaN(dateStr.getTime()) ? null : dateStr;
+  const text = (dateStr || '').toString().trim().toUpperCase();
+  if (!text) return null;
+
+  let year, month, day, match;
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/))) {
+    [, month, day, year] = match;
+  } else if ((match = text.match(/^(\d{1,2})[-\s]([A-Z]{3})[A-Z]*\.?[-\s,]+(\d{4}|\d{2})$/))) {
+    [, day, , year] = match;
+    month = MONTH_NAMES.indexOf(match[2]) + 1;
+    if (!month) return null;
+  } else {
+    return null;
+  }
+
+  year = parseInt(year, 10);
+  month = parseInt(month, 10);
+  day = parseInt(day, 10);
+  if (year < 100) year += year < TWO_DIGIT_YEAR_PIVOT ? 2000 : 1900;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Format a parsed date as MM/DD/YYYY
+ */
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Flag date sequences that can't be right: ordered after shipping, shipping
+ * after the cancel date, or a cancel date that has already passed
+ */
+function checkShipWindow(metadata, fields, now = new Date()) {
+  const order = parseDate(metadata['ORDER DATE']);
+  const ship = parseDate(metadata['SHIP DATE']);
+  const cancel = parseDate(metadata['CANCEL DATE']);
+  const flag = (field, note) => {
+    const current = fields[field] || fieldInfo('low', []);
+    const notes = current.confidence === 'low' && current.note ? `${current.note}; ${note}` : note;
+    fields[field] = fieldInfo('low', current.source, notes);
+  };
+
+  if (order && ship && order > ship) {
+    flag('ORDER DATE', 'order date is after the ship date');
+    flag('SHIP DATE', 'ship date is before the order date');
+  }
+  if (ship && cancel && ship > cancel) {
+    flag('SHIP DATE', 'ship date is after the cancel date');
+    flag('CANCEL DATE', 'cancel date is before the ship date');
+  }
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  if (cancel && cancel.getTime() < today) {
+    flag('CANCEL DATE', 'cancel date has already passed');
+  }
+}
+
+/**
+ * Get column letter from 1-based index
+ */
+function getColumnLetter(colNum) {
+  let letter = '';
+  while (colNum > 0) {
+    const remainder = (colNum - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    colNum = Math.floor((colNum - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Map a detected column header label to a line item field
+ */
+function columnField(label) {
+  const upper = label.toUpperCase();
+  if (/\bUPC\b/.test(upper)) return 'UPC';
+  if (/\bSKU\b/.test(upper)) return 'SKU';
+  if (/STYLE/.test(upper)) return 'MFG Style';
+  if (/COLOU?R/.test(upper)) return 'MFG Color';
+  if (/SIZE/.test(upper)) return 'Size Desc.';
+  if (/DESC/.test(upper)) return 'Description';
+  if (/COST/.test(upper)) return 'Cost/Unit';
+  if (/COMP/.test(upper)) return 'Comp';
+  if (/RETAIL/.test(upper)) return 'Retail';
+  if (/PACK\s*QTY|UNITS?\s*(PER|\/)\s*PACK/.test(upper)) return 'Pack Qty.';
+  if (/PACKS/.test(upper)) return null; // Number of packs, derived elsewhere
+  if (/QTY|QUANTITY|UNITS/.test(upper)) return 'Qty';
+  return null;
+}
+
+/**
+ * Pull a UPC from a "UPC: 0 12345 67890 5" line or a bare 12-14 digit line
+ */
+function upcInLine(line) {
+  const text = String(line || '').trim();
+  const labelled = text.match(/^UPC\s*#?:?\s*(\d{11,14}|\d[\d -]{10,18}\d)(?!\d)/i);
+  if (labelled) return labelled[1].replace(/\D/g, '');
+  return /^\d{12,14}$/.test(text) ? text : '';
+}
+
+/**
+ * True when the last digit is the GS1 check digit of the ones before it
+ */
+function hasValidCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += parseInt(digits[i], 10) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === parseInt(digits[digits.length - 1], 10);
+}
+
+/**
+ * Normalize a UPC to 12-digit UPC-A (or 13-digit EAN-13 outside the US/Canada
+ * prefix) and validate its check digit. GTIN-14s with a zero indicator and
+ * EAN-13s with a leading zero fold down; 11 digits are a UPC-A whose leading
+ * zero was lost to a numeric cell.
+ */
+function normalizeUpc(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  if (!digits) return { upc: '', valid: false, note: 'missing' };
+
+  let upc = digits;
+  if (upc.length === 14 && upc.startsWith('0')) upc = upc.slice(1);
+  if (upc.length === 13 && upc.startsWith('0')) upc = upc.slice(1);
+  if (upc.length === 11) upc = '0' + upc;
+
+  if (upc.length !== 12 && upc.length !== 13) {
+    return { upc: digits, valid: false, note: 'not a UPC-A or EAN-13' };
+  }
+  if (!hasValidCheckDigit(upc)) {
+    return { upc, valid: false, note: 'check digit does not match' };
+  }
+  return { upc, valid: true, note: '' };
+}
+
+/**
+ * Attach per-field confidence and source lines to a parsed SKU line
+ * Fields start at the strategy's level and drop to low when missing,
+ * malformed, split from run-together digits, or inconsistent (retail below
+ * cost, quantity not a multiple of the pack quantity). UPCs are normalized
+ * here and flagged when the check digit fails.
+ */
+function scoreItemFields(item, strategy, sourceLines, guessed = []) {
+  const base = (getParseStrategy(strategy) || {}).confidence || 'medium';
+  const fields = {};
+  const flag = (field, note) => { fields[field] = fieldInfo('low', sourceLines, note); };
+  const upc = item['UPC'] ? normalizeUpc(item['UPC']) : null;
+  if (upc) item['UPC'] = upc.upc;
+
+  for (const field of ITEM_FIELDS) {
+    if (item[field] !== undefined && item[field] !== '') fields[field] = fieldInfo(base, sourceLines);
+  }
+  
+  const toPrice = (value) => {
+    const match = String(value || '').match(/^\$?([\d,]+\.\d{2})$/);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+  };
+  const cost = toPrice(item['Cost/Unit']);
+  const retail = toPrice(item['Retail']);
+  const qtyText = String(item['Qty'] ?? '').trim();
+  const qty = parseInt(qtyText, 10);
+  const packQty = parseInt(item['Pack Qty.'], 10);
+  
+  if (!item['MFG Style']) flag('MFG Style', 'missing');
+  if (cost === null) flag('Cost/Unit', item['Cost/Unit'] ? 'not a price' : 'missing');
+  if (item['Retail'] && retail === null) flag('Retail', 'not a price');
+  if (cost !== null && retail !== null && retail < cost) {
+    flag('Cost/Unit', 'retail below cost');
+    flag('Retail', 'retail below cost');
+  }
+  if (!/^\d+$/.test(qtyText) || !(qty > 0)) {
+    flag('Qty', qtyText ? 'not a whole number' : 'missing');
+  } else if (packQty > 0 && qty % packQty !== 0) {
+    flag('Qty', `not a multiple of pack qty ${packQty}`);
+  }
+  if (upc && !upc.valid) flag('UPC', upc.note);
+  for (const field of guessed) {
+    if (item[field]) flag(field, 'split from run-together digits');
+  }
+  
+  item._fields = fields;
+  return item;
+}
+
+/**
+ * Read the SKU table cell by cell using the column model from extractPdfLayout
+ * Only used when the header exposes at least SKU, style and a price or
+ * quantity column; otherwise the text strategies below take over.
+ */
+function parseColumnTable(layout, profile) {
+  const items = [];
+  if (!layout || !Array.isArray(layout.pages)) return items;
+  
+  const skuCellRe = new RegExp(`^(?:[A-Z]\\s+)?(${profile.table.sku})$`);
+  const normalizePrice = (text) => {
+    const match = (text || '').replace(/\s+/g, '').match(/^\$?([\d,]+)\.(\d{1,2})$/);
+    if (!match) return '';
+    return `$${match[1]}.${match[2].padEnd(2, '0')}`;
+  };
+  const normalizeCount = (text) => {
+    const match = (text || '').trim().match(/^(\d+)(?:\.0+)?$/);
+    return match ? match[1] : '';
+  };
+  
+  const sources = new Map();
+  
+  for (const page of layout.pages) {
+    if (!page.header || !page.columns || page.columns.length === 0) continue;
+    
+    const columns = page.columns.map(col => ({ ...col, field: columnField(col.label) }));
+    const fields = new Set(columns.map(col => col.field).filter(Boolean));
+    if (!fields.has('SKU') || !fields.has('MFG Style')) continue;
+    if (!fields.has('Cost/Unit') && !fields.has('Qty')) continue;
+    
+    let current = null;
+    for (let i = page.header.lineIndex + 1; i < page.lines.length; i++) {
+      const line = page.lines[i];
+      const text = line.text.trim();
+      if (/^total\s+(cost|qty|pack)/i.test(text)) break;
+      if (/^page\b/i.test(text)) break;
+      if (/^number\s+of\s+packs/i.test(text)) { current = null; continue; }
       
-      if (prices.length >= 1) item['Cost/Unit'] = prices[0];
-      if (prices.length >= 2) item['Comp'] = prices[1];
-      if (prices.length >= 3) item['Retail'] = prices[2];
+      const cells = {};
+      for (const item of line.items) {
+        const str = item.str.trim();
+        if (!str) continue;
+        // Superscript footnote marks sit above the baseline in a smaller font
+        if (item.y > line.y && item.height < line.height * 0.7) continue;
+        const center = item.x + item.width / 2;
+        const col = columns.find(c => center >= c.x0 && center < c.x1);
+        if (!col || !col.field) continue;
+        cells[col.field] = cells[col.field] ? `${cells[col.field]} ${str}` : str;
+      }
       
-      if (quantities.length >= 1) item['Pack Qty.'] = quantities[0];
-      if (quantities.length >= 3) {
-        item['Qty'] = quantities[2];
-      } else if (quantities.length >= 2) {
-        item['Qty'] = quantities[1];
-      } else if (quantities.length === 1) {
-        item['Qty'] = quantities[0];
+      const skuMatch = (cells['SKU'] || '').match(skuCellRe);
+      if (skuMatch) {
+        current = {
+          'SKU': skuMatch[1],
+          'MFG Style': cells['MFG Style'] || '',
+          'MFG Color': cells['MFG Color'] || '',
+          'Size Desc.': cells['Size Desc.'] || '',
+          'Description': cells['Description'] || '',
+          'Cost/Unit': normalizePrice(cells['Cost/Unit']),
+          'Comp': normalizePrice(cells['Comp']),
+          'Retail': normalizePrice(cells['Retail']),
+          'Pack Qty.': normalizeCount(cells['Pack Qty.']),
+          'Qty': normalizeCount(cells['Qty']),
+          'UPC': (cells['UPC'] || '').replace(/\D/g, '')
+        };
+        items.push(current);
+        sources.set(current, [line.text]);
+        continue;
       }
       
-      items.push(item);
+      // Continuation line: wrapped description or a UPC printed under the SKU
+      if (current) {
+        sources.get(current).push(line.text);
+        const upcMatch = text.match(/^upc:?\s*(\d{12,14})$/i);
+        if (upcMatch) {
+          if (!current['UPC']) current['UPC'] = upcMatch[1];
+        } else if (cells['Description']) {
+          current['Description'] = `${current['Description']} ${cells['Description']}`.trim();
+        }
+      }
     }
   }
+  
+  // Reject the column read if any row lacks the basics - the text strategies
+  // handle layouts where pdf.js merges several columns into one text run
+  const valid = items.length > 0 && items.every(item => item['MFG Style'] && (item['Cost/Unit'] || item['Qty']));
+  return valid ? items.map(item => scoreItemFields(item, 'columns', sources.get(item))) : [];
+}
 
-  // Strategy 2: multi-line blocks (SKU/style/desc on first line, UPC, prices)
-  // Also handles inline format where pack letter precedes SKU on same line
-  if (items.length === 0) {
-    const colorRegex = /\b(White|Black|Red|Blue|Green|Yellow|Grey|Gray|Pink|Brown|Purple|Navy|Silver|Gold|Orange|Multi Pattern|Multi|Ivory|Cream|Beige|Khaki|Tan|Bone|Natural|Royal|Teal|Turquoise|Maroon|Olive|Charcoal|Burgundy|No Color)\b/i;
+// Size labels of a size-run grid ("S M L XL", "2T 3T 4T", "28 30 32") and
+// the row total column that may follow them
+const SIZE_LABEL_RE = /^(?:XXS|XS|S|M|L|XL|XXL|XXXL|[2-6]XL?|OS|OSFA|NB|\d{1,2}(?:\.5)?[TMWY]?|\d{1,2}-\d{1,2}M?)$/i;
+const SIZE_TOTAL_LABEL_RE = /^(?:TOTAL|TTL|QTY|UNITS)$/i;
 
-    for (let i = headerIdx + 1; i < lines.length; i++) {
-      const line = lines[i];
+/**
+ * Find the longest run of size labels in a header line: two or more in a
+ * row (three when they are all numbers). Returns { sizes, hasTotal } or null.
+ */
+function findSizeRun(text) {
+  const tokens = String(text || '').replace(/^SIZES?\s*:?\s*/i, '').split(/\s+/).filter(Boolean);
+  let best = null;
+  let start = 0;
+  while (start < tokens.length) {
+    let end = start;
+    while (end < tokens.length && SIZE_LABEL_RE.test(tokens[end])) end++;
+    const sizes = tokens.slice(start, end);
+    const minimum = sizes.every(size => /^\d/.test(size)) ? 3 : 2;
+    if (sizes.length >= minimum && (!best || sizes.length > best.sizes.length)) {
+      best = { sizes: sizes.map(size => size.toUpperCase()), hasTotal: SIZE_TOTAL_LABEL_RE.test(tokens[end] || '') };
+    }
+    start = end + 1;
+  }
+  return best;
+}
 
-      if (!line || /^\s*$/u.test(line)) continue;
-      if (/^total\s+(qty|cost)/i.test(line)) break;
-      if (/^number\s+of\s+packs\s*$/i.test(line)) break;
+/**
+ * A line that is nothing but a size run ("SIZE: S M L XL TOTAL"), as printed
+ * above each style's rows in some grids; a run of bare numbers needs the
+ * SIZE label so it isn't mistaken for a row of quantities
+ */
+function sizeHeaderLine(line) {
+  const text = String(line || '').trim();
+  const run = findSizeRun(text);
+  if (!run) return null;
+  const labelled = /^SIZES?\b/i.test(text);
+  const tokenCount = text.replace(/^SIZES?\s*:?\s*/i, '').split(/\s+/).length;
+  if (tokenCount !== run.sizes.length + (run.hasTotal ? 1 : 0)) return null;
+  if (!labelled && run.sizes.every(size => /^\d/.test(size))) return null;
+  return run;
+}
 
-      // Allow optional pack letter (A, B, C) before SKU
-      if (!/^[A-Z]?\s*\d{8,9}/.test(line)) continue;
+/**
+ * Size run of the table header (the header line and the few lines under it
+ * before the first SKU row or priced line)
+ */
+function findGridSizes(lines, headerIdx, packSkuStartRe) {
+  for (let i = headerIdx; i < Math.min(headerIdx + 4, lines.length); i++) {
+    if (i > headerIdx && (packSkuStartRe.test(lines[i]) || /\$\d/.test(lines[i]))) break;
+    const run = findSizeRun(lines[i]);
+    if (run) return run;
+  }
+  return null;
+}
 
-      // Extract SKU, handling optional pack letter prefix
-      // Use 's' flag to make . match newlines
-      const skuMatch = line.match(/^([A-Z]?\s*)(\d{8,9})(.*?)$/s);
-      if (!skuMatch) continue;
+/**
+ * Turn one grid row into a line per size ordered; quantities that don't add
+ * up to the row's printed total are flagged
+ */
+function sizeGridLines(base, sizeQtys, total, sourceLines) {
+  const sum = sizeQtys.reduce((acc, entry) => acc + entry.qty, 0);
+  return sizeQtys
+    .filter(entry => entry.qty > 0)
+    .map(entry => {
+      const item = scoreItemFields({ ...base, 'Size Desc.': entry.size, 'Qty': String(entry.qty) }, 'size-grid', sourceLines);
+      if (total !== null && sum !== total) {
+        item._fields['Qty'] = fieldInfo('low', sourceLines, `sizes add up to ${sum}, row total is ${total}`);
+      }
+      return item;
+    });
+}
 
-      const sku = skuMatch[2];
-      let remainder = (skuMatch[3] || '').trim();
+/**
+ * Read size-run grids by column from the positional layout: one column per
+ * size label, so sizes left blank on a row are told apart. Returns [] when
+ * the header has no size columns.
+ */
+function parseSizeGridColumns(layout, profile) {
+  const items = [];
+  if (!layout || !Array.isArray(layout.pages)) return items;
+  
+  const skuCellRe = new RegExp(`^(?:[A-Z]\\s+)?(${profile.table.sku})$`);
+  const toPrice = (text) => {
+    const match = (text || '').replace(/\s+/g, '').match(/^\$?([\d,]+)\.(\d{1,2})$/);
+    return match ? `$${match[1]}.${match[2].padEnd(2, '0')}` : '';
+  };
+  
+  for (const page of layout.pages) {
+    if (!page.header || !page.columns || page.columns.length === 0) continue;
+    
+    const columns = page.columns.map(col => {
+      const label = col.label.trim();
+      return {
+        ...col,
+        size: SIZE_LABEL_RE.test(label) ? label.toUpperCase() : '',
+        total: /^(?:TOTAL|TTL)\b/i.test(label),
+        field: columnField(label)
+      };
+    });
+    const sizeColumns = columns.filter(col => col.size);
+    if (sizeColumns.length < 2) continue;
+    
+    for (let i = page.header.lineIndex + 1; i < page.lines.length; i++) {
+      const line = page.lines[i];
+      const text = line.text.trim();
+      if (/^total\s+(cost|qty|pack)/i.test(text)) break;
+      if (/^page\b/i.test(text)) break;
       
-      // Normalize newlines to spaces (pdf.js combines text with newlines)
-      remainder = remainder.replace(/\n+/g, ' ').replace(/\s+/g, ' ');
+      const cells = new Map();
+      for (const item of line.items) {
+        const str = item.str.trim();
+        if (!str) continue;
+        const center = item.x + item.width / 2;
+        const col = columns.find(c => center >= c.x0 && center < c.x1);
+        if (col) cells.set(col, cells.has(col) ? `${cells.get(col)} ${str}` : str);
+      }
+      const cellFor = field => {
+        const col = columns.find(c => !c.size && !c.total && c.field === field);
+        return col ? (cells.get(col) || '') : '';
+      };
       
-      const hasInlinePrice = /\$\d/.test(remainder);
+      const skuMatch = cellFor('SKU').match(skuCellRe);
+      if (!skuMatch) continue;
       
-      if (hasInlinePrice) {
-        const allPrices = remainder.match(/\$[\d,]+\.\d{1,2}/g) || [];
-        if (allPrices.length > 0) {
-          const normalizedPrices = allPrices.map(p => {
-            const parts = p.split('.');
-            return parts[1] && parts[1].length === 1 ? parts[0] + '.' + parts[1] + '0' : p;
-          });
-          
-          const firstPriceMatch = remainder.match(/\$[\d,]+\.\d{1,2}/);
-          const left = remainder.slice(0, firstPriceMatch.index).trim();
-          
-          let style = '', color = '', sizeDesc = '', description = '', packQtyFromLeft = '';
-          let working = left;
-          const colorMatch = working.match(colorRegex);
-          if (colorMatch) {
-            style = working.slice(0, colorMatch.index).trim();
-            color = colorMatch[1];
-            working = working.slice(colorMatch.index + colorMatch[1].length).trim();
-          } else {
-            const firstToken = working.split(/\s+/)[0] || '';
-            style = firstToken.trim();
-            working = working.slice(firstToken.length).trim();
-          }
-          
-          // Size can be: "10X8X5", "10X8", ".", "NO SIZE", or other descriptors
-          // Try to match dimension format first
-          const sizeMatch = working.match(/^(\d+X\d+X\d+|\d+X\d+|\.)/i);
-          if (sizeMatch) {
-            sizeDesc = sizeMatch[1];
-            working = working.slice(sizeMatch.index + sizeMatch[1].length).trim();
-          } else {
-            // Match patterns like "NO SIZE", "ONE SIZE", "SIZE", etc. - words ending with SIZE
-            const wordSizeMatch = working.match(/^([A-Z\s]*SIZE)\s+/i);
-            if (wordSizeMatch) {
-              sizeDesc = wordSizeMatch[1].trim();
-              working = working.slice(wordSizeMatch[0].length).trim();
-            }
-          }
-          
-          // Fallback: if size not found at start, search deeper for size+packqty pattern
-          // Handles multi-word colors (e.g. "Green Multi") or unrecognized colors (e.g. "WHITEWASH")
-          if (!sizeDesc) {
-            const deepSizeMatch = working.match(/^(.+?)\s+(\.|(\d+X\d+(?:X\d+)?))\s+(\d+\.?\d*)\s+/);
-            if (deepSizeMatch) {
-              const packNum = parseFloat(deepSizeMatch[4]);
-              if (packNum >= 1 && packNum <= 99) {
-                const additionalColor = deepSizeMatch[1].trim();
-                color = color ? (color + ' ' + additionalColor) : additionalColor;
-                sizeDesc = deepSizeMatch[2];
-                packQtyFromLeft = String(Math.round(packNum));
-                working = working.slice(deepSizeMatch[0].length).trim();
-              }
-            }
-          }
-          
-          // Check for Pack Qty (decimal like 3.0 or small integer 1-99) before description
-          const packQtyMatch = working.match(/^(\d+\.?\d*)\s+/);
-          if (packQtyMatch) {
-            const num = parseFloat(packQtyMatch[1]);
-            if (num >= 1 && num <= 99) {
-              packQtyFromLeft = String(Math.round(num));
-              working = working.slice(packQtyMatch[0].length).trim();
-            }
-          }
-          
-          description = working.replace(/^[\.\-\s]+/, '').trim();
-          
-          let lastPriceEndIdx = 0;
-          for (const p of allPrices) {
-            const idx = remainder.indexOf(p, lastPriceEndIdx);
-            if (idx >= 0) lastPriceEndIdx = idx + p.length;
-          }
-          const right = remainder.slice(lastPriceEndIdx).trim();
-          
-          const parseQty = (text) => {
-            const parts = (text || '').split(/\s+/).filter(Boolean);
-            if (parts.length >= 3) {
-              return { packQty: parts[0], totalPacks: parts[1], qty: parts[2] };
-            }
-            if (parts.length === 2) {
-              return { packQty: parts[0], totalPacks: '', qty: parts[1] };
-            }
-            if (parts.length === 1) {
-              const digits = parts[0].replace(/\D/g, '');
-              if (digits.length >= 4) {
-                for (let pqLen = 1; pqLen <= 2 && pqLen < digits.length - 2; pqLen++) {
-                  const remaining = digits.slice(pqLen);
-                  const halfLen = Math.floor(remaining.length / 2);
-                  if (halfLen >= 2) {
-                    const pq = digits.slice(0, pqLen);
-                    const tp = remaining.slice(0, halfLen);
-                    const q = remaining.slice(halfLen);
-                    if (parseInt(tp) > 0 && parseInt(q) > 0) {
-                      return { packQty: pq, totalPacks: tp, qty: q };
-                    }
-                  }
-                }
-              }
-              return { packQty: '', totalPacks: '', qty: digits };
-            }
-            return { packQty: '', totalPacks: '', qty: '' };
-          };
-          
-          const qtyParsed = parseQty(right);
-          let packQty = qtyParsed.packQty;
-          let qty = qtyParsed.qty;
-          
-          let packQtyFromNumberLine = '';
-          let qtyFromNumberLine = '';
-          for (let j = i + 1; j < Math.min(i + 4, lines.length); j++) {
-            const checkLine = lines[j] || '';
-            if (/^\d{8,9}/.test(checkLine)) break;
-            if (/^total\s+(qty|cost)/i.test(checkLine)) break;
-            
-            const numPacksFullMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*(\d+)\s*units:\s*(\d+)/i);
-            if (numPacksFullMatch) {
-              const totalPacks = parseInt(numPacksFullMatch[1], 10);
-              const unitsPerPack = parseInt(numPacksFullMatch[2], 10);
-              packQtyFromNumberLine = numPacksFullMatch[2];
-              qtyFromNumberLine = String(totalPacks * unitsPerPack);
-              break;
-            }
-            const numPacksMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*\d*\s*units:\s*(\d+)/i);
-            if (numPacksMatch) {
-              packQtyFromNumberLine = numPacksMatch[1];
-              break;
-            }
-            if (/units:\s*$/i.test(checkLine)) {
-              const nextLine = (lines[j + 1] || '').trim();
-              if (/^\d{1,2}$/.test(nextLine)) {
-                packQtyFromNumberLine = nextLine;
-                const packsMatch = checkLine.match(/ordered:\s*(\d+)/i);
-                if (packsMatch) {
-                  const totalPacks = parseInt(packsMatch[1], 10);
-                  const unitsPerPack = parseInt(nextLine, 10);
-                  qtyFromNumberLine = String(totalPacks * unitsPerPack);
-                }
-              }
-              break;
-            }
-          }
-          
-          const finalPackQty = packQtyFromNumberLine || packQtyFromLeft || packQty;
-          const finalQty = qtyFromNumberLine || qty;
-          
-          items.push({
-            'SKU': sku,
-            'MFG Style': style,
-            'MFG Color': color,
-            'Size Desc.': sizeDesc,
-            'Description': description,
-            'Cost/Unit': normalizedPrices[0] || '',
-            'Comp': normalizedPrices[1] || '',
-            'Retail': normalizedPrices[2] || '',
-            'Pack Qty.': finalPackQty,
-            'Qty': finalQty,
-            'UPC': ''
-          });
-          continue;
+      const totalCol = columns.find(c => c.total);
+      const total = totalCol && /^\d+$/.test(cells.get(totalCol) || '') ? parseInt(cells.get(totalCol), 10) : null;
+      const sizeQtys = sizeColumns.map(col => ({ size: col.size, qty: parseInt(cells.get(col), 10) || 0 }));
+      items.push(...sizeGridLines({
+        'SKU': skuMatch[1],
+        'MFG Style': cellFor('MFG Style'),
+        'MFG Color': cellFor('MFG Color'),
+        'Size Desc.': '',
+        'Description': cellFor('Description'),
+        'Cost/Unit': toPrice(cellFor('Cost/Unit')),
+        'Comp': toPrice(cellFor('Comp')),
+        'Retail': toPrice(cellFor('Retail')),
+        'Pack Qty.': '',
+        'Qty': '',
+        'UPC': ''
+      }, sizeQtys, total, [line.text]));
+    }
+  }
+  return items;
+}
+
+// Layout templates: JSON descriptions of a PO layout (anchors, metadata
+// patterns/labels/regions, table header, stop markers and columns or
+// repeating line blocks), for customers the built-in rules don't read.
+// The format is documented in README.md ("Layout templates").
+const TEMPLATE_FIELD_KINDS = ['pattern', 'label', 'region'];
+
+/**
+ * Compile a regex source from a template (case-insensitive); null if invalid
+ */
+function templateRegExp(source, flags = 'i') {
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Problems that keep a layout template from being used (empty when usable)
+ */
+function validateLayoutTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) return ['not a JSON object'];
+  const errors = [];
+  const name = template.id ? `"${template.id}"` : 'template';
+  const checkPattern = (source, where) => {
+    if (typeof source !== 'string' || !templateRegExp(source)) errors.push(`${name}: ${where} is not a valid pattern`);
+  };
+  const isRange = (range) => Array.isArray(range) && range.length === 2 && range.every(n => typeof n === 'number');
+  
+  if (!template.id || typeof template.id !== 'string') errors.push(`${name}: missing id`);
+  if (!Array.isArray(template.match) || template.match.length === 0) {
+    errors.push(`${name}: match needs at least one pattern`);
+  } else {
+    template.match.forEach((source, idx) => checkPattern(source, `match[${idx}]`));
+  }
+  if (!template.metadata && !template.table) errors.push(`${name}: needs metadata or table`);
+  
+  for (const [field, spec] of Object.entries(template.metadata || {})) {
+    const kinds = TEMPLATE_FIELD_KINDS.filter(kind => spec && spec[kind] !== undefined);
+    if (kinds.length !== 1) {
+      errors.push(`${name}: metadata "${field}" needs one of ${TEMPLATE_FIELD_KINDS.join(', ')}`);
+    } else if (kinds[0] === 'region') {
+      if (!spec.region || !isRange(spec.region.x) || !isRange(spec.region.y)) errors.push(`${name}: metadata "${field}" region needs x and y ranges`);
+    } else {
+      checkPattern(spec[kinds[0]], `metadata "${field}" ${kinds[0]}`);
+    }
+  }
+  
+  const table = template.table;
+  if (table) {
+    if (!Array.isArray(table.header) || table.header.length === 0 || !table.header.every(label => typeof label === 'string')) errors.push(`${name}: table.header needs at least one label`);
+    (table.stop || []).forEach((source, idx) => checkPattern(source, `table.stop[${idx}]`));
+    (table.skip || []).forEach((source, idx) => checkPattern(source, `table.skip[${idx}]`));
+    if (!table.columns === !table.block) errors.push(`${name}: table needs either columns or block`);
+    for (const [field, spec] of Object.entries(table.columns || {})) {
+      if (!ITEM_FIELDS.includes(field)) errors.push(`${name}: unknown line field "${field}"`);
+      if (typeof spec !== 'string' && !isRange(spec)) errors.push(`${name}: column "${field}" needs a header label or an x range`);
+    }
+    if (table.block) {
+      checkPattern(table.block.start, 'table.block.start');
+      for (const [field, spec] of Object.entries(table.block.fields || {})) {
+        if (!ITEM_FIELDS.includes(field)) errors.push(`${name}: unknown line field "${field}"`);
+        if (!spec || typeof spec !== 'object') errors.push(`${name}: block field "${field}" needs a pattern or a line`);
+        else if (spec.pattern !== undefined) checkPattern(spec.pattern, `block field "${field}"`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Split layout templates into the valid ones and the problems of the others
+ * (validateLayoutTemplate), as { templates, errors }
+ */
+function filterLayoutTemplates(templates) {
+  const valid = [];
+  const errors = [];
+  for (const template of templates || []) {
+    const problems = validateLayoutTemplate(template);
+    if (problems.length > 0) errors.push(...problems);
+    else valid.push(template);
+  }
+  return { templates: valid, errors };
+}
+
+/**
+ * The first template whose match patterns all appear in the text, or null
+ */
+function matchLayoutTemplate(text, templates) {
+  return (templates || []).find(template =>
+    template.match.every(source => templateRegExp(source).test(text))) || null;
+}
+
+/**
+ * Index of the line where all of a template's header labels appear within a
+ * few lines (labels are plain text, case-insensitive); -1 if absent
+ */
+function findTemplateHeader(lines, labels) {
+  const wanted = labels.map(label => label.toUpperCase());
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i] || !lines[i].toUpperCase().includes(wanted[0])) continue;
+    const windowText = lines.slice(i, i + 4).join(' ').toUpperCase();
+    if (wanted.every(label => windowText.includes(label))) return i;
+  }
+  return -1;
+}
+
+/**
+ * Text inside a page region (PDF points, y increasing upward), top to bottom
+ */
+function templateRegionText(layout, region) {
+  const page = layout && layout.pages ? layout.pages[(region.page || 1) - 1] : null;
+  if (!page || !page.lines) return '';
+  const [x0, x1] = region.x;
+  const [y0, y1] = region.y;
+  return page.lines
+    .filter(line => line.y >= y0 && line.y <= y1)
+    .map(line => line.items.filter(item => item.x >= x0 && item.x < x1).map(item => item.str.trim()).join(' ').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Read the metadata fields a layout template describes
+ * A pattern's first group (or the whole match) is high confidence; a value
+ * after or below a label, or inside a page region, is medium. Fields the
+ * template doesn't find are left to the built-in rules.
+ */
+function readTemplateMetadata(template, text, layout, fieldInfos) {
+  const values = {};
+  const lines = text.split('\n');
+  
+  for (const [field, spec] of Object.entries(template.metadata || {})) {
+    let value = '';
+    let source = [];
+    if (spec.pattern !== undefined) {
+      const match = text.match(templateRegExp(spec.pattern));
+      if (match) {
+        value = match[1] !== undefined ? match[1] : match[0];
+        source = lineAt(text, match.index);
+      }
+    } else if (spec.label !== undefined) {
+      const labelRe = templateRegExp(spec.label);
+      const idx = lines.findIndex(line => labelRe.test(line));
+      if (idx !== -1 && spec.below) {
+        const nextIdx = lines.findIndex((line, i) => i > idx && line.trim());
+        if (nextIdx !== -1) {
+          value = lines[nextIdx];
+          source = [lines[idx].trim(), lines[nextIdx].trim()];
         }
+      } else if (idx !== -1) {
+        const match = lines[idx].match(labelRe);
+        value = lines[idx].slice(match.index + match[0].length).replace(/^\s*[:#]\s*/, '');
+        source = lines[idx].trim();
       }
+    } else {
+      value = templateRegionText(layout, spec.region);
+      source = value;
+    }
+    
+    value = String(value).trim();
+    if (!value) continue;
+    values[field] = field === 'DEPT #' && /^\d+$/.test(value) ? parseInt(value) : value;
+    fieldInfos[field] = fieldInfo(spec.pattern !== undefined ? 'high' : 'medium', source, `layout template ${template.id}`);
+  }
+  return values;
+}
 
-      let style = '';
-      let color = '';
-      let sizeDesc = '';
-      let description = '';
-      let packQtyFromLine = '';
+/**
+ * A blank line item with every ITEM_FIELDS key
+ */
+function emptyTemplateItem() {
+  return Object.fromEntries(ITEM_FIELDS.map(field => [field, '']));
+}
 
-      const colorMatch = remainder.match(colorRegex);
-      if (colorMatch) {
-        style = remainder.slice(0, colorMatch.index).trim();
-        color = colorMatch[1];
-        remainder = remainder.slice(colorMatch.index + colorMatch[1].length);
-      } else {
-        const firstToken = remainder.split(/\s+/)[0] || '';
-        style = firstToken.trim();
-        remainder = remainder.slice(firstToken.length);
+/**
+ * Read a template's repeating line blocks from the text lines
+ * A block starts at each line matching block.start and runs until the next
+ * one, a stop marker or the end of the text; each field is a pattern (first
+ * group, or the whole match) searched in the block or in one of its lines.
+ */
+function parseTemplateBlocks(lines, table) {
+  const headerIdx = findTemplateHeader(lines, table.header);
+  if (headerIdx === -1) return [];
+  const startRe = templateRegExp(table.block.start);
+  const stopRes = (table.stop || []).map(source => templateRegExp(source));
+  const skipRes = (table.skip || []).map(source => templateRegExp(source));
+  const fields = Object.entries(table.block.fields || {}).map(([field, spec]) => ({
+    field,
+    line: spec.line,
+    re: spec.pattern !== undefined ? templateRegExp(spec.pattern, 'im') : null
+  }));
+  
+  const blocks = [];
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) continue;
+    if (stopRes.some(re => re.test(line))) break;
+    if (skipRes.some(re => re.test(line))) continue;
+    if (startRe.test(line)) {
+      blocks.push([line]);
+    } else if (blocks.length > 0) {
+      blocks[blocks.length - 1].push(line);
+    }
+  }
+  
+  return blocks.map(blockLines => {
+    const item = emptyTemplateItem();
+    for (const { field, line, re } of fields) {
+      const target = line !== undefined ? (blockLines[line] || '') : blockLines.join('\n');
+      if (!re) {
+        item[field] = target.trim();
+        continue;
       }
+      const match = target.match(re);
+      if (match) item[field] = (match[1] !== undefined ? match[1] : match[0]).trim();
+    }
+    return scoreItemFields(item, 'template', blockLines);
+  });
+}
 
-      const packQtyPattern = remainder.match(/^\.(\d{1,2})\.(.*)$/);
-      const textSizePackQtyPattern = remainder.match(/^([A-Z\s]+)(\d{1,2})\.(.*)$/i);
-      const packQtyInlinePattern = remainder.match(/^\.(\d)(\d[A-Z].*)$/i);
-      const looksLikeSize = remainder.match(/^\.\d+X\d+/i);
-      
-      if (packQtyPattern) {
-        sizeDesc = '.';
-        packQtyFromLine = packQtyPattern[1];
-        remainder = packQtyPattern[2];
-      } else if (textSizePackQtyPattern) {
-        sizeDesc = textSizePackQtyPattern[1].trim();
-        packQtyFromLine = textSizePackQtyPattern[2];
-        remainder = textSizePackQtyPattern[3];
-      } else if (packQtyInlinePattern && !looksLikeSize) {
-        sizeDesc = '.';
-        packQtyFromLine = packQtyInlinePattern[1];
-        remainder = packQtyInlinePattern[2];
-      } else {
-        const sizeMatch = remainder.match(/(\d+X\d+X\d+|\d+X\d+|\d+\.\d+|\d+)/i);
-        if (sizeMatch) {
-          sizeDesc = sizeMatch[1];
-          remainder = remainder.slice(sizeMatch.index + sizeMatch[1].length);
-        }
+/**
+ * Read a template's table by column from the positional layout
+ * Columns are x ranges in PDF points, or header labels located like the
+ * built-in column model. A row with text in the SKU column (or the first
+ * column listed) starts a line; rows without it continue the previous one.
+ */
+function parseTemplateColumns(layout, table) {
+  const rows = [];
+  if (!layout || !Array.isArray(layout.pages)) return [];
+  const stopRes = (table.stop || []).map(source => templateRegExp(source));
+  const skipRes = (table.skip || []).map(source => templateRegExp(source));
+  const keyField = table.columns['SKU'] ? 'SKU' : Object.keys(table.columns)[0];
+  
+  for (const page of layout.pages) {
+    const lines = page.lines || [];
+    const headerIdx = findTemplateHeader(lines.map(line => line.text), table.header);
+    if (headerIdx === -1) continue;
+    
+    const detected = detectColumns(lines, { lineIndex: headerIdx });
+    const columns = Object.entries(table.columns).map(([field, spec]) => {
+      if (Array.isArray(spec)) return { field, x0: spec[0], x1: spec[1] };
+      const column = detected.find(col => col.label.toUpperCase().includes(spec.toUpperCase()));
+      return column ? { field, x0: column.x0, x1: column.x1 } : null;
+    }).filter(Boolean);
+    
+    let current = null;
+    let stopped = false;
+    for (let i = headerIdx + 1; i < lines.length && !stopped; i++) {
+      const line = lines[i];
+      const text = line.text.trim();
+      if (stopRes.some(re => re.test(text))) {
+        stopped = true;
+        continue;
       }
+      if (!text || skipRes.some(re => re.test(text))) continue;
       
-      // Fallback: search deeper for size+packqty pattern (multi-word/unrecognized colors)
-      if (!sizeDesc && !packQtyFromLine) {
-        const deepMatch = remainder.match(/^(.+?)\s+(\.|(\d+X\d+(?:X\d+)?))\s*(\d{1,2})\.(.*)$/);
-        if (deepMatch) {
-          const packNum = parseInt(deepMatch[4], 10);
-          if (packNum >= 1 && packNum <= 99) {
-            const additionalColor = deepMatch[1].trim();
-            color = color ? (color + ' ' + additionalColor) : additionalColor;
-            sizeDesc = deepMatch[2];
-            packQtyFromLine = deepMatch[4];
-            remainder = deepMatch[5];
-          }
+      const cells = {};
+      for (const item of line.items) {
+        const str = item.str.trim();
+        const center = item.x + item.width / 2;
+        const column = columns.find(col => center >= col.x0 && center < col.x1);
+        if (str && column) cells[column.field] = cells[column.field] ? `${cells[column.field]} ${str}` : str;
+      }
+      if (cells[keyField]) {
+        current = { item: { ...emptyTemplateItem(), ...cells }, lines: [text] };
+        rows.push(current);
+      } else if (current && Object.keys(cells).length > 0) {
+        // Wrapped cell text continues the line above
+        for (const [field, str] of Object.entries(cells)) {
+          current.item[field] = current.item[field] ? `${current.item[field]} ${str}` : str;
         }
+        current.lines.push(text);
       }
-      description = remainder.replace(/^[\.\-\s]+/, '').trim();
+    }
+    if (stopped) break;
+  }
+  
+  return rows.map(row => scoreItemFields(row.item, 'template', row.lines));
+}
 
-      let upcLine = '';
-      let priceLine = '';
-      let searchEnd = Math.min(i + 10, lines.length);
-      let packQtyFromNumberLine = '';
-      let qtyFromNumberLine = '';
-      
-      for (let j = i + 1; j < searchEnd; j++) {
-        const checkLine = lines[j] || '';
-        
-        if (/^\d{8,9}/.test(checkLine)) break;
-        if (/^total\s+(qty|cost)/i.test(checkLine)) break;
-        
-        const numPacksFullMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*(\d+)\s*units:\s*(\d+)/i);
-        if (numPacksFullMatch) {
-          const totalPacks = parseInt(numPacksFullMatch[1], 10);
-          const unitsPerPack = parseInt(numPacksFullMatch[2], 10);
-          packQtyFromNumberLine = numPacksFullMatch[2];
-          qtyFromNumberLine = String(totalPacks * unitsPerPack);
-          break;
-        }
-        const numPacksMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*\d*\s*units:\s*(\d+)/i);
-        if (numPacksMatch) {
-          packQtyFromNumberLine = numPacksMatch[1];
-          break;
-        }
-        if (/units:\s*$/i.test(checkLine)) {
-          const nextLine = (lines[j + 1] || '').trim();
-          if (/^\d{1,2}$/.test(nextLine)) {
-            packQtyFromNumberLine = nextLine;
-            const packsMatch = checkLine.match(/ordered:\s*(\d+)/i);
-            if (packsMatch) {
-              const totalPacks = parseInt(packsMatch[1], 10);
-              const unitsPerPack = parseInt(nextLine, 10);
-              qtyFromNumberLine = String(totalPacks * unitsPerPack);
-            }
-          }
-          break;
-        }
-        if (/^number\s+of\s+packs\s+ordered:/i.test(checkLine)) {
-          break;
-        }
+/**
+ * SKU table parsing strategies, tried in registration order by parseSkuTable
+ * Each strategy has a name, a mode, the confidence its lines start at
+ * (see scoreItemFields), detect(context) scoring 0-1 how much of the table
+ * looks like its layout (0 = nothing it could read), and parse(context)
+ * returning scored items. 'primary' strategies read the whole table and
+ * only run while nothing has been read; 'fill' strategies then add SKUs the
+ * others missed. context: { lines, headerIdx, layout, profile, template (the
+ * matched layout template, or null), items (read so far), skuLineIndexes,
+ * skuOnlyRe, skuStartRe, packSkuStartRe, packSkuLineRe }
+ */
+const PARSE_STRATEGIES = [];
+
+/**
+ * Add a parsing strategy (replaces one registered under the same name)
+ */
+function registerParseStrategy(strategy) {
+  const index = PARSE_STRATEGIES.findIndex(s => s.name === strategy.name);
+  if (index === -1) {
+    PARSE_STRATEGIES.push(strategy);
+  } else {
+    PARSE_STRATEGIES[index] = strategy;
+  }
+}
+
+/**
+ * Look up a registered parsing strategy by name
+ */
+function getParseStrategy(name) {
+  return PARSE_STRATEGIES.find(s => s.name === name) || null;
+}
+
+/**
+ * Names of the registered parsing strategies, in the order they are tried
+ */
+function listParseStrategies() {
+  return PARSE_STRATEGIES.map(s => s.name);
+}
+
+/**
+ * Share of the SKU rows after the header that pass a test (0 if there are none)
+ */
+function shareOfSkuLines(context, test) {
+  const { skuLineIndexes } = context;
+  if (skuLineIndexes.length === 0) return 0;
+  return skuLineIndexes.filter(idx => test(context.lines[idx], idx)).length / skuLineIndexes.length;
+}
+
+// Layout template matched for this PO (see matchLayoutTemplate)
+// Registered first: a template is written for exactly this layout
+registerParseStrategy({
+  name: 'template',
+  mode: 'primary',
+  confidence: 'high',
+  // 1 when the PO matched a template that describes its table
+  detect({ template }) {
+    return template && template.table ? 1 : 0;
+  },
+  parse({ lines, layout, template }) {
+    return template.table.columns
+      ? parseTemplateColumns(layout, template.table)
+      : parseTemplateBlocks(lines, template.table);
+  }
+});
+
+// Size-run grids (a quantity column per size, a row per SKU/colour)
+// Registered after the template strategy and before strategies 1-5, which
+// would read a grid row as one line
+registerParseStrategy({
+  name: 'size-grid',
+  mode: 'primary',
+  confidence: 'medium',
+  // SKU rows with prices under a header (or a size line) that has a size run
+  detect(context) {
+    const { lines, headerIdx, packSkuStartRe } = context;
+    const hasSizeRun = findGridSizes(lines, headerIdx, packSkuStartRe)
+      || lines.some((line, idx) => idx > headerIdx && sizeHeaderLine(line));
+    if (!hasSizeRun) return 0;
+    return shareOfSkuLines(context, line => /\$\d/.test(line));
+  },
+  parse(context) {
+    const { lines, headerIdx, layout, profile, packSkuStartRe, packSkuLineRe } = context;
+    const fromColumns = parseSizeGridColumns(layout, profile);
+    if (fromColumns.length > 0) return fromColumns;
+    
+    const items = [];
+    const hasColorColumn = /\bCOLOU?R\b/i.test(lines.slice(headerIdx, headerIdx + 4).join(' '));
+    let run = findGridSizes(lines, headerIdx, packSkuStartRe);
+    
+    for (let i = headerIdx + 1; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line) continue;
+      if (/^total\s+(cost|qty|pack)/i.test(line)) break;
+      
+      // Some grids reprint the size run above each style's rows
+      const styleRun = sizeHeaderLine(line);
+      if (styleRun) {
+        run = styleRun;
+        continue;
+      }
+      
+      const skuMatch = line.match(packSkuLineRe);
+      if (!skuMatch || !run) continue;
+      const afterSku = (skuMatch[3] || '').trim();
+      const prices = afterSku.match(/\$[\d,]+\.\d{2}/g) || [];
+      if (prices.length === 0) continue;
+      
+      const lastPrice = prices[prices.length - 1];
+      const left = afterSku.slice(0, afterSku.indexOf(prices[0])).trim().split(/\s+/).filter(Boolean);
+      const right = afterSku.slice(afterSku.lastIndexOf(lastPrice) + lastPrice.length);
+      const counts = right.split(/\s+/).filter(token => /^\d+$/.test(token)).map(Number);
+      
+      const base = {
+        'SKU': skuMatch[2],
+        'MFG Style': left[0] || '',
+        'MFG Color': hasColorColumn ? (left[1] || '') : '',
+        'Size Desc.': '',
+        'Description': left.slice(hasColorColumn ? 2 : 1).join(' '),
+        'Cost/Unit': prices[0],
+        'Comp': prices.length >= 3 ? prices[1] : '',
+        'Retail': prices.length >= 3 ? prices[2] : (prices[1] || ''),
+        'Pack Qty.': '',
+        'Qty': '',
+        'UPC': ''
+      };
+      
+      // Text drops blank cells, so quantities only line up with the sizes
+      // when every cell of the row is filled
+      const expected = run.sizes.length + (run.hasTotal ? 1 : 0);
+      if (counts.length === expected) {
+        const sizeQtys = run.sizes.map((size, idx) => ({ size, qty: counts[idx] }));
+        items.push(...sizeGridLines(base, sizeQtys, run.hasTotal ? counts[counts.length - 1] : null, [line]));
+      } else if (counts.length > 0) {
+        const qty = run.hasTotal ? counts[counts.length - 1] : counts.reduce((sum, count) => sum + count, 0);
+        const item = scoreItemFields({ ...base, 'Qty': String(qty) }, 'size-grid', [line]);
+        item._fields['Size Desc.'] = fieldInfo('low', [line], `quantities don't line up with sizes ${run.sizes.join(' ')}`);
+        items.push(item);
+      }
+    }
+    return items;
+  }
+});
+
+// Strategy 1: read cells by column from the positional layout
+registerParseStrategy({
+  name: 'columns',
+  mode: 'primary',
+  confidence: 'high',
+  // Share of header pages whose columns include SKU, style and a price or quantity
+  detect({ layout }) {
+    if (!layout || !Array.isArray(layout.pages)) return 0;
+    const tablePages = layout.pages.filter(page => page.header && page.columns && page.columns.length > 0);
+    if (tablePages.length === 0) return 0;
+    const readable = tablePages.filter(page => {
+      const fields = new Set(page.columns.map(col => columnField(col.label)));
+      return fields.has('SKU') && fields.has('MFG Style') && (fields.has('Cost/Unit') || fields.has('Qty'));
+    });
+    return readable.length / tablePages.length;
+  },
+  parse({ layout, profile }) {
+    return parseColumnTable(layout, profile);
+  }
+});
+
+// Strategy 2: stacked columns (each field on its own line following headers)
+registerParseStrategy({
+  name: 'stacked',
+  mode: 'primary',
+  confidence: 'high',
+  // SKU rows printed alone on their line
+  detect(context) {
+    return shareOfSkuLines(context, line => context.skuOnlyRe.test(line));
+  },
+  parse(context) {
+    const { lines, headerIdx, skuOnlyRe } = context;
+    const items = [];
+    const firstSkuIdx = lines.findIndex((line, idx) => idx > headerIdx && skuOnlyRe.test(line));
+    if (firstSkuIdx === -1) return items;
+    
+    let idx = firstSkuIdx;
+    
+    const isUpc = (text) => /^upc:/i.test(text) || /^\d{12,14}$/.test(text);
+    const isPrice = (text) => /^\$[\d,]+\.\d{2}$/.test(text);
+    const isSmallQty = (text) => /^\d+$/.test(text) && parseInt(text) >= 1 && parseInt(text) <= 9999;
+    const isPackLetter = (text) => /^[A-Z]$/.test(text);
+    
+    while (idx < lines.length) {
+      // Skip pack letters (A, B, C) that appear before SKUs in ComplexDomestic format
+      while (idx < lines.length && isPackLetter(lines[idx])) {
+        idx++;
+      }
+      if (idx >= lines.length) break;
+      
+      const skuLine = lines[idx];
+      const blockStart = idx;
+      if (!skuOnlyRe.test(skuLine)) {
+        break;
+      }
+      if (/^number\s+of\s+packs\s*$/i.test(skuLine) || /^total\s+(cost|qty)/i.test(skuLine)) break;
+      
+      const item = {
+        'SKU': skuLine,
+        'MFG Style': '',
+        'MFG Color': '',
+        'Size Desc.': '',
+        'Description': '',
+        'Cost/Unit': '',
+        'Retail': '',
+        'Comp': '',
+        'Pack Qty.': '',
+        'Qty': '',
+        'UPC': ''
+      };
+      
+      idx++;
+      let fieldStage = 0;
+      const prices = [];
+      const quantities = [];
+      
+      while (idx < lines.length) {
+        const line = lines[idx].trim();
+        if (!line) { idx++; continue; }
         
-        if (/^upc:/i.test(checkLine)) {
-          upcLine = checkLine;
+        if (skuOnlyRe.test(line)) break;
+        if (/^number\s+of\s+packs\s+ordered:/i.test(line)) { idx++; break; }
+        if (/^number\s+of\s+packs\s*$/i.test(line)) break;
+        if (/^total\s+(cost|qty)/i.test(line)) break;
+        if (/^page/i.test(line)) break;
+        
+        if (isUpc(line)) {
+          item['UPC'] = item['UPC'] || upcInLine(line);
+          idx++;
           continue;
         }
         
-        if (/\$\d/.test(checkLine)) {
-          priceLine += ' ' + checkLine;
+        if (isPrice(line)) {
+          prices.push(line);
+          idx++;
           continue;
         }
         
-        if (priceLine && /^[\d\$\.]/.test(checkLine)) {
-          const hasCompleteQty = /\$[\d,]+\.\d{2}\d+/.test(priceLine);
-          const isStandaloneNumber = /^\d{2,4}$/.test(checkLine.trim());
-          
-          if (!hasCompleteQty && !isStandaloneNumber) {
-            priceLine += checkLine;
-            continue;
-          }
-          if (hasCompleteQty && isStandaloneNumber) {
-            break;
-          }
+        if (prices.length > 0 && isSmallQty(line)) {
+          quantities.push(parseInt(line));
+          idx++;
+          continue;
         }
         
-        if (priceLine && /^number\s+of\s+packs/i.test(checkLine)) {
-          const numPacksMatch = checkLine.match(/units:\s*(\d+)/i);
-          if (numPacksMatch) {
-            packQtyFromNumberLine = numPacksMatch[1];
-          }
-          const totalPacksMatch = checkLine.match(/ordered:\s*(\d+)/i);
-          if (totalPacksMatch && numPacksMatch) {
-            const totalPacks = parseInt(totalPacksMatch[1], 10);
-            const unitsPerPack = parseInt(numPacksMatch[1], 10);
-            qtyFromNumberLine = String(totalPacks * unitsPerPack);
+        if (prices.length === 0) {
+          if (fieldStage === 0) {
+            item['MFG Style'] = line;
+            fieldStage = 1;
+          } else if (fieldStage === 1) {
+            item['MFG Color'] = line;
+            fieldStage = 2;
+          } else if (fieldStage === 2) {
+            item['Size Desc.'] = line;
+            fieldStage = 3;
+          } else if (fieldStage === 3) {
+            if (item['Description']) {
+              item['Description'] += ' ' + line;
+            } else {
+              item['Description'] = line;
+            }
           }
-          i = j - 1;
-          break;
-        }
-        
-        if (!upcLine && !priceLine && checkLine && !/^upc:/i.test(checkLine)) {
-          description += ' ' + checkLine.trim();
         }
+        idx++;
       }
-
-      let priceText = priceLine.trim();
-      
-      priceText = priceText.replace(/(\$\d+\.\d)(\d)(\$)/g, '$1$2 $3');
-      priceText = priceText.replace(/(\$\d+\.\d)(\d)(\d)/g, '$1$2 $3');
-      
-      const priceMatches = priceText.match(/\$[\d,]+\.\d{1,2}/g) || [];
-      if (priceMatches.length === 0) continue;
       
-      const normalizedPrices = priceMatches.map(p => {
-        const parts = p.split('.');
-        if (parts[1].length === 1) {
-          return parts[0] + '.' + parts[1] + '0';
-        }
-        return p;
-      });
-
-      const cost = normalizedPrices[0] || '';
-      const comp = normalizedPrices[1] || '';
-      const retail = normalizedPrices[2] || '';
+      if (prices.length >= 1) item['Cost/Unit'] = prices[0];
+      if (prices.length >= 2) item['Comp'] = prices[1];
+      if (prices.length >= 3) item['Retail'] = prices[2];
       
-      let afterPrices = priceText;
-      for (const p of priceMatches) {
-        afterPrices = afterPrices.replace(p, ' ');
+      if (quantities.length >= 1) item['Pack Qty.'] = quantities[0];
+      if (quantities.length >= 3) {
+        item['Qty'] = quantities[2];
+      } else if (quantities.length >= 2) {
+        item['Qty'] = quantities[1];
+      } else if (quantities.length === 1) {
+        item['Qty'] = quantities[0];
       }
-      const qtyDigits = afterPrices.replace(/\D/g, '');
-      let packQty = '';
-      let qty = '';
       
-      if (qtyDigits.length >= 4) {
-        const pq1 = parseInt(qtyDigits[0], 10);
-        const rest1 = qtyDigits.slice(1);
-        const halfLen1 = Math.floor(rest1.length / 2);
-        const tp1 = parseInt(rest1.slice(0, halfLen1), 10);
-        const tu1 = parseInt(rest1.slice(halfLen1), 10);
-        
-        if (tu1 === tp1 * pq1 && pq1 > 0 && pq1 <= 12) {
-          packQty = String(pq1);
-          qty = String(tu1);
-        } else {
-          const pq2 = parseInt(qtyDigits.slice(0, 2), 10);
-          const rest2 = qtyDigits.slice(2);
-          if (rest2.length >= 2) {
-            const halfLen2 = Math.floor(rest2.length / 2);
-            const tp2 = parseInt(rest2.slice(0, halfLen2), 10);
-            const tu2 = parseInt(rest2.slice(halfLen2), 10);
-            
-            if (tu2 === tp2 * pq2 && pq2 > 0 && pq2 <= 24) {
-              packQty = String(pq2);
-              qty = String(tu2);
-            } else {
-              qty = qtyDigits.slice(Math.floor(qtyDigits.length / 2));
-            }
-          } else {
-            qty = qtyDigits;
-          }
-        }
-      } else if (qtyDigits.length > 0) {
-        qty = qtyDigits;
-      }
-
-      const finalPackQty = packQtyFromLine || packQtyFromNumberLine || packQty;
-      const finalQty = qtyFromNumberLine || qty;
-
-      items.push({
-        'SKU': sku,
-        'MFG Style': style,
-        'MFG Color': color,
-        'Size Desc.': sizeDesc,
-        'Description': description.trim(),
-        'Cost/Unit': cost,
-        'Comp': comp,
-        'Retail': retail,
-        'Pack Qty.': finalPackQty,
-        'Qty': finalQty,
-        'UPC': upcLine.match(/(\d{12})/)?.[1] || ''
-      });
+      items.push(scoreItemFields(item, 'stacked', lines.slice(blockStart, idx).filter(Boolean)));
     }
+    return items;
   }
+});
+
+// Strategy 3: multi-line blocks (SKU/style/desc on first line, UPC, prices)
+// Also handles inline format where pack letter precedes SKU on same line
+registerParseStrategy({
+  name: 'multi-line',
+  mode: 'primary',
+  confidence: 'medium',
+  // SKU rows with prices inline or in the lines before the next SKU
+  detect(context) {
+    const { lines, skuStartRe } = context;
+    return shareOfSkuLines(context, (line, idx) => {
+      if (/\$\d/.test(line)) return true;
+      for (let j = idx + 1; j < Math.min(idx + 10, lines.length) && !skuStartRe.test(lines[j]); j++) {
+        if (/\$\d/.test(lines[j])) return true;
+      }
+      return false;
+    });
+  },
+  parse(context) {
+    const { lines, headerIdx, skuStartRe, packSkuStartRe, packSkuLineRe } = context;
+    const items = [];
 
-  // Strategy 3: single-line compressed rows
-  {
     const colorRegex = /\b(White|Black|Red|Blue|Green|Yellow|Grey|Gray|Pink|Brown|Purple|Navy|Silver|Gold|Orange|Multi Pattern|Multi|Ivory|Cream|Beige|Khaki|Tan|Bone|Natural|Royal|Teal|Turquoise|Maroon|Olive|Charcoal|Burgundy|No Color)\b/i;
 
-    const existingSkus = new Set(items.map(item => item.SKU));
+    for (let i = headerIdx + 1; i < lines.length; i++) {
+      const line = lines[i];
 
-    const parseLeftSide = (text) => {
-      let style = '';
-      let color = '';
-      let sizeDesc = '';
-      let description = '';
-      let packQtyFromLeft = '';
+      if (!line || /^\s*$/u.test(line)) continue;
+      if (/^total\s+(qty|cost)/i.test(line)) break;
+      if (/^number\s+of\s+packs\s*$/i.test(line)) break;
 
-      let working = text.trim();
-      const colorMatch = working.match(colorRegex);
+      // Allow optional pack letter (A, B, C) before SKU
+      if (!packSkuStartRe.test(line)) continue;
+
+      // Extract SKU, handling optional pack letter prefix
+      const skuMatch = line.match(packSkuLineRe);
+      if (!skuMatch) continue;
+
+      const sku = skuMatch[2];
+      let remainder = (skuMatch[3] || '').trim();
+      
+      // Normalize newlines to spaces (pdf.js combines text with newlines)
+      remainder = remainder.replace(/\n+/g, ' ').replace(/\s+/g, ' ');
+      
+      const hasInlinePrice = /\$\d/.test(remainder);
+      
+      if (hasInlinePrice) {
+        const allPrices = remainder.match(/\$[\d,]+\.\d{1,2}/g) || [];
+        if (allPrices.length > 0) {
+          const normalizedPrices = allPrices.map(p => {
+            const parts = p.split('.');
+            return parts[1] && parts[1].length === 1 ? parts[0] + '.' + parts[1] + '0' : p;
+          });
+          
+          const firstPriceMatch = remainder.match(/\$[\d,]+\.\d{1,2}/);
+          const left = remainder.slice(0, firstPriceMatch.index).trim();
+          
+          let style = '', color = '', sizeDesc = '', description = '', packQtyFromLeft = '';
+          let working = left;
+          const colorMatch = working.match(colorRegex);
+          if (colorMatch) {
+            style = working.slice(0, colorMatch.index).trim();
+            color = colorMatch[1];
+            working = working.slice(colorMatch.index + colorMatch[1].length).trim();
+          } else {
+            const firstToken = working.split(/\s+/)[0] || '';
+            style = firstToken.trim();
+            working = working.slice(firstToken.length).trim();
+          }
+          
+          // Size can be: "10X8X5", "10X8", ".", "NO SIZE", or other descriptors
+          // Try to match dimension format first
+          const sizeMatch = working.match(/^(\d+X\d+X\d+|\d+X\d+|\.)/i);
+          if (sizeMatch) {
+            sizeDesc = sizeMatch[1];
+            working = working.slice(sizeMatch.index + sizeMatch[1].length).trim();
+          } else {
+            // Match patterns like "NO SIZE", "ONE SIZE", "SIZE", etc. - words ending with SIZE
+            const wordSizeMatch = working.match(/^([A-Z\s]*SIZE)\s+/i);
+            if (wordSizeMatch) {
+              sizeDesc = wordSizeMatch[1].trim();
+              working = working.slice(wordSizeMatch[0].length).trim();
+            }
+          }
+          
+          // Fallback: if size not found at start, search deeper for size+packqty pattern
+          // Handles multi-word colors (e.g. "Green Multi") or unrecognized colors (e.g. "WHITEWASH")
+          if (!sizeDesc) {
+            const deepSizeMatch = working.match(/^(.+?)\s+(\.|(\d+X\d+(?:X\d+)?))\s+(\d+\.?\d*)\s+/);
+            if (deepSizeMatch) {
+              const packNum = parseFloat(deepSizeMatch[4]);
+              if (packNum >= 1 && packNum <= 99) {
+                const additionalColor = deepSizeMatch[1].trim();
+                color = color ? (color + ' ' + additionalColor) : additionalColor;
+                sizeDesc = deepSizeMatch[2];
+                packQtyFromLeft = String(Math.round(packNum));
+                working = working.slice(deepSizeMatch[0].length).trim();
+              }
+            }
+          }
+          
+          // Check for Pack Qty (decimal like 3.0 or small integer 1-99) before description
+          const packQtyMatch = working.match(/^(\d+\.?\d*)\s+/);
+          if (packQtyMatch) {
+            const num = parseFloat(packQtyMatch[1]);
+            if (num >= 1 && num <= 99) {
+              packQtyFromLeft = String(Math.round(num));
+              working = working.slice(packQtyMatch[0].length).trim();
+            }
+          }
+          
+          description = working.replace(/^[\.\-\s]+/, '').trim();
+          
+          let lastPriceEndIdx = 0;
+          for (const p of allPrices) {
+            const idx = remainder.indexOf(p, lastPriceEndIdx);
+            if (idx >= 0) lastPriceEndIdx = idx + p.length;
+          }
+          const right = remainder.slice(lastPriceEndIdx).trim();
+          
+          const parseQty = (text) => {
+            const parts = (text || '').split(/\s+/).filter(Boolean);
+            if (parts.length >= 3) {
+              return { packQty: parts[0], totalPacks: parts[1], qty: parts[2] };
+            }
+            if (parts.length === 2) {
+              return { packQty: parts[0], totalPacks: '', qty: parts[1] };
+            }
+            if (parts.length === 1) {
+              const digits = parts[0].replace(/\D/g, '');
+              if (digits.length >= 4) {
+                for (let pqLen = 1; pqLen <= 2 && pqLen < digits.length - 2; pqLen++) {
+                  const remaining = digits.slice(pqLen);
+                  const halfLen = Math.floor(remaining.length / 2);
+                  if (halfLen >= 2) {
+                    const pq = digits.slice(0, pqLen);
+                    const tp = remaining.slice(0, halfLen);
+                    const q = remaining.slice(halfLen);
+                    if (parseInt(tp) > 0 && parseInt(q) > 0) {
+                      return { packQty: pq, totalPacks: tp, qty: q, guessed: true };
+                    }
+                  }
+                }
+              }
+              return { packQty: '', totalPacks: '', qty: digits };
+            }
+            return { packQty: '', totalPacks: '', qty: '' };
+          };
+          
+          const qtyParsed = parseQty(right);
+          let packQty = qtyParsed.packQty;
+          let qty = qtyParsed.qty;
+          
+          let packQtyFromNumberLine = '';
+          let qtyFromNumberLine = '';
+          let inlineUpc = '';
+          const inlineSources = [line];
+          for (let j = i + 1; j < Math.min(i + 4, lines.length); j++) {
+            const checkLine = lines[j] || '';
+            if (skuStartRe.test(checkLine)) break;
+            if (/^total\s+(qty|cost)/i.test(checkLine)) break;
+            if (!inlineUpc && upcInLine(checkLine)) {
+              inlineUpc = upcInLine(checkLine);
+              inlineSources.push(checkLine);
+              continue;
+            }
+            
+            const numPacksFullMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*(\d+)\s*units:\s*(\d+)/i);
+            if (numPacksFullMatch) {
+              const totalPacks = parseInt(numPacksFullMatch[1], 10);
+              const unitsPerPack = parseInt(numPacksFullMatch[2], 10);
+              packQtyFromNumberLine = numPacksFullMatch[2];
+              qtyFromNumberLine = String(totalPacks * unitsPerPack);
+              break;
+            }
+            const numPacksMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*\d*\s*units:\s*(\d+)/i);
+            if (numPacksMatch) {
+              packQtyFromNumberLine = numPacksMatch[1];
+              break;
+            }
+            if (/units:\s*$/i.test(checkLine)) {
+              const nextLine = (lines[j + 1] || '').trim();
+              if (/^\d{1,2}$/.test(nextLine)) {
+                packQtyFromNumberLine = nextLine;
+                const packsMatch = checkLine.match(/ordered:\s*(\d+)/i);
+                if (packsMatch) {
+                  const totalPacks = parseInt(packsMatch[1], 10);
+                  const unitsPerPack = parseInt(nextLine, 10);
+                  qtyFromNumberLine = String(totalPacks * unitsPerPack);
+                }
+              }
+              break;
+            }
+          }
+          
+          const finalPackQty = packQtyFromNumberLine || packQtyFromLeft || packQty;
+          const finalQty = qtyFromNumberLine || qty;
+          
+          const inlineGuessed = qtyParsed.guessed && !qtyFromNumberLine ? ['Qty', 'Pack Qty.'] : [];
+          items.push(scoreItemFields({
+            'SKU': sku,
+            'MFG Style': style,
+            'MFG Color': color,
+            'Size Desc.': sizeDesc,
+            'Description': description,
+            'Cost/Unit': normalizedPrices[0] || '',
+            'Comp': normalizedPrices[1] || '',
+            'Retail': normalizedPrices[2] || '',
+            'Pack Qty.': finalPackQty,
+            'Qty': finalQty,
+            'UPC': inlineUpc
+          }, 'multi-line', inlineSources, inlineGuessed));
+          continue;
+        }
+      }
+
+      let style = '';
+      let color = '';
+      let sizeDesc = '';
+      let description = '';
+      let packQtyFromLine = '';
+
+      const colorMatch = remainder.match(colorRegex);
       if (colorMatch) {
-        style = working.slice(0, colorMatch.index).trim();
+        style = remainder.slice(0, colorMatch.index).trim();
         color = colorMatch[1];
-        working = working.slice(colorMatch.index + colorMatch[1].length).trim();
+        remainder = remainder.slice(colorMatch.index + colorMatch[1].length);
       } else {
-        const firstToken = working.split(/\s+/)[0] || '';
-        style = firstToken;
-        working = working.slice(firstToken.length).trim();
+        const firstToken = remainder.split(/\s+/)[0] || '';
+        style = firstToken.trim();
+        remainder = remainder.slice(firstToken.length);
       }
 
-      // Size is typically like "10X8X5" or a dot "." or empty
-      const sizeMatch = working.match(/^(\d+X\d+X\d+|\d+X\d+|\.)/i);
-      if (sizeMatch) {
-        sizeDesc = sizeMatch[1];
-        working = working.slice(sizeMatch.index + sizeMatch[1].length).trim();
+      const packQtyPattern = remainder.match(/^\.(\d{1,2})\.(.*)$/);
+      const textSizePackQtyPattern = remainder.match(/^([A-Z\s]+)(\d{1,2})\.(.*)$/i);
+      const packQtyInlinePattern = remainder.match(/^\.(\d)(\d[A-Z].*)$/i);
+      const looksLikeSize = remainder.match(/^\.\d+X\d+/i);
+      
+      if (packQtyPattern) {
+        sizeDesc = '.';
+        packQtyFromLine = packQtyPattern[1];
+        remainder = packQtyPattern[2];
+      } else if (textSizePackQtyPattern) {
+        sizeDesc = textSizePackQtyPattern[1].trim();
+        packQtyFromLine = textSizePackQtyPattern[2];
+        remainder = textSizePackQtyPattern[3];
+      } else if (packQtyInlinePattern && !looksLikeSize) {
+        sizeDesc = '.';
+        packQtyFromLine = packQtyInlinePattern[1];
+        remainder = packQtyInlinePattern[2];
+      } else {
+        const sizeMatch = remainder.match(/(\d+X\d+X\d+|\d+X\d+|\d+\.\d+|\d+)/i);
+        if (sizeMatch) {
+          sizeDesc = sizeMatch[1];
+          remainder = remainder.slice(sizeMatch.index + sizeMatch[1].length);
+        }
       }
       
-      // Fallback: if size not found at start, search deeper for size+packqty pattern
-      // Handles multi-word colors or unrecognized colors
-      if (!sizeDesc) {
-        const deepSizeMatch = working.match(/^(.+?)\s+(\.|(\d+X\d+(?:X\d+)?))\s+(\d+\.?\d*)\s+/);
-        if (deepSizeMatch) {
-          const packNum = parseFloat(deepSizeMatch[4]);
+      // Fallback: search deeper for size+packqty pattern (multi-word/unrecognized colors)
+      if (!sizeDesc && !packQtyFromLine) {
+        const deepMatch = remainder.match(/^(.+?)\s+(\.|(\d+X\d+(?:X\d+)?))\s*(\d{1,2})\.(.*)$/);
+        if (deepMatch) {
+          const packNum = parseInt(deepMatch[4], 10);
           if (packNum >= 1 && packNum <= 99) {
-            const additionalColor = deepSizeMatch[1].trim();
+            const additionalColor = deepMatch[1].trim();
             color = color ? (color + ' ' + additionalColor) : additionalColor;
-            sizeDesc = deepSizeMatch[2];
-            packQtyFromLeft = String(Math.round(packNum));
-            working = working.slice(deepSizeMatch[0].length).trim();
+            sizeDesc = deepMatch[2];
+            packQtyFromLine = deepMatch[4];
+            remainder = deepMatch[5];
           }
         }
       }
-      
-      // Check for Pack Qty (decimal like 3.0 or small integer 1-99) before description
-      const packQtyMatch = working.match(/^(\d+\.?\d*)\s+/);
-      if (packQtyMatch) {
-        const num = parseFloat(packQtyMatch[1]);
-        if (num >= 1 && num <= 99) {
-          packQtyFromLeft = String(Math.round(num));
-          working = working.slice(packQtyMatch[0].length).trim();
-        }
-      }
-
-      description = working.replace(/^[\.\-\s]+/, '').trim();
-      return { style, color, sizeDesc, description, packQtyFromLeft };
-    };
+      description = remainder.replace(/^[\.\-\s]+/, '').trim();
 
-    const parseQuantities = (text) => {
+      let upcLine = '';
+      let priceLine = '';
+      let searchEnd = Math.min(i + 10, lines.length);
+      let packQtyFromNumberLine = '';
+      let qtyFromNumberLine = '';
+      
+      for (let j = i + 1; j < searchEnd; j++) {
+        const checkLine = lines[j] || '';
+        
+        if (skuStartRe.test(checkLine)) break;
+        if (/^total\s+(qty|cost)/i.test(checkLine)) break;
+        
+        const numPacksFullMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*(\d+)\s*units:\s*(\d+)/i);
+        if (numPacksFullMatch) {
+          const totalPacks = parseInt(numPacksFullMatch[1], 10);
+          const unitsPerPack = parseInt(numPacksFullMatch[2], 10);
+          packQtyFromNumberLine = numPacksFullMatch[2];
+          qtyFromNumberLine = String(totalPacks * unitsPerPack);
+          break;
+        }
+        const numPacksMatch = checkLine.match(/number\s+of\s+packs\s+ordered:\s*\d*\s*units:\s*(\d+)/i);
+        if (numPacksMatch) {
+          packQtyFromNumberLine = numPacksMatch[1];
+          break;
+        }
+        if (/units:\s*$/i.test(checkLine)) {
+          const nextLine = (lines[j + 1] || '').trim();
+          if (/^\d{1,2}$/.test(nextLine)) {
+            packQtyFromNumberLine = nextLine;
+            const packsMatch = checkLine.match(/ordered:\s*(\d+)/i);
+            if (packsMatch) {
+              const totalPacks = parseInt(packsMatch[1], 10);
+              const unitsPerPack = parseInt(nextLine, 10);
+              qtyFromNumberLine = String(totalPacks * unitsPerPack);
+            }
+          }
+          break;
+        }
+        if (/^number\s+of\s+packs\s+ordered:/i.test(checkLine)) {
+          break;
+        }
+        
+        if (/^upc:/i.test(checkLine)) {
+          upcLine = checkLine;
+          continue;
+        }
+        
+        if (/\$\d/.test(checkLine)) {
+          priceLine += ' ' + checkLine;
+          continue;
+        }
+        
+        if (priceLine && /^[\d\$\.]/.test(checkLine)) {
+          const hasCompleteQty = /\$[\d,]+\.\d{2}\d+/.test(priceLine);
+          const isStandaloneNumber = /^\d{2,4}$/.test(checkLine.trim());
+          
+          if (!hasCompleteQty && !isStandaloneNumber) {
+            priceLine += checkLine;
+            continue;
+          }
+          if (hasCompleteQty && isStandaloneNumber) {
+            break;
+          }
+        }
+        
+        if (priceLine && /^number\s+of\s+packs/i.test(checkLine)) {
+          const numPacksMatch = checkLine.match(/units:\s*(\d+)/i);
+          if (numPacksMatch) {
+            packQtyFromNumberLine = numPacksMatch[1];
+          }
+          const totalPacksMatch = checkLine.match(/ordered:\s*(\d+)/i);
+          if (totalPacksMatch && numPacksMatch) {
+            const totalPacks = parseInt(totalPacksMatch[1], 10);
+            const unitsPerPack = parseInt(numPacksMatch[1], 10);
+            qtyFromNumberLine = String(totalPacks * unitsPerPack);
+          }
+          i = j - 1;
+          break;
+        }
+        
+        if (!upcLine && !priceLine && checkLine && !/^upc:/i.test(checkLine)) {
+          description += ' ' + checkLine.trim();
+        }
+      }
+
+      let priceText = priceLine.trim();
+      
+      priceText = priceText.replace(/(\$\d+\.\d)(\d)(\$)/g, '$1$2 $3');
+      priceText = priceText.replace(/(\$\d+\.\d)(\d)(\d)/g, '$1$2 $3');
+      
+      const priceMatches = priceText.match(/\$[\d,]+\.\d{1,2}/g) || [];
+      if (priceMatches.length === 0) continue;
+      
+      const normalizedPrices = priceMatches.map(p => {
+        const parts = p.split('.');
+        if (parts[1].length === 1) {
+          return parts[0] + '.' + parts[1] + '0';
+        }
+        return p;
+      });
+
+      const cost = normalizedPrices[0] || '';
+      const comp = normalizedPrices[1] || '';
+      const retail = normalizedPrices[2] || '';
+      
+      let afterPrices = priceText;
+      for (const p of priceMatches) {
+        afterPrices = afterPrices.replace(p, ' ');
+      }
+      const qtyDigits = afterPrices.replace(/\D/g, '');
+      let packQty = '';
+      let qty = '';
+      
+      if (qtyDigits.length >= 4) {
+        const pq1 = parseInt(qtyDigits[0], 10);
+        const rest1 = qtyDigits.slice(1);
+        const halfLen1 = Math.floor(rest1.length / 2);
+        const tp1 = parseInt(rest1.slice(0, halfLen1), 10);
+        const tu1 = parseInt(rest1.slice(halfLen1), 10);
+        
+        if (tu1 === tp1 * pq1 && pq1 > 0 && pq1 <= 12) {
+          packQty = String(pq1);
+          qty = String(tu1);
+        } else {
+          const pq2 = parseInt(qtyDigits.slice(0, 2), 10);
+          const rest2 = qtyDigits.slice(2);
+          if (rest2.length >= 2) {
+            const halfLen2 = Math.floor(rest2.length / 2);
+            const tp2 = parseInt(rest2.slice(0, halfLen2), 10);
+            const tu2 = parseInt(rest2.slice(halfLen2), 10);
+            
+            if (tu2 === tp2 * pq2 && pq2 > 0 && pq2 <= 24) {
+              packQty = String(pq2);
+              qty = String(tu2);
+            } else {
+              qty = qtyDigits.slice(Math.floor(qtyDigits.length / 2));
+            }
+          } else {
+            qty = qtyDigits;
+          }
+        }
+      } else if (qtyDigits.length > 0) {
+        qty = qtyDigits;
+      }
+
+      const finalPackQty = packQtyFromLine || packQtyFromNumberLine || packQty;
+      const finalQty = qtyFromNumberLine || qty;
+      const blockGuessed = qtyDigits.length >= 4 && !qtyFromNumberLine ? ['Qty', 'Pack Qty.'] : [];
+
+      items.push(scoreItemFields({
+        'SKU': sku,
+        'MFG Style': style,
+        'MFG Color': color,
+        'Size Desc.': sizeDesc,
+        'Description': description.trim(),
+        'Cost/Unit': cost,
+        'Comp': comp,
+        'Retail': retail,
+        'Pack Qty.': finalPackQty,
+        'Qty': finalQty,
+        'UPC': upcInLine(upcLine)
+      }, 'multi-line', [line, upcLine, priceLine.trim()], blockGuessed));
+    }
+    return items;
+  }
+});
+
+// Strategy 4: single-line compressed rows
+registerParseStrategy({
+  name: 'single-line',
+  mode: 'fill',
+  confidence: 'medium',
+  // SKU rows with their prices on the same line
+  detect(context) {
+    return shareOfSkuLines(context, line => /\$[\d,]+\.\d{1,2}/.test(line));
+  },
+  parse(context) {
+    const { lines, headerIdx, packSkuStartRe, packSkuLineRe } = context;
+    const items = [];
+
+    const colorRegex = /\b(White|Black|Red|Blue|Green|Yellow|Grey|Gray|Pink|Brown|Purple|Navy|Silver|Gold|Orange|Multi Pattern|Multi|Ivory|Cream|Beige|Khaki|Tan|Bone|Natural|Royal|Teal|Turquoise|Maroon|Olive|Charcoal|Burgundy|No Color)\b/i;
+
+    const existingSkus = new Set(context.items.map(item => item.SKU));
+
+    const parseLeftSide = (text) => {
+      let style = '';
+      let color = '';
+      let sizeDesc = '';
+      let description = '';
+      let packQtyFromLeft = '';
+
+      let working = text.trim();
+      const colorMatch = working.match(colorRegex);
+      if (colorMatch) {
+        style = working.slice(0, colorMatch.index).trim();
+        color = colorMatch[1];
+        working = working.slice(colorMatch.index + colorMatch[1].length).trim();
+      } else {
+        const firstToken = working.split(/\s+/)[0] || '';
+        style = firstToken;
+        working = working.slice(firstToken.length).trim();
+      }
+
+      // Size is typically like "10X8X5" or a dot "." or empty
+      const sizeMatch = working.match(/^(\d+X\d+X\d+|\d+X\d+|\.)/i);
+      if (sizeMatch) {
+        sizeDesc = sizeMatch[1];
+        working = working.slice(sizeMatch.index + sizeMatch[1].length).trim();
+      }
+      
+      // Fallback: if size not found at start, search deeper for size+packqty pattern
+      // Handles multi-word colors or unrecognized colors
+      if (!sizeDesc) {
+        const deepSizeMatch = working.match(/^(.+?)\s+(\.|(\d+X\d+(?:X\d+)?))\s+(\d+\.?\d*)\s+/);
+        if (deepSizeMatch) {
+          const packNum = parseFloat(deepSizeMatch[4]);
+          if (packNum >= 1 && packNum <= 99) {
+            const additionalColor = deepSizeMatch[1].trim();
+            color = color ? (color + ' ' + additionalColor) : additionalColor;
+            sizeDesc = deepSizeMatch[2];
+            packQtyFromLeft = String(Math.round(packNum));
+            working = working.slice(deepSizeMatch[0].length).trim();
+          }
+        }
+      }
+      
+      // Check for Pack Qty (decimal like 3.0 or small integer 1-99) before description
+      const packQtyMatch = working.match(/^(\d+\.?\d*)\s+/);
+      if (packQtyMatch) {
+        const num = parseFloat(packQtyMatch[1]);
+        if (num >= 1 && num <= 99) {
+          packQtyFromLeft = String(Math.round(num));
+          working = working.slice(packQtyMatch[0].length).trim();
+        }
+      }
+
+      description = working.replace(/^[\.\-\s]+/, '').trim();
+      return { style, color, sizeDesc, description, packQtyFromLeft };
+    };
+
+    const parseQuantities = (text) => {
       const parts = (text || '').split(/\s+/).filter(Boolean);
       if (parts.length >= 3) {
         return { packQty: parts[0], totalPacks: parts[1], qty: parts[2] };
@@ -898,7 +2573,7 @@ function parseSkuTable(pdfText) {
               const totalPacks = remaining.slice(0, halfLen);
               const qty = remaining.slice(halfLen);
               if (parseInt(totalPacks) > 0 && parseInt(qty) > 0) {
-                return { packQty, totalPacks, qty };
+                return { packQty, totalPacks, qty, guessed: true };
               }
             }
           }
@@ -916,9 +2591,9 @@ function parseSkuTable(pdfText) {
       if (/^number\s+of\s+packs\s*$/i.test(line)) break;
       if (/^ordered:\s*$/i.test(line)) break;
       if (/^no\.\s+of\s+\w+\s+packs\s+ordered:\s*$/i.test(line)) break;
-      if (!/^[A-Z]?\s*\d{8,9}/.test(line)) continue;
+      if (!packSkuStartRe.test(line)) continue;
 
-      const skuMatch = line.match(/^([A-Z]?\s*)(\d{8,9})(.*)$/);
+      const skuMatch = line.match(packSkuLineRe);
       if (!skuMatch) continue;
       const packPrefix = skuMatch[1] || '';
       const sku = skuMatch[2];
@@ -953,13 +2628,24 @@ function parseSkuTable(pdfText) {
       const right = afterSku.slice(lastPriceEndIdx).trim();
 
       const { style, color, sizeDesc, description, packQtyFromLeft } = parseLeftSide(left);
-      const { packQty, totalPacks, qty } = parseQuantities(right);
+      const { packQty, totalPacks, qty, guessed } = parseQuantities(right);
       
       const cost = normalizedPrices[0] || '';
       const comp = normalizedPrices[1] || '';
       const retail = normalizedPrices[2] || (normalizedPrices.length === 2 ? normalizedPrices[1] : '');
+      
+      // A UPC, when printed, sits on its own line under the SKU line
+      const sourceLines = [line];
+      let upc = '';
+      for (let j = i + 1; j < Math.min(i + 3, lines.length) && !packSkuStartRe.test(lines[j] || ''); j++) {
+        upc = upcInLine(lines[j]);
+        if (upc) {
+          sourceLines.push(lines[j]);
+          break;
+        }
+      }
 
-      items.push({
+      items.push(scoreItemFields({
         'SKU': sku,
         'MFG Style': style,
         'MFG Color': color,
@@ -968,18 +2654,32 @@ function parseSkuTable(pdfText) {
         'Cost/Unit': cost,
         'Retail': retail,
         'Pack Qty.': packQtyFromLeft || packQty,
-        'Qty': qty || totalPacks || ''
-      });
+        'Qty': qty || totalPacks || '',
+        'UPC': upc
+      }, 'single-line', sourceLines, guessed ? ['Qty', 'Pack Qty.'] : []));
       
       existingSkus.add(sku);
     }
+    return items;
   }
+});
+
+// Strategy 5: Multi-line format (SKU on one line, prices on later line)
+registerParseStrategy({
+  name: 'split-price',
+  mode: 'fill',
+  confidence: 'medium',
+  // SKU rows without prices on the same line
+  detect(context) {
+    return shareOfSkuLines(context, line => !/\$\d/.test(line.match(context.packSkuLineRe)[3] || ''));
+  },
+  parse(context) {
+    const { lines, headerIdx, packSkuStartRe, packSkuLineRe } = context;
+    const items = [];
 
-  // Strategy 4: Multi-line format (SKU on one line, prices on later line)
-  {
     const colorRegex = /\b(White|Black|Red|Blue|Green|Yellow|Grey|Gray|Pink|Brown|Purple|Navy|Silver|Gold|Orange|Multi Pattern|Multi|Ivory|Cream|Beige|Khaki|Tan|Bone|Natural|Royal|Teal|Turquoise|Maroon|Olive|Charcoal|Burgundy|No Color)\b/i;
     
-    const existingSkus = new Set(items.map(item => item.SKU));
+    const existingSkus = new Set(context.items.map(item => item.SKU));
 
     for (let i = headerIdx + 1; i < lines.length; i++) {
       const line = lines[i];
@@ -990,9 +2690,9 @@ function parseSkuTable(pdfText) {
       if (/^Pack\s*SKU/i.test(line)) continue;
       if (/^page/i.test(line)) continue;
       
-      if (!/^[A-Z]?\s*\d{8,9}/.test(line)) continue;
+      if (!packSkuStartRe.test(line)) continue;
       
-      const skuMatch = line.match(/^([A-Z]?\s*)(\d{8,9})(.*)$/);
+      const skuMatch = line.match(packSkuLineRe);
       if (!skuMatch) continue;
       
       const packPrefix = (skuMatch[1] || '').trim();
@@ -1012,7 +2712,7 @@ function parseSkuTable(pdfText) {
       if (!afterSku && i + 1 < lines.length) {
         const nextLine = lines[i + 1].trim();
         if (nextLine && !/^UPC:/i.test(nextLine) && !/^\$/.test(nextLine) && 
-            !/^[A-Z]?\s*\d{8,9}/.test(nextLine) && !/^number/i.test(nextLine)) {
+            !packSkuStartRe.test(nextLine) && !/^number/i.test(nextLine)) {
           afterSku = nextLine;
           dataLineIdx = i + 1;
         }
@@ -1075,6 +2775,8 @@ function parseSkuTable(pdfText) {
       
       let packQty = '';
       let qty = '';
+      let qtyGuessed = false;
+      let upc = '';
       
       let priceLineIdx = -1;
       for (let j = dataLineIdx + 1; j < Math.min(dataLineIdx + 6, lines.length); j++) {
@@ -1084,14 +2786,17 @@ function parseSkuTable(pdfText) {
         if (/^ordered:\s*$/i.test(checkLine)) break;
         if (/^no\.\s+of\s+\w+\s+packs\s+ordered:\s*$/i.test(checkLine)) break;
         if (/^total\s+(cost|qty|pack)/i.test(checkLine)) break;
-        if (/^[A-Z]?\s*\d{8,9}/.test(checkLine)) break;
+        if (packSkuStartRe.test(checkLine)) break;
         
         if (/\$\d/.test(checkLine)) {
           priceLineIdx = j;
           break;
         }
         
-        if (/^UPC:/i.test(checkLine)) continue;
+        if (/^UPC:/i.test(checkLine) || upcInLine(checkLine)) {
+          upc = upc || upcInLine(checkLine);
+          continue;
+        }
         
         descParts.push(checkLine);
       }
@@ -1128,8 +2833,11 @@ function parseSkuTable(pdfText) {
           break;
         }
         if (/^total\s+(cost|qty|pack)/i.test(checkLine)) break;
-        if (/^[A-Z]?\s*\d{8,9}/.test(checkLine)) break;
-        if (/^UPC:/i.test(checkLine)) continue;
+        if (packSkuStartRe.test(checkLine)) break;
+        if (/^UPC:/i.test(checkLine)) {
+          upc = upc || upcInLine(checkLine);
+          continue;
+        }
         
         if (/\$\d/.test(checkLine)) {
           const hasCompleteQty = /\$[\d,]+\.\d{2}\d+/.test(priceText);
@@ -1201,6 +2909,7 @@ function parseSkuTable(pdfText) {
           packQty = qtyDigits.slice(0, 1);
           const rest = qtyDigits.slice(1);
           qty = rest.slice(Math.floor(rest.length / 2));
+          qtyGuessed = true;
         } else if (qtyDigits.length > 0) {
           qty = qtyDigits;
         }
@@ -1208,7 +2917,7 @@ function parseSkuTable(pdfText) {
       
       const finalPackQty = packQtyFromLine || packQtyFromNumberLine || packQty;
       
-      items.push({
+      items.push(scoreItemFields({
         'SKU': sku,
         'MFG Style': style,
         'MFG Color': color,
@@ -1217,274 +2926,1679 @@ function parseSkuTable(pdfText) {
         'Cost/Unit': cost,
         'Retail': retail,
         'Pack Qty.': finalPackQty,
-        'Qty': qty
+        'Qty': qty,
+        'UPC': upc
+      }, 'split-price', lines.slice(i, lastPriceLineIdx + 1).filter(Boolean), qtyGuessed && !packQtyFromLine ? ['Qty', 'Pack Qty.'] : []));
+      
+      i = priceLineIdx;
+    }
+    return items;
+  }
+});
+
+/**
+ * Find the prepacks in a ComplexDomestic-style table
+ * A pack starts at a pack letter (on its own line or before the pack SKU);
+ * the rows under it that match the profile's `table.prepackComponent` are its
+ * component SKUs with their ratio (units per pack). Any other SKU row ends
+ * the pack. Returns the packs that have components and the indexes of the
+ * component rows, which are not order lines themselves.
+ */
+function findPrepacks(lines, headerIdx, profile) {
+  const packs = [];
+  const componentLines = new Set();
+  const componentRe = profile.table.prepackComponent;
+  if (!componentRe) return { packs, componentLines };
+
+  const letteredSkuRe = new RegExp(`^([A-Z])\\s+(${profile.table.sku})(?!\\d)`);
+  const skuAtStartRe = new RegExp(`^(${profile.table.sku})(?!\\d)`);
+  let pack = null;
+  let pendingLetter = '';
+
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) continue;
+    if (/^total\s+(cost|qty|pack)/i.test(line)) break;
+    if (/^[A-Z]$/.test(line)) {
+      pendingLetter = line;
+      continue;
+    }
+
+    const lettered = line.match(letteredSkuRe);
+    const skuMatch = line.match(skuAtStartRe);
+    if (lettered || (pendingLetter && skuMatch)) {
+      pack = {
+        letter: lettered ? lettered[1] : pendingLetter,
+        sku: lettered ? lettered[2] : skuMatch[1],
+        packsOrdered: 0,
+        components: [],
+        lines: [line]
+      };
+      packs.push(pack);
+      pendingLetter = '';
+      continue;
+    }
+    pendingLetter = '';
+    if (!pack) continue;
+
+    const component = !/\$\d/.test(line) && line.match(componentRe);
+    if (component && component.groups.sku !== pack.sku) {
+      pack.components.push({
+        'SKU': component.groups.sku,
+        'MFG Style': component.groups.style || '',
+        'MFG Color': (component.groups.color || '').trim(),
+        'Size Desc.': component.groups.size || '',
+        'Ratio': parseInt(component.groups.ratio, 10)
+      });
+      pack.lines.push(line);
+      componentLines.add(i);
+      continue;
+    }
+    if (skuMatch) {
+      pack = null;
+      continue;
+    }
+    const packsOrdered = line.match(/number\s+of\s+packs\s+ordered:\s*(\d+)/i);
+    if (packsOrdered && !pack.packsOrdered) pack.packsOrdered = parseInt(packsOrdered[1], 10);
+  }
+
+  return { packs: packs.filter(p => p.components.length > 0), componentLines };
+}
+
+/**
+ * Give each prepack's line item its pack letter and components
+ * Component units are exploded as ratio x packs ordered. Packs ordered come
+ * from the "Number Of Packs Ordered" line, or from the line's units divided
+ * by the units per pack (the sum of the ratios). A pack qty or unit count
+ * that disagrees with the components is flagged.
+ */
+function attachPrepacks(items, packs) {
+  for (const pack of packs) {
+    const item = items.find(candidate => candidate['SKU'] === pack.sku && !candidate['PACK']);
+    if (!item) continue;
+
+    const unitsPerPack = pack.components.reduce((sum, component) => sum + component['Ratio'], 0);
+    const qty = parseInt(item['Qty'], 10);
+    const packsOrdered = pack.packsOrdered || (qty > 0 && qty % unitsPerPack === 0 ? qty / unitsPerPack : 0);
+
+    item['PACK'] = pack.letter;
+    item['Packs Ordered'] = packsOrdered || '';
+    item['Components'] = pack.components.map(component => ({
+      ...component,
+      'Qty': packsOrdered ? component['Ratio'] * packsOrdered : ''
+    }));
+    item['PACK COMPONENTS'] = item['Components']
+      .map(c => `${[c['SKU'], c['MFG Color'], c['Size Desc.']].filter(Boolean).join(' ')}: ${c['Ratio']}/pack${c['Qty'] ? `, ${c['Qty']} units` : ''}`)
+      .join('; ');
+
+    const fields = item._fields || {};
+    const sources = [...new Set([...((fields['SKU'] || {}).source || []), ...pack.lines])];
+    if (!item['Pack Qty.']) {
+      item['Pack Qty.'] = unitsPerPack;
+      fields['Pack Qty.'] = fieldInfo('medium', pack.lines);
+    } else if (parseInt(item['Pack Qty.'], 10) !== unitsPerPack) {
+      fields['Pack Qty.'] = fieldInfo('low', sources, `components add up to ${unitsPerPack} per pack`);
+    }
+    if (pack.packsOrdered && qty > 0 && qty !== pack.packsOrdered * unitsPerPack) {
+      fields['Qty'] = fieldInfo('low', sources, `${pack.packsOrdered} packs of ${unitsPerPack} is ${pack.packsOrdered * unitsPerPack} units`);
+    }
+    item._fields = fields;
+  }
+}
+
+/**
+ * Parse SKU table from PDF text
+ * Runs the registered strategies (PARSE_STRATEGIES) that the retailer profile
+ * enables; the column strategy needs the positional layout from
+ * extractPdfLayout. Each item records the strategy that read it in
+ * ParseStrategy. Prepack component rows are set aside before the strategies
+ * run and attached to their pack's item (PACK, Packs Ordered, Components).
+ *
+ * options.strategy     name of the only strategy to run (forced)
+ * options.template     layout template matched for this PO (its header
+ *                      labels are used when the profile's header is absent)
+ * options.diagnostics  array to receive { strategy, score, lines, outcome }
+ *                      for every registered strategy
+ */
+function parseSkuTable(pdfText, layout = null, profile = null, options = {}) {
+  profile = resolveProfile(profile, pdfText);
+  const diagnostics = options.diagnostics || [];
+  let forced = options.strategy || '';
+  if (forced && !getParseStrategy(forced)) {
+    console.warn(`Unknown parse strategy "${forced}", using the profile's strategies`);
+    forced = '';
+  }
+  
+  // SKU shapes for this retailer, e.g. "123456789" or "A 123456789"
+  const skuSource = profile.table.sku;
+  const skuOnlyRe = new RegExp(`^${skuSource}$`);
+  const skuStartRe = new RegExp(`^${skuSource}`);
+  const packSkuStartRe = new RegExp(`^[A-Z]?\\s*${skuSource}`);
+  const packSkuLineRe = new RegExp(`^([A-Z]?\\s*)(${skuSource})(.*)$`);
+  
+  const lines = pdfText
+    .split(/\r?\n/)
+    .map(l => l.trim());
+
+  const items = [];
+
+  let headerIdx = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (profile.table.headerAnchor.test(lines[i])) {
+      const windowLines = lines.slice(i, i + 6).join(' ').toUpperCase();
+      if (profile.table.headerRequires.every(word => windowLines.includes(word))) {
+        headerIdx = i;
+        break;
+      }
+    }
+  }
+
+  const template = options.template || null;
+  if (headerIdx === -1 && template && template.table) {
+    headerIdx = findTemplateHeader(lines, template.table.header);
+  }
+
+  if (headerIdx === -1) {
+    PARSE_STRATEGIES.forEach(strategy => diagnostics.push({ strategy: strategy.name, score: 0, lines: 0, outcome: 'skipped: no table header' }));
+    return items;
+  }
+  
+  // Prepack component rows belong to their pack, not to the order lines
+  const prepacks = findPrepacks(lines, headerIdx, profile);
+  prepacks.componentLines.forEach(idx => { lines[idx] = ''; });
+  const componentSkus = new Set(prepacks.packs.flatMap(pack => pack.components.map(c => c['SKU'])));
+  
+  const context = {
+    lines,
+    headerIdx,
+    layout,
+    profile,
+    template,
+    items,
+    skuLineIndexes: lines.map((line, idx) => (idx > headerIdx && packSkuStartRe.test(line) ? idx : -1)).filter(idx => idx !== -1),
+    skuOnlyRe,
+    skuStartRe,
+    packSkuStartRe,
+    packSkuLineRe
+  };
+  
+  for (const strategy of PARSE_STRATEGIES) {
+    const entry = { strategy: strategy.name, score: Math.round(strategy.detect(context) * 100) / 100, lines: 0, outcome: '' };
+    diagnostics.push(entry);
+    
+    if (forced) {
+      if (strategy.name !== forced) {
+        entry.outcome = `skipped: ${forced} forced`;
+        continue;
+      }
+    } else if (!profile.table.strategies.includes(strategy.name)) {
+      entry.outcome = 'skipped: not enabled for this profile';
+      continue;
+    } else if (entry.score === 0) {
+      entry.outcome = 'skipped: layout not detected';
+      continue;
+    } else if (items.length > 0 && items[0]['ParseStrategy'] === 'template') {
+      // The template describes the whole table; don't fill in past its stop markers
+      entry.outcome = 'skipped: read by layout template';
+      continue;
+    } else if (strategy.mode === 'primary' && items.length > 0) {
+      entry.outcome = 'skipped: table already read';
+      continue;
+    }
+    
+    const found = strategy.parse(context);
+    found.forEach(item => { item['ParseStrategy'] = strategy.name; });
+    items.push(...found);
+    entry.outcome = forced ? 'forced' : 'ran';
+  }
+
+  // Post-processing: Filter invalid entries
+  const filteredItems = items.filter(item => {
+    const style = (item['MFG Style'] || '').trim();
+    const sku = (item['SKU'] || '').trim();
+    
+    if (/^Units\d*/i.test(style)) {
+      return false;
+    }
+    
+    if (/^\d+$/.test(style)) {
+      return false;
+    }
+    
+    const cost = (item['Cost/Unit'] || '').trim();
+    if (!cost && !item['Qty']) {
+      return false;
+    }
+    
+    // A component row read as a line (e.g. by column) has no price of its own
+    if (!cost && componentSkus.has(sku)) {
+      return false;
+    }
+    
+    return true;
+  });
+  
+  attachPrepacks(filteredItems, prepacks.packs);
+
+  diagnostics.forEach(entry => {
+    entry.lines = filteredItems.filter(item => item['ParseStrategy'] === entry.strategy).length;
+  });
+
+  return filteredItems;
+}
+
+/**
+ * Get the reconstructed text of one page
+ */
+function getPageText(page) {
+  return page.lines.length > 0 ? page.lines.map(line => line.text).join('\n') + '\n' : '';
+}
+
+/**
+ * Split a document's pages into one segment per purchase order
+ * A page starts a new PO when its page counter resets ("Page 1 of N") or
+ * when it carries an ORDER NUMBER/DEPT. NUMBER header block for a different
+ * PO # than the segment before it. Continuation pages of the same PO repeat
+ * that header with the same number and stay in the segment.
+ */
+async function splitPoSegments(pages, profile) {
+  const segments = [];
+  let current = null;
+  
+  for (const page of pages) {
+    const pageText = getPageText(page);
+    const pageCounter = pageText.match(/\bPage\s+(\d+)\s+of\s+\d+/i);
+    const hasPoHeader = /ORDER\s*NUMBER|DEPT\.\s*NUMBER/i.test(pageText);
+    const pagePo = hasPoHeader ? (await getPoMetadata(pageText, profile))['PO #'] : '';
+    
+    const startsNewPo = !current
+      || (pageCounter && parseInt(pageCounter[1], 10) === 1)
+      || (pagePo && current.poNumber && pagePo !== current.poNumber);
+    
+    if (startsNewPo) {
+      current = { pages: [], poNumber: '' };
+      segments.push(current);
+    }
+    current.pages.push(page);
+    if (!current.poNumber && pagePo) current.poNumber = pagePo;
+  }
+  
+  return segments;
+}
+
+/**
+ * Format a segment's page span for display, e.g. "3" or "3-5"
+ */
+function formatPageRange(pages) {
+  if (pages.length === 0) return '';
+  const first = pages[0].pageNumber;
+  const last = pages[pages.length - 1].pageNumber;
+  return first === last ? String(first) : `${first}-${last}`;
+}
+
+/**
+ * The parsing strategy forced for a file, if any
+ * A per-file override (exact file name) wins over a per-profile override,
+ * which wins over the profile's own forceStrategy.
+ */
+function resolveForcedStrategy(fileName, profile, overrides = {}) {
+  const files = (overrides && overrides.files) || {};
+  const profiles = (overrides && overrides.profiles) || {};
+  return files[fileName] || profiles[profile.id] || profile.table.forceStrategy || '';
+}
+
+/**
+ * Process one PDF: extract text, read PO metadata and parse the SKU table
+ * Documents bundling several POs are split into per-PO segments, each with
+ * its own metadata and line numbering. Returns plain data only, so it can be
+ * posted back from a Web Worker.
+ *
+ * options.profile             retailer profile id, or 'auto'/empty to detect per file
+ * options.strategyOverrides   { files: { name: strategy }, profiles: { id: strategy } }
+ *                             to force a parsing strategy (see resolveForcedStrategy)
+ * options.templates           valid layout templates (JSON) tried on each PO
+ *                             before the built-in rules (convertMultiplePdfsToExcel
+ *                             drops invalid ones once per run, see filterLayoutTemplates)
+ */
+async function processPdfBuffer(arrayBuffer, fileName, options = {}) {
+  const { pages, profileId } = await extractPdfLayout(arrayBuffer, options);
+  const profile = resolveProfile(profileId);
+  const segments = await splitPoSegments(pages, profile);
+  const forcedStrategy = resolveForcedStrategy(fileName, profile, options.strategyOverrides);
+  const templates = options.templates || [];
+  
+  const records = [];
+  const segmentSummaries = [];
+  
+  for (const segment of segments) {
+    const text = segment.pages.map(getPageText).join('');
+    const template = matchLayoutTemplate(text, templates);
+    const metadata = await getPoMetadata(text, profile, { pages: segment.pages }, { template });
+    const diagnostics = [];
+    const skuItems = parseSkuTable(text, { pages: segment.pages }, profile, { strategy: forcedStrategy, template, diagnostics });
+    const pageRange = formatPageRange(segment.pages);
+    
+    // Flag records read from scanned pages so they get double-checked
+    const textSource = segment.pages.some(page => page.textSource === 'ocr') ? 'OCR' : 'PDF';
+    
+    records.push(...skuItems.map((item, idx) => ({
+      ...metadata,
+      ...item,
+      '_fields': { ...metadata._fields, ...item._fields },
+      'Line': idx + 1,
+      'SourceFile': fileName,
+      'Pages': pageRange,
+      'TextSource': textSource,
+      'Retailer': profile.id,
+      'STATUS': lineStatus(metadata, item, profile.metadata.revision)
+    })));
+    
+    segmentSummaries.push({
+      metadata,
+      pages: pageRange,
+      lineCount: skuItems.length,
+      strategies: diagnostics,
+      template: template ? template.id : ''
+    });
+  }
+  
+  return {
+    metadata: segmentSummaries[0] ? segmentSummaries[0].metadata : await getPoMetadata('', profile),
+    profileId: profile.id,
+    segments: segmentSummaries,
+    records,
+    pageCount: pages.length,
+    pagesWithoutText: pages.filter(page => page.textSource === 'none').length
+  };
+}
+
+/**
+ * Run processPdfBuffer for each file in a pool of Web Workers
+ * Each worker streams its file result back as soon as it finishes. Returns the
+ * indexes of files the pool could not handle (worker failed to start or
+ * crashed) so the caller can finish them on the main thread.
+ */
+async function runPdfWorkerPool(files, options, onFileResult) {
+  const poolSize = Math.max(1, Math.min(navigator.hardwareConcurrency || 2, files.length));
+  const unprocessed = [];
+  let nextIndex = 0;
+  
+  const runWorker = () => new Promise(resolve => {
+    let worker;
+    try {
+      worker = new Worker(PDF_WORKER_URL);
+    } catch (err) {
+      // e.g. page opened from file:// where workers are blocked
+      console.warn('PDF worker unavailable, processing on the main thread:', err.message);
+      resolve();
+      return;
+    }
+    
+    let currentIndex = -1;
+    const next = () => {
+      if (nextIndex >= files.length) {
+        worker.terminate();
+        resolve();
+        return;
+      }
+      currentIndex = nextIndex++;
+      worker.postMessage({
+        index: currentIndex,
+        file: files[currentIndex],
+        options: { profile: options.profile, strategyOverrides: options.strategyOverrides, templates: options.templates }
+      });
+    };
+    
+    worker.onmessage = (event) => {
+      const message = event.data;
+      // pdf.js posts its own handshake messages from inside the worker
+      if (!message || message.index !== currentIndex) return;
+      onFileResult(message.index, message.error ? { error: message.error } : message.result);
+      next();
+    };
+    
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.warn('PDF worker failed, finishing on the main thread:', event.message);
+      if (currentIndex !== -1) unprocessed.push(currentIndex);
+      worker.terminate();
+      resolve();
+    };
+    
+    next();
+  });
+  
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+  
+  // Files never dispatched because every worker failed
+  for (let i = nextIndex; i < files.length; i++) unprocessed.push(i);
+  return unprocessed.sort((a, b) => a - b);
+}
+
+/**
+ * Process all PDFs, in parallel workers when available
+ * Results come back indexed by file position, so output order is identical
+ * to a serial run regardless of which worker finishes first. Files are
+ * File objects, or { name, data } with the PDF bytes (ArrayBuffer or
+ * Uint8Array, e.g. under Node where there are no workers).
+ *
+ * options.workers     false to force serial processing on the main thread
+ * options.profile     retailer profile id ('auto' or empty to detect per file)
+ * options.strategyOverrides  parsing strategies forced per file/profile
+ * options.templates   valid layout templates tried before the built-in rules
+ * options.onProgress  called with { completed, total, fileName } per file
+ */
+async function processPdfFiles(files, options = {}) {
+  const results = new Array(files.length).fill(null);
+  let completed = 0;
+  
+  const report = (index, result) => {
+    results[index] = result;
+    completed++;
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({ completed, total: files.length, fileName: files[index].name });
+    }
+  };
+  
+  let mainThreadIndexes = files.map((_, idx) => idx);
+  
+  if (options.workers !== false && typeof Worker !== 'undefined' && files.length > 1) {
+    const ocrIndexes = [];
+    const unprocessed = await runPdfWorkerPool(files, options, (index, result) => {
+      // Workers have no canvas/OCR; redo scanned files here
+      if (result && result.pagesWithoutText > 0 && isOcrAvailable()) {
+        ocrIndexes.push(index);
+        return;
+      }
+      if (result && result.error) {
+        console.error(`Error processing ${files[index].name}:`, result.error);
+      }
+      report(index, result);
+    });
+    mainThreadIndexes = [...unprocessed, ...ocrIndexes].sort((a, b) => a - b);
+  }
+  
+  for (const index of mainThreadIndexes) {
+    const file = files[index];
+    try {
+      const arrayBuffer = file.data || await file.arrayBuffer();
+      report(index, await processPdfBuffer(arrayBuffer, file.name, options));
+    } catch (error) {
+      console.error(`Error processing ${file.name}:`, error);
+      report(index, { error: error.message || String(error) });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Outcome of one PDF from its processPdfFiles result, as { status, message }
+ * A file whose only POs are cancellations/revisions without lines is OK.
+ */
+function fileOutcome(result) {
+  if (!result) return { status: FILE_STATUS.ERROR, message: 'Not processed' };
+  if (result.error) return { status: FILE_STATUS.ERROR, message: String(result.error) };
+  
+  const records = result.records || [];
+  if (records.length === 0) {
+    const revisions = (result.segments || []).filter(segment => segment.metadata['STATUS'] && segment.metadata['PO #']);
+    if (revisions.length > 0) {
+      return { status: FILE_STATUS.OK, message: revisions.map(segment => `PO ${segment.metadata['PO #']} ${segment.metadata['STATUS']}`).join(', ') };
+    }
+    const message = result.pagesWithoutText > 0
+      ? `No line items found (${result.pagesWithoutText} of ${result.pageCount} page(s) had no text layer${isOcrAvailable() ? '' : ', OCR not installed'})`
+      : 'No line items found';
+    return { status: FILE_STATUS.NO_ITEMS, message };
+  }
+  
+  const missingPo = records.filter(r => !r['PO #']).length;
+  if (missingPo > 0) {
+    return { status: FILE_STATUS.NO_PO, message: `${missingPo} of ${records.length} line(s) have no PO #` };
+  }
+  return { status: FILE_STATUS.OK, message: '' };
+}
+
+/**
+ * The parsing strategies of one PDF from its processPdfFiles result, as text
+ * for the Processing Log: per PO (by page range when the file bundled
+ * several), its layout template and every strategy that detected its layout
+ * or ran, with score, outcome and lines read
+ */
+function describeParseStrategies(result) {
+  if (!result || result.error || !result.segments) return '';
+  
+  return result.segments.map(segment => {
+    const strategies = (segment.strategies || [])
+      .filter(d => d.score > 0 || d.lines > 0 || !d.outcome.startsWith('skipped'))
+      .map(d => `${d.strategy} (score ${d.score}) ${d.outcome}${d.lines ? `, ${d.lines} line(s)` : ''}`);
+    if (segment.template) strategies.unshift(`layout template ${segment.template}`);
+    const label = result.segments.length > 1 ? `p. ${segment.pages}: ` : '';
+    const skipped = [...new Set((segment.strategies || []).map(d => d.outcome))].join('; ');
+    return label + (strategies.join('; ') || `no strategy ran (${skipped || 'none registered'})`);
+  }).join(' | ');
+}
+
+/**
+ * Convert multiple PDFs to merged Excel
+ * With options.includeRecords, also returns the line records, the
+ * metadata of every revised/cancelled PO found (poRevisions), the per-file
+ * entries { name, pageCount, status, message, strategies } (sources, for the
+ * result panel) and the buildCustomerWorkbook options the workbook was built
+ * with (buildOptions, to rebuild it from corrected records). With
+ * options.sizeMatrix the workbook gets the Size Matrix sheet, options.layout
+ * sets the PO Data sheet's output layout, options.outputMode its shape
+ * (OUTPUT_MODE) and options.conflictPolicy how it settles SKUs whose prices
+ * differ between POs. Invalid options.templates are left out once for the whole run; their
+ * problems are returned as templateErrors. When no PDF gives anything the
+ * error thrown lists each file's outcome, and carries the entries as
+ * error.sources (and error.templateErrors).
+ */
+async function convertMultiplePdfsToExcel(files, options = {}) {
+  const allRecords = [];
+  const poRevisions = [];
+  let firstMetadata = null;
+  
+  // An invalid output layout stops the run before any PDF is read
+  resolveOutputLayout(options.layout);
+  const { templates, errors: templateErrors } = filterLayoutTemplates(options.templates);
+  const fileResults = await processPdfFiles(files, { ...options, templates });
+  fileResults.forEach((result, i) => {
+    if (!result || result.error) return;
+    if (i === 0) firstMetadata = result.metadata;
+    allRecords.push(...result.records);
+    // Revisions/cancellations, including cancelled POs that list no lines
+    result.segments
+      .filter(segment => segment.metadata['STATUS'] && segment.metadata['PO #'])
+      .forEach(segment => poRevisions.push({ ...segment.metadata, 'SourceFile': files[i].name }));
+  });
+  
+  // Every PDF for the Sources and Processing Log sheets, including ones
+  // that gave no lines
+  const sources = files.map((file, i) => ({
+    name: file.name,
+    pageCount: fileResults[i] && !fileResults[i].error ? fileResults[i].pageCount : '',
+    ...fileOutcome(fileResults[i]),
+    strategies: describeParseStrategies(fileResults[i])
+  }));
+  
+  if (allRecords.length === 0 && poRevisions.length === 0) {
+    const reasons = sources.map(source => `${source.name}: ${source.message || source.status}`);
+    const error = new Error(`No data extracted from any PDF. ${reasons.join('; ')}`);
+    error.sources = sources;
+    error.templateErrors = templateErrors;
+    throw error;
+  }
+  
+  // Files that bundled several POs get page ranges in the SOURCE FILE column
+  const splitFiles = new Set(
+    fileResults
+      .map((result, i) => (result && result.segments && result.segments.length > 1) ? files[i].name : null)
+      .filter(Boolean)
+  );
+  
+  const buildOptions = {
+    sources,
+    splitFiles,
+    vendorName: firstMetadata?.['VENDOR'],
+    sizeMatrix: options.sizeMatrix,
+    layout: options.layout,
+    conflictPolicy: options.conflictPolicy,
+    outputMode: options.outputMode
+  };
+  const workbook = buildCustomerWorkbook(allRecords, buildOptions);
+  
+  if (options && options.includeRecords) {
+    return {
+      workbook,
+      records: allRecords,
+      poRevisions,
+      sources,
+      buildOptions,
+      templateErrors
+    };
+  }
+
+  return workbook;
+}
+
+/**
+ * A custom output layout laid over the default one
+ */
+function withOutputLayoutDefaults(layout) {
+  return {
+    ...DEFAULT_OUTPUT_LAYOUT,
+    ...layout,
+    poBlock: { ...DEFAULT_OUTPUT_LAYOUT.poBlock, ...(layout.poBlock || {}) }
+  };
+}
+
+/**
+ * Check a custom output layout (after the defaults are filled in); returns
+ * a list of problems, empty when the layout can be used
+ */
+function validateOutputLayout(layout) {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) return ['not a JSON object'];
+  const errors = [];
+  const resolved = withOutputLayoutDefaults(layout);
+  const checkColumns = (specs, key, fields) => {
+    if (!Array.isArray(specs)) {
+      errors.push(`${key} must be a list`);
+      return [];
+    }
+    specs.forEach((spec, idx) => {
+      if (!spec || !fields.includes(spec.field)) errors.push(`${key}[${idx}]: unknown field "${spec && spec.field}"`);
+      if (!spec || typeof spec.header !== 'string') errors.push(`${key}[${idx}]: missing header`);
+      if (spec && spec.numFmt !== undefined && typeof spec.numFmt !== 'string') errors.push(`${key}[${idx}]: numFmt must be text`);
+      if (spec && spec.width !== undefined && !(spec.width > 0)) errors.push(`${key}[${idx}]: width must be a positive number`);
+    });
+    return specs.filter(Boolean).map(spec => spec.field);
+  };
+  
+  if (Array.isArray(resolved.columns) && resolved.columns.length === 0) errors.push('columns needs at least one column');
+  const fields = [
+    ...checkColumns(resolved.columns, 'columns', [...OUTPUT_LINE_FIELDS, ...OUTPUT_COMPUTED_FIELDS]),
+    ...checkColumns(resolved.trailingColumns, 'trailingColumns', [...OUTPUT_LINE_FIELDS, ...OUTPUT_COMPUTED_FIELDS])
+  ];
+  fields.filter((field, idx) => fields.indexOf(field) !== idx).forEach(field => errors.push(`"${field}" is in more than one column`));
+  // The vendor merge matches vendor rows on it
+  if (!fields.includes('MFG Style')) errors.push('needs an MFG Style column (the vendor merge matches on it)');
+  if (fields.includes('TTL AMT') && !(fields.includes('Cost/Unit') && fields.includes('TTL UNITS'))) {
+    errors.push('TTL AMT needs the Cost/Unit and TTL UNITS columns');
+  }
+  checkColumns(resolved.vendorColumns, 'vendorColumns', VENDOR_FIELDS);
+  
+  const poBlock = resolved.poBlock;
+  const lineColumns = Array.isArray(resolved.columns) ? resolved.columns.length : 0;
+  if (poBlock.column !== null && !(Number.isInteger(poBlock.column) && poBlock.column > lineColumns && poBlock.column >= 2)) {
+    errors.push(`poBlock.column must be a column number after the ${lineColumns} line column(s)`);
+  }
+  if (typeof poBlock.header !== 'string') errors.push('poBlock.header must be text');
+  if (!Array.isArray(poBlock.metadata)) {
+    errors.push('poBlock.metadata must be a list');
+  } else {
+    poBlock.metadata.forEach((spec, idx) => {
+      if (!spec || typeof spec.field !== 'string' || typeof spec.label !== 'string') errors.push(`poBlock.metadata[${idx}]: needs a field and a label`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * The output layout to build with: the default, or a custom one laid over
+ * it (throws when the custom layout is invalid)
+ */
+function resolveOutputLayout(layout) {
+  if (!layout) return DEFAULT_OUTPUT_LAYOUT;
+  const errors = validateOutputLayout(layout);
+  if (errors.length > 0) throw new Error(`Invalid output layout: ${errors.join('; ')}`);
+  return withOutputLayoutDefaults(layout);
+}
+
+/**
+ * Where a layout puts things on a PO Data sheet with poCount PO columns:
+ * the PO# row, header row and first data row (metadata rows start at row
+ * 2), the first PO column, and every line/trailing column as { ...spec, col }
+ * with colOf mapping fields to columns. In OUTPUT_MODE.LONG the header is
+ * row 1 and the columns are PO #, the poBlock metadata, then the line and
+ * trailing columns (there are no PO columns or PO# row).
+ */
+function outputLayoutPositions(layout, poCount, mode = OUTPUT_MODE.WIDE) {
+  if (mode === OUTPUT_MODE.LONG) {
+    // PO # and the poBlock metadata as columns, then the line columns
+    const columns = [
+      { field: 'PO #', header: 'PO #', width: 10, metadata: true },
+      ...layout.poBlock.metadata.map(spec => ({
+        field: spec.field,
+        header: spec.label,
+        numFmt: spec.numFmt || (DATE_FIELDS.includes(spec.field) ? 'mm/dd/yyyy' : undefined),
+        width: 12,
+        metadata: true
+      })),
+      ...layout.columns,
+      ...layout.trailingColumns
+    ].map((spec, idx) => ({ ...spec, col: idx + 1 }));
+    const colOf = {};
+    columns.forEach(spec => { colOf[spec.field] = spec.col; });
+    return { poRow: null, headerRow: 1, firstDataRow: 2, poColumn: null, columns, colOf };
+  }
+  
+  const poRow = 2 + layout.poBlock.metadata.length;
+  const poColumn = layout.poBlock.column || layout.columns.length + 1;
+  const columns = [
+    ...layout.columns.map((spec, idx) => ({ ...spec, col: idx + 1 })),
+    ...layout.trailingColumns.map((spec, idx) => ({ ...spec, col: poColumn + poCount + idx }))
+  ];
+  const colOf = {};
+  columns.forEach(spec => { colOf[spec.field] = spec.col; });
+  return { poRow, headerRow: poRow + 1, firstDataRow: poRow + 2, poColumn, columns, colOf };
+}
+
+/**
+ * Formula for a computed column in a data row, or null (TTL UNITS without
+ * PO columns); poColumns is [first, last] or null
+ */
+function outputLayoutFormula(field, row, colOf, poColumns) {
+  if (field === 'TTL AMT') {
+    return { formula: `${getColumnLetter(colOf['Cost/Unit'])}${row}*${getColumnLetter(colOf['TTL UNITS'])}${row}` };
+  }
+  if (field === 'TTL UNITS' && poColumns) {
+    return { formula: `SUM(${getColumnLetter(poColumns[0])}${row}:${getColumnLetter(poColumns[1])}${row})` };
+  }
+  return null;
+}
+
+/**
+ * Build the customer workbook (PO Data, Addresses, Reconciliation,
+ * Conflicts, Prepacks, Line Items, PO Headers, Sources, Processing Log and
+ * optionally Size Matrix sheets) from PO line records
+ * Also used to rebuild it after lines were corrected in the review queue.
+ *
+ * options.splitFiles  names of PDFs that bundled several POs (defaults to
+ *                     files whose records span more than one page range)
+ * options.vendorName  title for the PO info block (defaults to the first record's VENDOR)
+ * options.sizeMatrix  also add the Size Matrix sheet (size-run grid lines by style)
+ * options.layout      output layout for the PO Data sheet (DEFAULT_OUTPUT_LAYOUT
+ *                     with a custom layout's keys laid over it)
+ * options.conflictPolicy  CONFLICT_POLICY for SKUs whose cost, retail or pack
+ *                     qty differ between POs (default: first); the rows are
+ *                     highlighted and listed in the Conflicts sheet
+ * options.outputMode  OUTPUT_MODE of the PO Data sheet (default: wide)
+ * options.sources     [{ name, pageCount, status, message, strategies }] per PDF for the
+ *                     Sources and Processing Log sheets (defaults to the
+ *                     files the records came from)
+ */
+function buildCustomerWorkbook(allRecords, options = {}) {
+  const splitFiles = new Set(options.splitFiles || allRecords
+    .map(r => r['SourceFile'])
+    .filter((name, idx, names) => names.indexOf(name) === idx)
+    .filter(name => new Set(allRecords.filter(r => r['SourceFile'] === name).map(r => r['Pages'])).size > 1));
+  
+  const layout = resolveOutputLayout(options.layout);
+  // Line fields kept as the first non-empty value (the ones below have their own rules)
+  const layoutFields = [...layout.columns, ...layout.trailingColumns].map(spec => spec.field);
+  const firstValueFields = layoutFields.filter(field => OUTPUT_LINE_FIELDS.includes(field)
+    && !['SKU', 'MFG Style', 'Cost/Unit', 'Retail', 'Pack Qty.', 'UPC', 'SourceFile'].includes(field));
+  // Per-variant fields in the layout get a row per value instead of the first one
+  const variantFields = firstValueFields.filter(field => MERGE_VARIANT_FIELDS.includes(field));
+  
+  // SKUs whose cost/retail/pack qty differ between lines, by SKU|MFG Style;
+  // in long format split leaves every PO row with its own values
+  const isLong = options.outputMode === OUTPUT_MODE.LONG;
+  const conflictPolicy = options.conflictPolicy || CONFLICT_POLICY.FIRST;
+  const conflicts = findPriceConflicts(allRecords, conflictPolicy);
+  const conflictsByKey = {};
+  for (const conflict of conflicts) {
+    const key = `${conflict['SKU']}|${conflict['MFG Style']}`;
+    (conflictsByKey[key] = conflictsByKey[key] || []).push(conflict);
+  }
+  
+  // Merge records by SKU/MFG Style and the layout's variant fields (and by
+  // the conflicting values when split), or also by PO in long format
+  const mergedDict = {};
+  const keysOrder = [];
+  
+  for (const record of allRecords) {
+    const sku = record['SKU'] || '';
+    const style = record['MFG Style'] || '';
+    const skuConflicts = conflictsByKey[`${sku}|${style}`] || [];
+    let key = [sku, style, ...variantFields.map(field => record[field] || '')].join('|');
+    if (isLong) {
+      key = `${record['PO #'] || ''}|${key}`;
+    } else if (conflictPolicy === CONFLICT_POLICY.SPLIT && skuConflicts.length > 0) {
+      key += `|${skuConflicts.map(conflict => conflictValue(record, conflict.field)).join('|')}`;
+    }
+    
+    if (!mergedDict[key]) {
+      mergedDict[key] = {
+        'SKU': sku,
+        'MFG Style': style,
+        'Cost/Unit': record['Cost/Unit'] || '',
+        'Retail': record['Retail'] || '',
+        'Pack Qty.': null,
+        'UPC': '',
+        'PO_Quantities': {},
+        'Units': 0,
+        'Record': record,
+        'SourceFiles': new Set(),
+        'OcrSourceFiles': new Set(),
+        'SourcePages': {},
+        'ConflictFields': skuConflicts.map(conflict => conflict.field)
+      };
+      firstValueFields.forEach(field => { mergedDict[key][field] = ''; });
+      keysOrder.push(key);
+    }
+    
+    const merged = mergedDict[key];
+    
+    // Pack Qty - take first non-zero
+    if (!merged['Pack Qty.'] || merged['Pack Qty.'] === 0) {
+      const packQty = parseInt(record['Pack Qty.'] || 0);
+      if (packQty > 0) merged['Pack Qty.'] = packQty;
+    }
+    
+    // UPC - first one seen, replaced if a later line has a valid one
+    if (record['UPC'] && (!merged['UPC'] || (!normalizeUpc(merged['UPC']).valid && normalizeUpc(record['UPC']).valid))) {
+      merged['UPC'] = record['UPC'];
+    }
+    
+    firstValueFields.forEach(field => {
+      if (!merged[field] && record[field]) merged[field] = record[field];
+    });
+    
+    // Sum quantities by PO
+    merged['Units'] += parseInt(record['Qty'] || 0);
+    const poNum = record['PO #'] || '';
+    if (poNum) {
+      const qty = parseInt(record['Qty'] || 0);
+      merged['PO_Quantities'][poNum] = (merged['PO_Quantities'][poNum] || 0) + qty;
+    }
+    
+    if (record['SourceFile']) {
+      merged['SourceFiles'].add(record['SourceFile']);
+      if (record['TextSource'] === 'OCR') merged['OcrSourceFiles'].add(record['SourceFile']);
+      if (splitFiles.has(record['SourceFile']) && record['Pages']) {
+        const pageSet = merged['SourcePages'][record['SourceFile']] || new Set();
+        pageSet.add(record['Pages']);
+        merged['SourcePages'][record['SourceFile']] = pageSet;
+      }
+    }
+  }
+  
+  // Conflicting values settled by the policy (split rows keep their own)
+  if (conflictPolicy !== CONFLICT_POLICY.SPLIT) {
+    for (const key of keysOrder) {
+      const merged = mergedDict[key];
+      for (const conflict of conflictsByKey[`${merged['SKU']}|${merged['MFG Style']}`] || []) {
+        merged[conflict.field] = conflict.values[conflict.used].value;
+      }
+    }
+  }
+  
+  const workbook = createWorkbook();
+  if (isLong) {
+    addLongPoDataSheet(workbook, keysOrder.map(key => mergedDict[key]), layout);
+    return addDetailSheets(workbook, allRecords, conflicts, conflictPolicy, options);
+  }
+  
+  // Get unique PO numbers
+  const uniquePOs = [...new Set(allRecords.map(r => r['PO #']).filter(Boolean))];
+  uniquePOs.sort((a, b) => (parseInt(a) || 0) - (parseInt(b) || 0));
+  
+  const ws = workbook.addWorksheet('PO Data');
+  
+  const vendorName = options.vendorName || allRecords[0]?.['VENDOR'] || 'VENDOR';
+  
+  // Metadata rows, then the PO# row (with totals), the column headers and
+  // the data
+  const { poRow, headerRow, firstDataRow, poColumn, columns, colOf } = outputLayoutPositions(layout, uniquePOs.length);
+  const poColumns = uniquePOs.length > 0 ? [poColumn, poColumn + uniquePOs.length - 1] : null;
+  const labelCol = poColumn - 1;
+  
+  // Metadata labels left of the PO columns
+  ws.getCell(1, labelCol).value = `${vendorName} PO INFO`;
+  layout.poBlock.metadata.forEach((spec, idx) => {
+    ws.getCell(2 + idx, labelCol).value = spec.label;
+  });
+  ws.getCell(poRow, labelCol).value = `${vendorName} PO#`;
+  
+  // One column per PO
+  for (let i = 0; i < uniquePOs.length; i++) {
+    const po = uniquePOs[i];
+    const col = poColumn + i;
+    
+    // Find a record with this PO to get its metadata
+    const record = allRecords.find(r => r['PO #'] === po);
+    if (record) {
+      // PO number row
+      ws.getCell(poRow, col).value = `PO# ${po}`;
+      
+      // Metadata rows (dates as real dates)
+      layout.poBlock.metadata.forEach((spec, idx) => {
+        if (!record[spec.field]) return;
+        const cell = ws.getCell(2 + idx, col);
+        if (DATE_FIELDS.includes(spec.field)) {
+          cell.value = parseDate(record[spec.field]);
+          if (cell.value) cell.numFmt = spec.numFmt || 'mm/dd/yyyy';
+        } else {
+          cell.value = record[spec.field];
+          if (spec.numFmt) cell.numFmt = spec.numFmt;
+        }
+      });
+    }
+    
+    // Quantity header
+    ws.getCell(headerRow, col).value = layout.poBlock.header;
+    ws.getCell(headerRow, col).font = { bold: true };
+  }
+  
+  // Column headers
+  columns.forEach(spec => {
+    ws.getCell(headerRow, spec.col).value = spec.header;
+    ws.getCell(headerRow, spec.col).font = { bold: true };
+  });
+  
+  // Data rows below the headers
+  let row = firstDataRow;
+  for (const key of keysOrder) {
+    const merged = mergedDict[key];
+    
+    for (const spec of columns) {
+      const cell = ws.getCell(row, spec.col);
+      if (OUTPUT_COMPUTED_FIELDS.includes(spec.field)) {
+        const formula = outputLayoutFormula(spec.field, row, colOf, poColumns);
+        if (formula) cell.value = formula;
+      } else {
+        writeLineCell(cell, spec.field, merged);
+      }
+      if (spec.numFmt) cell.numFmt = spec.numFmt;
+      if (merged['ConflictFields'].length > 0 && ['SKU', 'MFG Style', ...merged['ConflictFields']].includes(spec.field)) {
+        cell.fill = CONFLICT_FILL;
+      }
+    }
+    
+    // PO quantities
+    uniquePOs.forEach((po, idx) => {
+      const qty = merged['PO_Quantities'][po];
+      if (qty && qty > 0) {
+        ws.getCell(row, poColumn + idx).value = qty;
+      }
+    });
+    
+    row++;
+  }
+  
+  // Totals in the PO# row
+  const lastRow = row - 1;
+  columns.filter(spec => spec.total).forEach(spec => {
+    const letter = getColumnLetter(spec.col);
+    if (lastRow >= firstDataRow) {
+      ws.getCell(poRow, spec.col).value = { formula: `SUM(${letter}${firstDataRow}:${letter}${lastRow})` };
+    }
+    if (spec.numFmt) ws.getCell(poRow, spec.col).numFmt = spec.numFmt;
+  });
+  
+  // Column widths
+  columns.forEach(spec => {
+    if (spec.width) ws.getColumn(spec.col).width = spec.width;
+  });
+  
+  return addDetailSheets(workbook, allRecords, conflicts, conflictPolicy, options);
+}
+
+/**
+ * Write a line column's value for a merged SKU row (computed columns aside)
+ */
+function writeLineCell(cell, field, merged) {
+  if (field === 'SourceFile') {
+    // Source files (OCR-derived ones marked for review)
+    cell.value = [...merged['SourceFiles']]
+      .sort()
+      .map(name => {
+        const pageSet = merged['SourcePages'][name];
+        const label = pageSet ? `${name} [p. ${[...pageSet].join(', ')}]` : name;
+        return merged['OcrSourceFiles'].has(name) ? `${label} (OCR)` : label;
+      })
+      .join(', ');
+    if (merged['OcrSourceFiles'].size > 0) {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+    }
+  } else if (field === 'UPC') {
+    // UPC as text (keeps leading zeros), highlighted when missing or invalid
+    cell.value = merged['UPC'];
+    cell.numFmt = '@';
+    if (!normalizeUpc(merged['UPC']).valid) cell.fill = ERROR_FILL;
+  } else if (OUTPUT_PRICE_FIELDS.includes(field)) {
+    const price = parseFloat(String(merged[field] || '').replace(/[$,]/g, '')) || null;
+    if (price) cell.value = price;
+  } else {
+    cell.value = merged[field] || '';
+  }
+}
+
+/**
+ * Add the long-format PO Data sheet (OUTPUT_MODE.LONG): a header row, then
+ * one row per PO and SKU with the PO's metadata, its units as TTL UNITS and
+ * TTL AMT as cost × units
+ */
+function addLongPoDataSheet(workbook, rows, layout) {
+  const ws = workbook.addWorksheet('PO Data');
+  const { firstDataRow, columns, colOf } = outputLayoutPositions(layout, 0, OUTPUT_MODE.LONG);
+  writeSheetHeaders(ws, columns.map(spec => spec.header));
+  
+  rows.forEach((merged, idx) => {
+    const row = firstDataRow + idx;
+    for (const spec of columns) {
+      const cell = ws.getCell(row, spec.col);
+      if (spec.metadata) {
+        // PO metadata (dates as real dates)
+        const value = merged['Record'][spec.field];
+        cell.value = DATE_FIELDS.includes(spec.field) ? parseDate(value) || value || '' : value || '';
+      } else if (spec.field === 'TTL UNITS') {
+        cell.value = merged['Units'];
+      } else if (OUTPUT_COMPUTED_FIELDS.includes(spec.field)) {
+        cell.value = outputLayoutFormula(spec.field, row, colOf, null);
+      } else {
+        writeLineCell(cell, spec.field, merged);
+      }
+      if (spec.numFmt) cell.numFmt = spec.numFmt;
+      if (merged['ConflictFields'].length > 0 && ['SKU', 'MFG Style', ...merged['ConflictFields']].includes(spec.field)) {
+        cell.fill = CONFLICT_FILL;
+      }
+    }
+  });
+  
+  columns.forEach(spec => {
+    if (spec.width) ws.getColumn(spec.col).width = spec.width;
+  });
+  return ws;
+}
+
+/**
+ * Add the sheets that follow PO Data (Addresses through Processing Log, and
+ * the Size Matrix when asked for)
+ */
+function addDetailSheets(workbook, allRecords, conflicts, conflictPolicy, options) {
+  addAddressSheet(workbook, allRecords);
+  addReconciliationSheet(workbook, reconcilePoTotals(allRecords));
+  addConflictsSheet(workbook, conflicts, conflictPolicy);
+  addPrepackSheet(workbook, allRecords);
+  addLineItemsSheet(workbook, allRecords);
+  addPoHeadersSheet(workbook, allRecords);
+  addSourcesSheet(workbook, allRecords, options.sources);
+  addProcessingLogSheet(workbook, allRecords, options.sources);
+  if (options.sizeMatrix) addSizeMatrixSheet(workbook, allRecords);
+  
+  return workbook;
+}
+
+/**
+ * A line's value of a CONFLICT_FIELDS field as a number, null when empty
+ */
+function conflictValue(record, field) {
+  const value = field === 'Pack Qty.'
+    ? parseInt(record[field], 10)
+    : parseFloat(String(record[field] ?? '').replace(/[$,]/g, ''));
+  return value > 0 ? value : null;
+}
+
+/**
+ * Cost/Unit, Retail and Pack Qty. values that differ between lines of the
+ * same SKU (SKU|MFG Style), e.g. the same item on two POs at different costs
+ * One entry per SKU and field: { SKU, MFG Style, field, values, used }, each
+ * value being { value, pos, sourceFiles, orderDate } (orderDate: the latest
+ * ORDER DATE of those POs) in the order first seen. used is the index of the
+ * value the PO Data sheet takes under the CONFLICT_POLICY (null for split).
+ */
+function findPriceConflicts(records, policy = CONFLICT_POLICY.FIRST) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = `${record['SKU'] || ''}|${record['MFG Style'] || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  
+  const conflicts = [];
+  for (const lines of groups.values()) {
+    for (const field of CONFLICT_FIELDS) {
+      const values = [];
+      for (const record of lines) {
+        const value = conflictValue(record, field);
+        if (value === null) continue;
+        let entry = values.find(v => v.value === value);
+        if (!entry) {
+          entry = { value, pos: [], sourceFiles: [], orderDate: null };
+          values.push(entry);
+        }
+        if (record['PO #'] && !entry.pos.includes(record['PO #'])) entry.pos.push(record['PO #']);
+        if (record['SourceFile'] && !entry.sourceFiles.includes(record['SourceFile'])) entry.sourceFiles.push(record['SourceFile']);
+        const orderDate = parseDate(record['ORDER DATE']);
+        if (orderDate && (!entry.orderDate || orderDate > entry.orderDate)) entry.orderDate = orderDate;
+      }
+      if (values.length < 2) continue;
+      
+      // Latest order date wins, ties go to the later value; undated POs count
+      // as oldest, so with no dates at all the first value is used
+      let used = 0;
+      if (policy === CONFLICT_POLICY.LATEST) {
+        values.forEach((entry, idx) => {
+          if (entry.orderDate && (!values[used].orderDate || entry.orderDate >= values[used].orderDate)) used = idx;
+        });
+      }
+      conflicts.push({
+        'SKU': lines[0]['SKU'] || '',
+        'MFG Style': lines[0]['MFG Style'] || '',
+        field,
+        values,
+        used: policy === CONFLICT_POLICY.SPLIT ? null : used
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Compare each PO's parsed lines with the footer totals printed on it
+ * One entry per PO (per source file and page range) with a check per total:
+ * { field, printed, parsed, status }, status being 'OK', 'MISMATCH',
+ * 'NOT PRINTED' or 'INCOMPLETE' (packs can't be summed without pack qtys).
+ * entry.ok is false when any check is a MISMATCH.
+ */
+function reconcilePoTotals(records) {
+  const toNumber = (value) => {
+    const num = parseFloat(String(value ?? '').replace(/[$,]/g, ''));
+    return Number.isFinite(num) ? num : null;
+  };
+  
+  const groups = new Map();
+  for (const record of records) {
+    const key = `${record['PO #']}|${record['SourceFile']}|${record['Pages']}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  
+  return [...groups.values()].map(lines => {
+    let cost = 0;
+    let qty = 0;
+    let packs = 0;
+    let packsKnown = true;
+    for (const line of lines) {
+      const lineQty = toNumber(line['Qty']) || 0;
+      const packQty = toNumber(line['Pack Qty.']);
+      cost += (toNumber(line['Cost/Unit']) || 0) * lineQty;
+      qty += lineQty;
+      if (packQty > 0) {
+        packs += lineQty / packQty;
+      } else {
+        packsKnown = false;
+      }
+    }
+    const parsed = {
+      'TOTAL COST': Math.round(cost * 100) / 100,
+      'TOTAL QTY': qty,
+      'TOTAL PACKS': packsKnown ? Math.round(packs * 100) / 100 : null
+    };
+    
+    const first = lines[0];
+    const checks = TOTAL_FIELDS.map(field => {
+      const printed = toNumber(first[field]);
+      let status = 'OK';
+      if (printed === null) {
+        status = 'NOT PRINTED';
+      } else if (parsed[field] === null) {
+        status = 'INCOMPLETE';
+      } else if (Math.abs(printed - parsed[field]) >= 0.005) {
+        status = 'MISMATCH';
+      }
+      return { field, printed, parsed: parsed[field], status };
+    });
+    
+    return {
+      'PO #': first['PO #'] || '',
+      'SourceFile': first['SourceFile'] || '',
+      'Pages': first['Pages'] || '',
+      checks,
+      ok: checks.every(check => check.status !== 'MISMATCH')
+    };
+  });
+}
+
+/**
+ * Add the Conflicts sheet: a row per value of each conflicting field (from
+ * findPriceConflicts) with its POs and whether the PO Data sheet used it
+ */
+function addConflictsSheet(workbook, conflicts, policy) {
+  const ws = workbook.addWorksheet('Conflicts');
+  const headers = ['SKU', 'MFG STYLE', 'FIELD', 'VALUE', 'PO #', 'SOURCE FILE', 'LATEST ORDER DATE', 'USED'];
+  writeSheetHeaders(ws, headers);
+  
+  let row = 2;
+  for (const conflict of conflicts) {
+    conflict.values.forEach((entry, idx) => {
+      const values = [
+        conflict['SKU'],
+        conflict['MFG Style'],
+        conflict.field,
+        entry.value,
+        entry.pos.join(', '),
+        entry.sourceFiles.join(', '),
+        entry.orderDate || '',
+        policy === CONFLICT_POLICY.SPLIT ? 'own row' : (idx === conflict.used ? 'yes' : '')
+      ];
+      values.forEach((value, col) => {
+        ws.getCell(row, col + 1).value = value;
+      });
+      if (conflict.field !== 'Pack Qty.') ws.getCell(row, 4).numFmt = '$#,##0.00';
+      if (entry.orderDate) ws.getCell(row, 7).numFmt = 'mm/dd/yyyy';
+      ws.getCell(row, 1).fill = CONFLICT_FILL;
+      row++;
+    });
+  }
+  
+  ws.getColumn(1).width = 14;
+  ws.getColumn(2).width = 16;
+  ws.getColumn(3).width = 10;
+  ws.getColumn(4).width = 10;
+  ws.getColumn(5).width = 20;
+  ws.getColumn(6).width = 30;
+  ws.getColumn(7).width = 18;
+  ws.getColumn(8).width = 8;
+  return ws;
+}
+
+/**
+ * Add the Reconciliation sheet: printed vs parsed totals per PO, mismatches in red
+ */
+function addReconciliationSheet(workbook, reconciliations) {
+  const ws = workbook.addWorksheet('Reconciliation');
+  const headers = ['PO #', 'SOURCE FILE', 'PAGES', 'CHECK', 'PRINTED', 'PARSED', 'DIFFERENCE', 'STATUS'];
+  headers.forEach((h, idx) => {
+    ws.getCell(1, idx + 1).value = h;
+    ws.getCell(1, idx + 1).font = { bold: true };
+  });
+  
+  let row = 2;
+  for (const entry of reconciliations) {
+    for (const check of entry.checks) {
+      const values = [
+        entry['PO #'],
+        entry['SourceFile'],
+        entry['Pages'],
+        check.field,
+        check.printed ?? '',
+        check.parsed ?? '',
+        check.printed !== null && check.parsed !== null ? Math.round((check.parsed - check.printed) * 100) / 100 : '',
+        check.status
+      ];
+      values.forEach((value, idx) => {
+        ws.getCell(row, idx + 1).value = value;
       });
-      
-      i = priceLineIdx;
+      if (check.field === 'TOTAL COST') {
+        [5, 6, 7].forEach(col => { ws.getCell(row, col).numFmt = '$#,##0.00'; });
+      }
+      if (check.status === 'MISMATCH') {
+        for (let col = 1; col <= headers.length; col++) {
+          ws.getCell(row, col).fill = ERROR_FILL;
+        }
+        ws.getCell(row, 8).font = { bold: true, color: { argb: 'FF9C0006' } };
+      }
+      row++;
     }
   }
+  
+  ws.getColumn(1).width = 10;
+  ws.getColumn(2).width = 24;
+  ws.getColumn(3).width = 8;
+  ws.getColumn(4).width = 14;
+  for (let col = 5; col <= headers.length; col++) {
+    ws.getColumn(col).width = 13;
+  }
+  return ws;
+}
 
-  // Post-processing: Filter invalid entries
-  const filteredItems = items.filter(item => {
-    const style = (item['MFG Style'] || '').trim();
-    const sku = (item['SKU'] || '').trim();
-    
-    if (/^Units\d*/i.test(style)) {
-      return false;
-    }
-    
-    if (/^\d+$/.test(style)) {
-      return false;
-    }
+/**
+ * Add the Addresses sheet: one row per PO with its ship-to/bill-to/mark-for fields
+ */
+function addAddressSheet(workbook, records) {
+  const ws = workbook.addWorksheet('Addresses');
+  const headers = ['PO #', 'SOURCE FILE', ...ADDRESS_FIELDS];
+  headers.forEach((h, idx) => {
+    ws.getCell(1, idx + 1).value = h;
+    ws.getCell(1, idx + 1).font = { bold: true };
+  });
+  
+  const seen = new Set();
+  let row = 2;
+  for (const record of records) {
+    const key = `${record['PO #']}|${record['SourceFile']}|${record['Pages']}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
     
-    const cost = (item['Cost/Unit'] || '').trim();
-    if (!cost && !item['Qty']) {
-      return false;
+    ws.getCell(row, 1).value = record['PO #'] || '';
+    ws.getCell(row, 2).value = record['SourceFile'] || '';
+    ADDRESS_FIELDS.forEach((field, idx) => {
+      ws.getCell(row, idx + 3).value = record[field] || '';
+    });
+    row++;
+  }
+  
+  ws.getColumn(1).width = 10;
+  ws.getColumn(2).width = 24;
+  for (let col = 3; col <= headers.length; col++) {
+    ws.getColumn(col).width = 18;
+  }
+  return ws;
+}
+
+/**
+ * A record field's value typed for tidy output: dates as Dates, prices,
+ * quantities and totals as numbers, anything unreadable (and all other
+ * fields, UPCs included) as the text it was read as
+ */
+function toTidyValue(field, value = '') {
+  value = value ?? '';
+  if (DATE_FIELDS.includes(field)) {
+    return parseDate(value) || value;
+  }
+  if ([...OUTPUT_PRICE_FIELDS, 'TOTAL COST'].includes(field)) {
+    const price = parseFloat(String(value).replace(/[$,]/g, ''));
+    return Number.isFinite(price) ? price : value;
+  }
+  if (['Line', 'Qty', 'Pack Qty.', 'TOTAL QTY', 'TOTAL PACKS'].includes(field)) {
+    const num = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(num) ? num : value;
+  }
+  return value;
+}
+
+/**
+ * Write a record's fields across a tidy-table row (values from toTidyValue)
+ */
+function writeTidyRow(ws, row, fields, record) {
+  fields.forEach((field, idx) => {
+    const cell = ws.getCell(row, idx + 1);
+    cell.value = toTidyValue(field, record[field]);
+    if (DATE_FIELDS.includes(field) && cell.value instanceof Date) {
+      cell.numFmt = 'mm/dd/yyyy';
+    } else if ([...OUTPUT_PRICE_FIELDS, 'TOTAL COST'].includes(field)) {
+      cell.numFmt = '$#,##0.00';
+    } else if (field === 'UPC') {
+      cell.numFmt = '@';
     }
-    
-    return true;
   });
+}
 
-  return filteredItems;
+/**
+ * Bold header row with the given labels
+ */
+function writeSheetHeaders(ws, headers) {
+  headers.forEach((h, idx) => {
+    ws.getCell(1, idx + 1).value = h;
+    ws.getCell(1, idx + 1).font = { bold: true };
+  });
 }
 
 /**
- * Convert multiple PDFs to merged Excel
+ * Add the Line Items sheet: every parsed line with its PO, source and dates,
+ * one row per record (not merged by SKU)
  */
-async function convertMultiplePdfsToExcel(files, options = {}) {
-  const allRecords = [];
-  let firstMetadata = null;
+function addLineItemsSheet(workbook, records) {
+  const ws = workbook.addWorksheet('Line Items');
+  writeSheetHeaders(ws, LINE_ITEM_FIELDS);
+  records.forEach((record, idx) => writeTidyRow(ws, idx + 2, LINE_ITEM_FIELDS, record));
   
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
-    
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      const text = await extractPdfText(arrayBuffer);
-      
-      const metadata = await getPoMetadata(text);
-      
-      if (i === 0) firstMetadata = metadata;
-      
-      const skuItems = parseSkuTable(text);
-      
-      const records = skuItems.map((item, idx) => ({
-        ...metadata,
-        ...item,
-        'Line': idx + 1,
-        'SourceFile': file.name
-      }));
-      
-      allRecords.push(...records);
-    } catch (error) {
-      console.error(`Error processing ${file.name}:`, error);
-    }
+  LINE_ITEM_FIELDS.forEach((field, idx) => {
+    ws.getColumn(idx + 1).width = ['SourceFile', 'Description', 'PACK COMPONENTS'].includes(field) ? 24 : 12;
+  });
+  return ws;
+}
+
+/**
+ * The POs in a set of line records, one per PO # / source file / page range
+ * in order of appearance, as { record (the PO's first line), lines, units }
+ */
+function groupPoHeaders(records) {
+  const pos = new Map();
+  for (const record of records) {
+    const key = `${record['PO #']}|${record['SourceFile']}|${record['Pages']}`;
+    if (!pos.has(key)) pos.set(key, { record, lines: 0, units: 0 });
+    const po = pos.get(key);
+    po.lines++;
+    po.units += parseInt(record['Qty'], 10) || 0;
   }
+  return [...pos.values()];
+}
+
+/**
+ * Add the PO Headers sheet: one row per PO (per source file and page range)
+ * with all its metadata, its line count and total units
+ */
+function addPoHeadersSheet(workbook, records) {
+  const ws = workbook.addWorksheet('PO Headers');
+  writeSheetHeaders(ws, [...PO_HEADER_FIELDS, 'Lines', 'Units']);
   
-  if (allRecords.length === 0) {
-    throw new Error('No data extracted from any PDF. Check browser console for details.');
+  let row = 2;
+  for (const po of groupPoHeaders(records)) {
+    writeTidyRow(ws, row, PO_HEADER_FIELDS, po.record);
+    ws.getCell(row, PO_HEADER_FIELDS.length + 1).value = po.lines;
+    ws.getCell(row, PO_HEADER_FIELDS.length + 2).value = po.units;
+    row++;
   }
   
-  // Count unique source files that actually produced records
-  const uniqueSourceFiles = [...new Set(allRecords.map(r => r.SourceFile))];
-  
-  // Merge records by SKU/MFG Style
-  const mergedDict = {};
-  const keysOrder = [];
-  
-  for (const record of allRecords) {
-    const sku = record['SKU'] || '';
-    const style = record['MFG Style'] || '';
-    const key = `${sku}|${style}`;
-    
-    if (!mergedDict[key]) {
-      mergedDict[key] = {
-        'SKU': sku,
-        'MFG Style': style,
-        'Cost/Unit': record['Cost/Unit'] || '',
-        'Retail': record['Retail'] || '',
-        'Pack Qty.': null,
-        'PO_Quantities': {},
-        'SourceFiles': new Set()
-      };
-      keysOrder.push(key);
-    }
-    
-    const merged = mergedDict[key];
-    
-    // Pack Qty - take first non-zero
-    if (!merged['Pack Qty.'] || merged['Pack Qty.'] === 0) {
-      const packQty = parseInt(record['Pack Qty.'] || 0);
-      if (packQty > 0) merged['Pack Qty.'] = packQty;
-    }
-    
-    // Sum quantities by PO
-    const poNum = record['PO #'] || '';
-    if (poNum) {
-      const qty = parseInt(record['Qty'] || 0);
-      merged['PO_Quantities'][poNum] = (merged['PO_Quantities'][poNum] || 0) + qty;
-    }
-    
-    if (record['SourceFile']) {
-      merged['SourceFiles'].add(record['SourceFile']);
-    }
+  ws.getColumn(1).width = 10;
+  ws.getColumn(2).width = 24;
+  for (let col = 3; col <= PO_HEADER_FIELDS.length + 2; col++) {
+    ws.getColumn(col).width = 14;
   }
+  return ws;
+}
+
+/**
+ * Add the Sources sheet: each PDF with its page count, the PO #s read from
+ * it and its line count (0 for files that gave no lines)
+ */
+function addSourcesSheet(workbook, records, sources) {
+  const ws = workbook.addWorksheet('Sources');
+  writeSheetHeaders(ws, ['SourceFile', 'Page Count', 'PO #', 'Lines']);
   
-  // Get unique PO numbers
-  const uniquePOs = [...new Set(allRecords.map(r => r['PO #']).filter(Boolean))];
-  uniquePOs.sort((a, b) => (parseInt(a) || 0) - (parseInt(b) || 0));
+  // Without file results, list the files the records came from; their last
+  // page read is the best page count available
+  const entries = sources || [...new Set(records.map(r => r['SourceFile']).filter(Boolean))].map(name => ({
+    name,
+    pageCount: Math.max(...records
+      .filter(r => r['SourceFile'] === name)
+      .map(r => parseInt(String(r['Pages'] || '').split('-').pop(), 10) || 0))
+  }));
   
-  // Create workbook
-  const workbook = new ExcelJS.Workbook();
-  const ws = workbook.addWorksheet('PO Data');
+  entries.forEach((source, idx) => {
+    const lines = records.filter(r => r['SourceFile'] === source.name);
+    const row = idx + 2;
+    ws.getCell(row, 1).value = source.name;
+    ws.getCell(row, 2).value = source.pageCount || '';
+    ws.getCell(row, 3).value = [...new Set(lines.map(r => r['PO #']).filter(Boolean))].join(', ');
+    ws.getCell(row, 4).value = lines.length;
+  });
   
-  const vendorName = firstMetadata?.['VENDOR'] || 'VENDOR';
+  ws.getColumn(1).width = 30;
+  ws.getColumn(2).width = 12;
+  ws.getColumn(3).width = 20;
+  ws.getColumn(4).width = 8;
+  return ws;
+}
+
+/**
+ * Add the Processing Log sheet: each PDF's outcome (FILE_STATUS) and why,
+ * with failed files filled red and files without usable lines yellow
+ */
+function addProcessingLogSheet(workbook, records, sources) {
+  const ws = workbook.addWorksheet('Processing Log');
+  const headers = ['SourceFile', 'STATUS', 'MESSAGE', 'Page Count', 'PO #', 'Lines', 'Parse Strategies'];
+  writeSheetHeaders(ws, headers);
   
-  // Header info in column G
-  ws.getCell('G1').value = `${vendorName} PO INFO`;
-  ws.getCell('G2').value = 'ORDER DATE';
-  ws.getCell('G3').value = 'SHIP DATE';
-  ws.getCell('G4').value = 'CANCEL DATE';
-  ws.getCell('G5').value = 'DEPT#';
-  ws.getCell('G6').value = 'DC';
-  ws.getCell('G7').value = 'STORE #';
-  ws.getCell('G8').value = `${vendorName} PO#`;
+  // Without file results, every file the records came from was read
+  const entries = sources || [...new Set(records.map(r => r['SourceFile']).filter(Boolean))].map(name => ({ name }));
   
-  // PO columns starting at H (column 8)
-  for (let i = 0; i < uniquePOs.length; i++) {
-    const po = uniquePOs[i];
-    const col = 8 + i;
-    
-    // Find a record with this PO to get its metadata
-    const record = allRecords.find(r => r['PO #'] === po);
-    if (record) {
-      // Row 8: PO number
-      ws.getCell(8, col).value = `PO# ${po}`;
-      
-      // Row 2: Order Date
-      if (record['ORDER DATE']) {
-        const cell = ws.getCell(2, col);
-        cell.value = parseDate(record['ORDER DATE']);
-        if (cell.value) cell.numFmt = 'mm/dd/yyyy';
-      }
-      
-      // Row 3: Ship Date
-      if (record['SHIP DATE']) {
-        const cell = ws.getCell(3, col);
-        cell.value = parseDate(record['SHIP DATE']);
-        if (cell.value) cell.numFmt = 'mm/dd/yyyy';
-      }
-      
-      // Row 4: Cancel Date
-      if (record['CANCEL DATE']) {
-        const cell = ws.getCell(4, col);
-        cell.value = parseDate(record['CANCEL DATE']);
-        if (cell.value) cell.numFmt = 'mm/dd/yyyy';
+  entries.forEach((source, idx) => {
+    const lines = records.filter(r => r['SourceFile'] === source.name);
+    const row = idx + 2;
+    const status = source.status || FILE_STATUS.OK;
+    ws.getCell(row, 1).value = source.name;
+    ws.getCell(row, 2).value = status;
+    ws.getCell(row, 3).value = source.message || '';
+    ws.getCell(row, 4).value = source.pageCount || '';
+    ws.getCell(row, 5).value = [...new Set(lines.map(r => r['PO #']).filter(Boolean))].join(', ');
+    ws.getCell(row, 6).value = lines.length;
+    ws.getCell(row, 7).value = source.strategies || '';
+    if (FILE_STATUS_FILLS[status]) {
+      for (let col = 1; col <= headers.length; col++) {
+        ws.getCell(row, col).fill = FILE_STATUS_FILLS[status];
       }
-      
-      // Row 5: Dept#
-      if (record['DEPT #']) ws.getCell(5, col).value = record['DEPT #'];
-      
-      // Row 6: DC
-      if (record['DC']) ws.getCell(6, col).value = record['DC'];
-      
-      // Row 7: Store#
-      if (record['STORE #']) ws.getCell(7, col).value = record['STORE #'];
     }
-    
-    // Row 9: TTL UNITS header
-    ws.getCell(9, col).value = 'TTL UNITS';
-    ws.getCell(9, col).font = { bold: true };
-  }
+  });
   
-  // Column headers in row 9
-  const headers = ['SKU #', 'MFG STYLE', 'COST / UNIT', 'RETAIL', 'TTL AMT', 'TTL UNITS', 'PACK QTY'];
+  ws.getColumn(1).width = 30;
+  ws.getColumn(2).width = 10;
+  ws.getColumn(3).width = 50;
+  ws.getColumn(4).width = 12;
+  ws.getColumn(5).width = 20;
+  ws.getColumn(6).width = 8;
+  ws.getColumn(7).width = 80;
+  return ws;
+}
+
+/**
+ * Add the Prepacks sheet: a bold row per pack (packs ordered, units per pack,
+ * total units) followed by a row per component SKU with its ratio and its
+ * exploded units
+ */
+function addPrepackSheet(workbook, records) {
+  const ws = workbook.addWorksheet('Prepacks');
+  const headers = ['PO #', 'SOURCE FILE', 'PACK', 'PACK SKU', 'MFG STYLE', 'PACKS ORDERED', 'UNITS / PACK',
+    'COMPONENT SKU', 'COMPONENT STYLE', 'COLOR', 'SIZE', 'RATIO', 'UNITS'];
   headers.forEach((h, idx) => {
-    ws.getCell(9, idx + 1).value = h;
-    ws.getCell(9, idx + 1).font = { bold: true };
+    ws.getCell(1, idx + 1).value = h;
+    ws.getCell(1, idx + 1).font = { bold: true };
   });
   
-  // Source file column
-  const srcCol = 8 + uniquePOs.length;
-  ws.getCell(9, srcCol).value = 'SOURCE FILE';
-  ws.getCell(9, srcCol).font = { bold: true };
+  const writeRow = (row, values) => values.forEach((value, idx) => {
+    ws.getCell(row, idx + 1).value = value;
+  });
   
-  // Data rows starting at row 10
-  let row = 10;
-  for (const key of keysOrder) {
-    const merged = mergedDict[key];
-    
-    ws.getCell(row, 1).value = merged['SKU'];
-    ws.getCell(row, 2).value = merged['MFG Style'];
-    
-    // Cost and Retail as numbers
-    const costStr = (merged['Cost/Unit'] || '').replace(/[$,]/g, '');
-    const retailStr = (merged['Retail'] || '').replace(/[$,]/g, '');
-    const costNum = parseFloat(costStr) || null;
-    const retailNum = parseFloat(retailStr) || null;
-    
-    if (costNum) ws.getCell(row, 3).value = costNum;
-    if (retailNum) ws.getCell(row, 4).value = retailNum;
+  let row = 2;
+  for (const record of records) {
+    if (!Array.isArray(record['Components']) || record['Components'].length === 0) continue;
     
-    // TTL AMT formula
-    ws.getCell(row, 5).value = { formula: `C${row}*F${row}` };
+    writeRow(row, [
+      record['PO #'] || '',
+      record['SourceFile'] || '',
+      record['PACK'] || '',
+      record['SKU'] || '',
+      record['MFG Style'] || '',
+      record['Packs Ordered'] || '',
+      parseInt(record['Pack Qty.'], 10) || '',
+      '', '', '', '', '',
+      parseInt(record['Qty'], 10) || ''
+    ]);
+    ws.getRow(row).font = { bold: true };
+    row++;
     
-    // TTL UNITS formula
-    if (uniquePOs.length > 0) {
-      const firstLetter = getColumnLetter(8);
-      const lastLetter = getColumnLetter(8 + uniquePOs.length - 1);
-      ws.getCell(row, 6).value = { formula: `SUM(${firstLetter}${row}:${lastLetter}${row})` };
+    for (const component of record['Components']) {
+      writeRow(row, [
+        record['PO #'] || '',
+        record['SourceFile'] || '',
+        record['PACK'] || '',
+        record['SKU'] || '',
+        '', '', '',
+        component['SKU'],
+        component['MFG Style'],
+        component['MFG Color'],
+        component['Size Desc.'],
+        component['Ratio'],
+        component['Qty']
+      ]);
+      row++;
     }
-    
-    // Pack Qty
-    ws.getCell(row, 7).value = merged['Pack Qty.'] || '';
-    
-    // PO quantities
-    uniquePOs.forEach((po, idx) => {
-      const qty = merged['PO_Quantities'][po];
-      if (qty && qty > 0) {
-        ws.getCell(row, 8 + idx).value = qty;
-      }
-    });
-    
-    // Source files
-    ws.getCell(row, srcCol).value = [...merged['SourceFiles']].sort().join(', ');
-    
-    row++;
   }
   
-  // Totals in row 8
-  const lastRow = row - 1;
-  if (lastRow >= 10) {
-    ws.getCell(8, 5).value = { formula: `SUM(E10:E${lastRow})` };
-    ws.getCell(8, 6).value = { formula: `SUM(F10:F${lastRow})` };
+  ws.getColumn(1).width = 10;
+  ws.getColumn(2).width = 24;
+  for (let col = 3; col <= headers.length; col++) {
+    ws.getColumn(col).width = 14;
   }
+  return ws;
+}
+
+/**
+ * Add the Size Matrix sheet: per style, a row per SKU/colour with its units
+ * by size (summed over the POs) and SUM formulas for the row and size
+ * totals. Only lines read from size-run grids are included.
+ */
+function addSizeMatrixSheet(workbook, records) {
+  const ws = workbook.addWorksheet('Size Matrix');
   
-  // Formatting
-  for (let r = 9; r <= lastRow; r++) {
-    ws.getCell(r, 3).numFmt = '$#,##0.00';
-    ws.getCell(r, 4).numFmt = '$#,##0.00';
-    ws.getCell(r, 5).numFmt = '$#,##0.00';
+  const styles = new Map();
+  for (const record of records) {
+    if (record['ParseStrategy'] !== 'size-grid' || !record['Size Desc.']) continue;
+    const style = record['MFG Style'] || '';
+    if (!styles.has(style)) styles.set(style, { sizes: [], lines: new Map() });
+    const entry = styles.get(style);
+    
+    const size = record['Size Desc.'];
+    if (!entry.sizes.includes(size)) entry.sizes.push(size);
+    const key = `${record['SKU']}|${record['MFG Color']}`;
+    if (!entry.lines.has(key)) {
+      entry.lines.set(key, { sku: record['SKU'] || '', color: record['MFG Color'] || '', qty: {} });
+    }
+    const line = entry.lines.get(key);
+    line.qty[size] = (line.qty[size] || 0) + (parseInt(record['Qty'], 10) || 0);
   }
-  ws.getCell(8, 5).numFmt = '$#,##0.00';
-  
-  // Column widths
-  ws.getColumn(1).width = 12;
-  ws.getColumn(2).width = 15;
-  ws.getColumn(3).width = 12;
-  ws.getColumn(4).width = 10;
-  ws.getColumn(5).width = 12;
-  ws.getColumn(6).width = 10;
-  ws.getColumn(7).width = 10;
   
-  if (options && options.includeRecords) {
-    return {
-      workbook,
-      records: allRecords
-    };
+  let row = 1;
+  for (const [style, entry] of styles) {
+    ws.getCell(row, 1).value = `STYLE ${style}`;
+    ws.getCell(row, 1).font = { bold: true };
+    row++;
+    
+    const totalCol = 3 + entry.sizes.length;
+    ['SKU #', 'COLOR', ...entry.sizes, 'TOTAL'].forEach((h, idx) => {
+      ws.getCell(row, idx + 1).value = h;
+      ws.getCell(row, idx + 1).font = { bold: true };
+    });
+    row++;
+    
+    const firstRow = row;
+    const firstSizeLetter = getColumnLetter(3);
+    const lastSizeLetter = getColumnLetter(totalCol - 1);
+    for (const line of entry.lines.values()) {
+      ws.getCell(row, 1).value = line.sku;
+      ws.getCell(row, 2).value = line.color;
+      entry.sizes.forEach((size, idx) => {
+        if (line.qty[size]) ws.getCell(row, 3 + idx).value = line.qty[size];
+      });
+      ws.getCell(row, totalCol).value = { formula: `SUM(${firstSizeLetter}${row}:${lastSizeLetter}${row})` };
+      row++;
+    }
+    
+    ws.getCell(row, 1).value = 'TOTAL';
+    for (let col = 3; col <= totalCol; col++) {
+      const letter = getColumnLetter(col);
+      ws.getCell(row, col).value = { formula: `SUM(${letter}${firstRow}:${letter}${row - 1})` };
+    }
+    ws.getRow(row).font = { bold: true };
+    row += 2;
   }
+  
+  ws.getColumn(1).width = 14;
+  ws.getColumn(2).width = 16;
+  return ws;
+}
 
-  return workbook;
+/**
+ * Serialize a workbook to .xlsx bytes as an ArrayBuffer
+ * ExcelJS hands back a Buffer/typed array, which may be a view on a larger one.
+ */
+async function writeWorkbook(workbook) {
+  const buffer = await workbook.xlsx.writeBuffer();
+  if (!ArrayBuffer.isView(buffer)) return buffer;
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+/**
+ * Copy a worksheet's values, styles and column widths into another workbook
+ */
+function copyWorksheet(sourceWs, targetWorkbook) {
+  const targetWs = targetWorkbook.addWorksheet(sourceWs.name);
+  sourceWs.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+      const dest = targetWs.getCell(rowNumber, colNumber);
+      dest.value = cell.value;
+      if (cell.style) dest.style = JSON.parse(JSON.stringify(cell.style));
+    });
+  });
+  sourceWs.columns.forEach((column, idx) => {
+    if (column && column.width) targetWs.getColumn(idx + 1).width = column.width;
+  });
+  return targetWs;
 }
 
 /**
@@ -1543,148 +4657,209 @@ function parseCSV(content) {
   return { headers, rows: dataRows };
 }
 
+/**
+ * Read the vendor file (CSV, or the first sheet of an XLSX) into vendor data
+ * keyed by Item# (the MFG Style it matches): { vend, baseCost, boxCase,
+ * unitCase } from the item's first WHS# 1 row. Used by the vendor merge and
+ * for PO#List rows and exports; a file without Item#/WHS# columns gives none.
+ */
+async function buildVendorLookup(vendorArrayBuffer, vendorFileName) {
+  let rows = [];
+  if ((vendorFileName || '').toLowerCase().endsWith('.csv')) {
+    rows = parseCSV(new TextDecoder().decode(vendorArrayBuffer)).rows;
+  } else {
+    const vendorWb = createWorkbook();
+    await vendorWb.xlsx.load(vendorArrayBuffer);
+    const vendorWs = vendorWb.worksheets[0];
+    if (vendorWs) {
+      const headers = [];
+      vendorWs.getRow(1).eachCell((cell, num) => { headers[num] = (cell.value || '').toString().trim(); });
+      vendorWs.eachRow((row, num) => {
+        if (num === 1) return;
+        const values = {};
+        headers.forEach((header, col) => { if (header) values[header] = row.getCell(col).value; });
+        rows.push(values);
+      });
+    }
+  }
+  
+  const text = value => (value ?? '').toString().trim();
+  const vendorLookup = {};
+  for (const row of rows) {
+    const itemNum = text(row['Item#']);
+    const whsNum = parseInt(row['WHS#'], 10) || 0;
+    if (!itemNum || vendorLookup[itemNum] || whsNum !== 1) continue;
+    
+    const cost = row['Base Cost'];
+    const baseCost = typeof cost === 'number' ? cost : parseFloat(text(cost).replace(/[$,]/g, ''));
+    vendorLookup[itemNum] = {
+      vend: text(row['Vend#']),
+      baseCost: Number.isFinite(baseCost) ? baseCost : null,
+      boxCase: text(row['Box/Case']),
+      unitCase: text(row['Unit/Case'])
+    };
+  }
+  return vendorLookup;
+}
+
 /**
  * Merge vendor data into customer Excel
+ * The vendor columns go in after MFG Style; options.layout is the output
+ * layout the customer workbook was built with (default layout if unset).
+ * Long-format workbooks (OUTPUT_MODE.LONG) are recognised by their header row.
  */
-async function mergeVendorData(customerArrayBuffer, vendorArrayBuffer, vendorFileName) {
-  const workbook = new ExcelJS.Workbook();
+async function mergeVendorData(customerArrayBuffer, vendorArrayBuffer, vendorFileName, options = {}) {
+  const layout = resolveOutputLayout(options.layout);
+  const workbook = createWorkbook();
   await workbook.xlsx.load(customerArrayBuffer);
   
   const customerWs = workbook.worksheets[0];
   if (!customerWs) throw new Error('Customer Excel has no worksheets');
   
-  const mergedWorkbook = new ExcelJS.Workbook();
+  const mergedWorkbook = createWorkbook();
   const mergedWs = mergedWorkbook.addWorksheet('Merged Data');
   
   const maxRow = customerWs.rowCount;
   const maxCol = customerWs.columnCount;
   
-  // Copy columns A-B as-is
-  for (let r = 1; r <= maxRow; r++) {
-    for (let c = 1; c <= 2; c++) {
-      const src = customerWs.getCell(r, c);
-      const dest = mergedWs.getCell(r, c);
-      dest.value = src.value;
-      if (src.style) dest.style = JSON.parse(JSON.stringify(src.style));
+  // A long-format sheet has the layout's long headers in row 1
+  const longPositions = outputLayoutPositions(layout, 0, OUTPUT_MODE.LONG);
+  const isLong = longPositions.columns.every(spec => String(customerWs.getCell(1, spec.col).value ?? '').trim() === spec.header);
+  
+  // Otherwise column headers sit in the row whose first column holds the
+  // layout's first header (row 9 in files from before the terms rows were
+  // added); totals are in the row above
+  let headerRow = isLong ? 1 : 9;
+  for (let r = 1; r <= maxRow && !isLong; r++) {
+    if (String(customerWs.getCell(r, 1).value ?? '').trim() === layout.columns[0].header) {
+      headerRow = r;
+      break;
     }
   }
+  const totalsRow = isLong ? null : headerRow - 1;
+  const firstDataRow = headerRow + 1;
   
-  // Copy columns C+ shifted right by 4
+  // The PO columns are the run of quantity headers from the first PO column
+  const { poColumn } = outputLayoutPositions(layout, 0);
+  let poCount = 0;
+  while (!isLong && String(customerWs.getCell(headerRow, poColumn + poCount).value ?? '').trim() === layout.poBlock.header) poCount++;
+  const { columns, colOf } = isLong ? longPositions : outputLayoutPositions(layout, poCount);
+  if (!colOf['MFG Style']) throw new Error('The output layout has no MFG Style column to match vendor data on');
+  
+  // Columns up to MFG Style stay put; the rest move right past the vendor columns
+  const vendorCol = colOf['MFG Style'] + 1;
+  const shift = layout.vendorColumns.length;
+  const mergedCol = c => (c < vendorCol ? c : c + shift);
   for (let r = 1; r <= maxRow; r++) {
-    for (let c = 3; c <= maxCol; c++) {
+    for (let c = 1; c <= maxCol; c++) {
       const src = customerWs.getCell(r, c);
-      const dest = mergedWs.getCell(r, c + 4);
+      const dest = mergedWs.getCell(r, mergedCol(c));
       dest.value = src.value;
       if (src.style) dest.style = JSON.parse(JSON.stringify(src.style));
     }
   }
   
   // New column headers
-  mergedWs.getCell(9, 3).value = 'VEND #';
-  mergedWs.getCell(9, 3).font = { bold: true };
-  mergedWs.getCell(9, 4).value = 'BASE COST';
-  mergedWs.getCell(9, 4).font = { bold: true };
-  mergedWs.getCell(9, 5).value = 'Box/Case';
-  mergedWs.getCell(9, 5).font = { bold: true };
-  mergedWs.getCell(9, 6).value = 'Unit/Case';
-  mergedWs.getCell(9, 6).font = { bold: true };
-  
-  // Build vendor lookup
-  const vendorLookup = {};
-  const isCSV = vendorFileName.toLowerCase().endsWith('.csv');
+  layout.vendorColumns.forEach((spec, idx) => {
+    mergedWs.getCell(headerRow, vendorCol + idx).value = spec.header;
+    mergedWs.getCell(headerRow, vendorCol + idx).font = { bold: true };
+  });
   
-  if (isCSV) {
-    const content = new TextDecoder().decode(vendorArrayBuffer);
-    const { rows } = parseCSV(content);
-    
-    for (const row of rows) {
-      const itemNum = (row['Item#'] || '').toString().trim();
-      const whsNum = parseInt(row['WHS#']) || 0;
-      
-      if (itemNum && !vendorLookup[itemNum] && whsNum === 1) {
-        const baseCost = parseFloat((row['Base Cost'] || '').replace(/[$,]/g, '')) || null;
-        vendorLookup[itemNum] = {
-          vend: (row['Vend#'] || '').trim(),
-          baseCost,
-          unitCase: (row['Unit/Case'] || '').trim(),
-          boxCase: (row['Box/Case'] || '').trim()
-        };
-      }
-    }
-  } else {
-    const vendorWb = new ExcelJS.Workbook();
-    await vendorWb.xlsx.load(vendorArrayBuffer);
-    const vendorWs = vendorWb.worksheets[0];
-    
-    const headerRow = vendorWs.getRow(1);
-    let cols = {};
-    headerRow.eachCell((cell, num) => {
-      const val = (cell.value || '').toString().trim();
-      if (val === 'Item#') cols.item = num;
-      else if (val === 'WHS#') cols.whs = num;
-      else if (val === 'Vend#') cols.vend = num;
-      else if (val === 'Base Cost') cols.baseCost = num;
-      else if (val === 'Unit/Case') cols.unitCase = num;
-      else if (val === 'Box/Case') cols.boxCase = num;
-    });
-    
-    vendorWs.eachRow((row, num) => {
-      if (num === 1) return;
-      const itemNum = (row.getCell(cols.item).value || '').toString().trim();
-      const whsNum = parseInt(row.getCell(cols.whs).value) || 0;
-      
-      if (itemNum && !vendorLookup[itemNum] && whsNum === 1) {
-        const bcVal = row.getCell(cols.baseCost).value;
-        const baseCost = typeof bcVal === 'number' ? bcVal : parseFloat((bcVal || '').toString().replace(/[$,]/g, '')) || null;
-        vendorLookup[itemNum] = {
-          vend: (row.getCell(cols.vend).value || '').toString().trim(),
-          baseCost,
-          unitCase: cols.unitCase ? (row.getCell(cols.unitCase).value || '').toString().trim() : '',
-          boxCase: cols.boxCase ? (row.getCell(cols.boxCase).value || '').toString().trim() : ''
-        };
-      }
-    });
-  }
+  const vendorLookup = await buildVendorLookup(vendorArrayBuffer, vendorFileName);
   
   // Apply vendor data
-  for (let r = 10; r <= maxRow; r++) {
-    const mfgStyle = (mergedWs.getCell(r, 2).value || '').toString().trim();
+  for (let r = firstDataRow; r <= maxRow; r++) {
+    const mfgStyle = (mergedWs.getCell(r, colOf['MFG Style']).value || '').toString().trim();
     if (vendorLookup[mfgStyle]) {
       const data = vendorLookup[mfgStyle];
-      mergedWs.getCell(r, 3).value = data.vend;
-      mergedWs.getCell(r, 4).value = data.baseCost;
-      mergedWs.getCell(r, 5).value = data.boxCase;
-      mergedWs.getCell(r, 6).value = data.unitCase;
+      layout.vendorColumns.forEach((spec, idx) => {
+        mergedWs.getCell(r, vendorCol + idx).value = data[spec.field];
+      });
     }
   }
   
-  // Fix formulas
-  mergedWs.getCell(8, 9).value = { formula: `SUM(I10:I${maxRow})` };
-  for (let r = 10; r <= maxRow; r++) {
-    mergedWs.getCell(r, 9).value = { formula: `G${r}*J${r}` };
-  }
-  mergedWs.getCell(8, 10).value = { formula: `SUM(J10:J${maxRow})` };
-  
-  const lastColLetter = getColumnLetter(maxCol + 4);
-  for (let r = 10; r <= maxRow; r++) {
-    mergedWs.getCell(r, 10).value = { formula: `SUM(L${r}:${lastColLetter}${r})` };
+  // Fix formulas: computed columns and the PO# row totals point at the moved
+  // columns (TTL UNITS sums the PO columns only, never SOURCE FILE, UPC or
+  // anything else after them)
+  const mergedColOf = {};
+  Object.keys(colOf).forEach(field => { mergedColOf[field] = mergedCol(colOf[field]); });
+  const poColumns = poCount > 0 ? [mergedCol(poColumn), mergedCol(poColumn + poCount - 1)] : null;
+  for (const spec of columns) {
+    const col = mergedColOf[spec.field];
+    if (OUTPUT_COMPUTED_FIELDS.includes(spec.field)) {
+      for (let r = firstDataRow; r <= maxRow; r++) {
+        const formula = outputLayoutFormula(spec.field, r, mergedColOf, poColumns);
+        if (formula) mergedWs.getCell(r, col).value = formula;
+      }
+    }
+    if (spec.total && totalsRow) {
+      const letter = getColumnLetter(col);
+      mergedWs.getCell(totalsRow, col).value = { formula: `SUM(${letter}${firstDataRow}:${letter}${maxRow})` };
+    }
   }
   
   // Formatting
-  for (let r = 8; r <= maxRow; r++) {
-    mergedWs.getCell(r, 4).numFmt = '$#,##0.00';
-    mergedWs.getCell(r, 9).numFmt = '$#,##0.00';
+  const formatted = [
+    ...layout.vendorColumns.map((spec, idx) => ({ numFmt: spec.numFmt, col: vendorCol + idx })),
+    ...columns.filter(spec => spec.total).map(spec => ({ numFmt: spec.numFmt, col: mergedColOf[spec.field] }))
+  ].filter(entry => entry.numFmt);
+  for (let r = totalsRow || firstDataRow; r <= maxRow; r++) {
+    formatted.forEach(entry => { mergedWs.getCell(r, entry.col).numFmt = entry.numFmt; });
   }
   
+  // Keep the customer workbook's other sheets (e.g. Addresses)
+  workbook.worksheets.slice(1).forEach(sheet => copyWorksheet(sheet, mergedWorkbook));
+  
   return mergedWorkbook;
 }
 
-// Export for browser
-window.POConverter = {
+const POConverter = {
+  configure,
   extractPdfText,
+  extractPdfLayout,
   getPoMetadata,
   parseSkuTable,
+  processPdfBuffer,
   convertMultiplePdfsToExcel,
+  buildCustomerWorkbook,
   mergeVendorData,
-  parseCSV
+  parseCSV,
+  buildVendorLookup,
+  parseDate,
+  registerParseStrategy,
+  listParseStrategies,
+  validateLayoutTemplate,
+  filterLayoutTemplates,
+  matchLayoutTemplate,
+  validateOutputLayout,
+  reconcilePoTotals,
+  findPriceConflicts,
+  groupPoHeaders,
+  toTidyValue,
+  normalizeUpc,
+  ADDRESS_FIELDS,
+  TERMS_FIELDS,
+  REVISION_FIELDS,
+  PREPACK_FIELDS,
+  PO_STATUS,
+  TOTAL_FIELDS,
+  ITEM_FIELDS,
+  DATE_FIELDS,
+  LINE_ITEM_FIELDS,
+  PO_HEADER_FIELDS,
+  VENDOR_FIELDS,
+  ERROR_FILL,
+  FILE_STATUS,
+  CONFLICT_POLICY,
+  OUTPUT_MODE,
+  DEFAULT_OUTPUT_LAYOUT,
+  createWorkbook,
+  writeWorkbook
 };
+
+if (isCommonJs) {
+  module.exports = POConverter;
+} else {
+  // Page global (also read by js/pdf-worker.js)
+  globalScope.POConverter = POConverter;
+}
@@ -0,0 +1,100 @@
+/**
+ * OCR fallback for scanned PO PDFs
+ * Renders a page with pdf.js and recognizes it with Tesseract.js, which npm
+ * install copies to ./vendor/tesseract so nothing is fetched from the network.
+ */
+
+const POOcr = {
+  VENDOR_PATH: './vendor/tesseract/',
+  LANGUAGE: 'eng',
+  RENDER_SCALE: 3, // ~216 DPI, enough for 8-10pt PO print
+
+  workerPromise: null,
+
+  /**
+   * Check whether the bundled Tesseract.js library was loaded
+   */
+  isAvailable() {
+    return typeof window.Tesseract !== 'undefined' && typeof window.Tesseract.createWorker === 'function';
+  },
+
+  /**
+   * Create (once) the Tesseract worker pointed at the local bundle
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      const base = new URL(this.VENDOR_PATH, window.location.href).href;
+      this.workerPromise = window.Tesseract.createWorker(this.LANGUAGE, 1, {
+        workerPath: `${base}worker.min.js`,
+        corePath: base,
+        langPath: `${base}lang`,
+        workerBlobURL: false
+      }).catch(err => {
+        this.workerPromise = null;
+        throw err;
+      });
+    }
+    return this.workerPromise;
+  },
+
+  /**
+   * Render a pdf.js page to a canvas at OCR resolution
+   */
+  async renderPage(page) {
+    const viewport = page.getViewport({ scale: this.RENDER_SCALE });
+    const width = Math.ceil(viewport.width);
+    const height = Math.ceil(viewport.height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    // Fill white first so transparent regions don't OCR as black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas;
+  },
+
+  /**
+   * Recognize a page and return words as positioned items in PDF units
+   * Items have the same shape as extractPdfLayout's text-layer items
+   * ({ str, x, y, width, height, fontSize }, Y growing upward).
+   */
+  async recognizePage(page) {
+    if (!this.isAvailable()) {
+      throw new Error('OCR library not loaded. Run npm install to copy Tesseract.js to vendor/tesseract and read scanned PDFs.');
+    }
+
+    const canvas = await this.renderPage(page);
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(canvas);
+
+    const pageHeight = page.getViewport({ scale: 1 }).height;
+    const scale = this.RENDER_SCALE;
+    const items = [];
+
+    for (const line of data.lines || []) {
+      for (const word of line.words || []) {
+        const str = (word.text || '').trim();
+        if (!str) continue;
+        const { x0, y0, x1, y1 } = word.bbox;
+        const height = (y1 - y0) / scale;
+        items.push({
+          str,
+          x: x0 / scale,
+          y: pageHeight - y1 / scale, // Baseline at the bottom of the word box
+          width: (x1 - x0) / scale,
+          height,
+          fontSize: height
+        });
+      }
+    }
+
+    return items;
+  }
+};
+
+window.POOcr = POOcr;
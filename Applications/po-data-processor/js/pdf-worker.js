@@ -0,0 +1,28 @@
+/**
+ * Web Worker for parallel PDF processing
+ * Runs POConverter.processPdfBuffer for one file at a time and posts the
+ * plain-data result back to the page (see runPdfWorkerPool in converter.js).
+ */
+
+// Loading pdf.worker alongside pdf.js makes pdf.js parse in this thread
+// instead of spawning a nested worker
+importScripts(
+  '../vendor/pdfjs/pdf.min.js',
+  '../vendor/pdfjs/pdf.worker.min.js',
+  './profiles.js',
+  './converter.js'
+);
+
+self.onmessage = async (event) => {
+  const { index, file, options = {} } = event.data || {};
+  if (typeof index !== 'number' || !file) return;
+
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+    // No canvas here - scanned pages are reported and OCR'd on the page
+    const result = await self.POConverter.processPdfBuffer(arrayBuffer, file.name, { ...options, ocr: false });
+    self.postMessage({ index, result });
+  } catch (error) {
+    self.postMessage({ index, error: error.message || String(error) });
+  }
+};
@@ -0,0 +1,209 @@
+/**
+ * Structured exports of a run
+ * Turns the PO line records (from convertMultiplePdfsToExcel, or read back
+ * from a customer workbook's Line Items / PO Headers sheets) and the vendor
+ * file's cost data into a versioned JSON document and flat CSVs for
+ * downstream tools. The schema is described in the README ("Data Export");
+ * EXPORT_SCHEMA_VERSION goes up whenever a field is renamed, removed or
+ * changes type (new fields don't change it).
+ *
+ * Loaded after converter.js as a plain <script> (sets `POExport`), or
+ * require('./po-export.js') under Node, which requires converter.js itself.
+ */
+
+const exportConverter = typeof module === 'object' && module.exports
+  ? require('./converter.js')
+  : window.POConverter;
+
+const EXPORT_SCHEMA = 'po-data-processor.export';
+const EXPORT_SCHEMA_VERSION = 1;
+
+// CSV files of an export, keyed like exportToCsv's result
+const EXPORT_CSV_FILES = {
+  poHeaders: 'po-headers',
+  lineItems: 'line-items',
+  files: 'files'
+};
+
+
+/**
+ * A record field as JSON: typed like the tidy sheets, dates as YYYY-MM-DD,
+ * empty values as null
+ */
+function exportValue(field, value) {
+  const typed = exportConverter.toTidyValue(field, value);
+  if (typed instanceof Date) return typed.toISOString().slice(0, 10);
+  return typed === '' ? null : typed;
+}
+
+/**
+ * Pick the listed fields of a record as export values
+ */
+function exportFields(record, fields) {
+  const result = {};
+  for (const field of fields) {
+    result[field] = exportValue(field, record[field]);
+  }
+  return result;
+}
+
+/**
+ * Build the export document
+ * options.poRevisions  revised/cancelled PO metadata (POs cancelled without
+ *                      lines get a header with no lines)
+ * options.vendorLookup vendor data by MFG Style (POConverter.buildVendorLookup)
+ * options.run          { timestamp, folder, fileCount, retailer, vendorFile,
+ *                      files: [{ name, pageCount, status, message }] }
+ */
+function buildExport(records, options = {}) {
+  const run = options.run || {};
+  const vendorLookup = options.vendorLookup || null;
+
+  const poHeaders = exportConverter.groupPoHeaders(records).map(po => ({
+    ...exportFields(po.record, exportConverter.PO_HEADER_FIELDS),
+    'Lines': po.lines,
+    'Units': po.units
+  }));
+  for (const revision of options.poRevisions || []) {
+    const listed = poHeaders.some(header => header['PO #'] === revision['PO #'] && header['SourceFile'] === revision['SourceFile']);
+    if (!listed) {
+      poHeaders.push({ ...exportFields(revision, exportConverter.PO_HEADER_FIELDS), 'Lines': 0, 'Units': 0 });
+    }
+  }
+
+  const lineItems = records.map(record => {
+    const vendor = vendorLookup ? vendorLookup[String(record['MFG Style'] || '').trim()] : null;
+    return {
+      ...exportFields(record, exportConverter.LINE_ITEM_FIELDS),
+      'vendor': vendor ? Object.fromEntries(exportConverter.VENDOR_FIELDS.map(field => [field, vendor[field] ?? null])) : null
+    };
+  });
+
+  return {
+    schema: EXPORT_SCHEMA,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    run: {
+      generatedAt: new Date().toISOString(),
+      timestamp: run.timestamp || null,
+      folder: run.folder || null,
+      fileCount: run.fileCount ?? (run.files ? run.files.length : null),
+      retailer: run.retailer || null,
+      vendorFile: run.vendorFile || null,
+      files: (run.files || []).map(file => ({
+        name: file.name,
+        pageCount: file.pageCount || null,
+        status: file.status || null,
+        message: file.message || null
+      }))
+    },
+    poHeaders,
+    lineItems
+  };
+}
+
+/**
+ * One CSV field, quoted when it holds a comma, quote, line break or edge space
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows of objects as CSV text (RFC 4180, CRLF line ends) with the given columns
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * The export document as flat CSV texts, keyed like EXPORT_CSV_FILES: the PO
+ * headers, the line items with the vendor fields as vendor.<field> columns,
+ * and the run's files
+ */
+function exportToCsv(doc) {
+  const vendorColumns = exportConverter.VENDOR_FIELDS.map(field => `vendor.${field}`);
+  const lineItems = doc.lineItems.map(item => {
+    const row = { ...item };
+    exportConverter.VENDOR_FIELDS.forEach(field => { row[`vendor.${field}`] = item.vendor ? item.vendor[field] : null; });
+    return row;
+  });
+
+  return {
+    poHeaders: toCsv([...exportConverter.PO_HEADER_FIELDS, 'Lines', 'Units'], doc.poHeaders),
+    lineItems: toCsv([...exportConverter.LINE_ITEM_FIELDS, ...vendorColumns], lineItems),
+    files: toCsv(['name', 'pageCount', 'status', 'message'], doc.run.files)
+  };
+}
+
+/**
+ * A worksheet's rows below its header row as objects keyed by header
+ */
+function readSheetRows(ws) {
+  const headers = [];
+  ws.getRow(1).eachCell((cell, col) => { headers[col] = String(cell.value ?? '').trim(); });
+
+  const rows = [];
+  ws.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (!header) return;
+      const value = row.getCell(col).value;
+      // Formulas and rich text as their result/text
+      values[header] = value && typeof value === 'object' && !(value instanceof Date)
+        ? (value.result ?? (value.richText ? value.richText.map(part => part.text).join('') : ''))
+        : (value ?? '');
+    });
+    rows.push(values);
+  });
+  return rows;
+}
+
+/**
+ * Line records and file outcomes read back from a customer workbook (for the
+ * vendor-only workflow, which starts from the uploaded workbook): each Line
+ * Items row with its PO's PO Headers fields, and the Processing Log rows
+ */
+async function readWorkbookRecords(customerArrayBuffer) {
+  const workbook = exportConverter.createWorkbook();
+  await workbook.xlsx.load(customerArrayBuffer);
+
+  const lineItemsWs = workbook.getWorksheet('Line Items');
+  if (!lineItemsWs) {
+    throw new Error('The customer workbook has no Line Items sheet; process its PDFs again to export it');
+  }
+
+  const poKey = row => `${row['PO #']}|${row['SourceFile']}|${row['Pages']}`;
+  const headersWs = workbook.getWorksheet('PO Headers');
+  const headersByPo = new Map((headersWs ? readSheetRows(headersWs) : []).map(row => [poKey(row), row]));
+  const records = readSheetRows(lineItemsWs).map(row => ({ ...(headersByPo.get(poKey(row)) || {}), ...row }));
+
+  const logWs = workbook.getWorksheet('Processing Log');
+  const files = (logWs ? readSheetRows(logWs) : []).map(row => ({
+    name: row['SourceFile'],
+    pageCount: row['Page Count'],
+    status: row['STATUS'],
+    message: row['MESSAGE']
+  }));
+
+  return { records, files };
+}
+
+const POExport = {
+  EXPORT_SCHEMA,
+  EXPORT_SCHEMA_VERSION,
+  EXPORT_CSV_FILES,
+  buildExport,
+  exportToCsv,
+  readWorkbookRecords
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = POExport;
+} else {
+  window.POExport = POExport;
+}
@@ -0,0 +1,446 @@
+/**
+ * PO#List.xlsx maintenance
+ * Maps parsed PO lines (plus the vendor file's cost data) to PO#List rows
+ * and appends them to the workbook: SourceFile duplicates are skipped,
+ * revised/cancelled POs update the lines already listed, and the list is
+ * re-sorted by PO #.
+ *
+ * Works on ArrayBuffers only, so the page (js/app.js, which fetches and
+ * uploads the file via Drive) and the command line (cli/po-data-processor.js)
+ * share it. Loaded after converter.js as a plain <script> (sets `POList`), or
+ * require('./po-list.js') under Node, which requires converter.js itself.
+ */
+
+const poConverter = typeof module === 'object' && module.exports
+  ? require('./converter.js')
+  : window.POConverter;
+
+const PO_LIST_CONFIG = {
+  fileName: 'PO#List.xlsx',
+  headerRow: 9,
+  startRow: 10,
+  startColumn: 2,  // Column B
+  sourceColumn: 23, // Column W (SourceFile, used for the duplicate check)
+  dateColumns: [3, 4, 5], // Columns C:E (order, ship and cancel date)
+  // Record fields written after column W, in this order (headers added if missing).
+  // New fields go at the end so existing PO#List columns keep their place.
+  extraFields: [
+    ...poConverter.ADDRESS_FIELDS,
+    ...poConverter.TERMS_FIELDS,
+    ...poConverter.REVISION_FIELDS,
+    'UPC',
+    ...poConverter.PREPACK_FIELDS,
+    'MFG Color',
+    'Size Desc.'
+  ]
+};
+PO_LIST_CONFIG.endColumn = PO_LIST_CONFIG.sourceColumn + PO_LIST_CONFIG.extraFields.length;
+
+/**
+ * Map parsed records to PO#List column order B:W, then the extra fields
+ */
+function buildPoListRows(records, vendorLookup, appRunTimestamp) {
+  const rows = [];
+
+  for (const record of records) {
+    const poNumber = (record['PO #'] || '').toString().trim();
+    const sku = (record['SKU'] || '').toString().trim();
+    const mfgStyle = (record['MFG Style'] || '').toString().trim();
+
+    if (!poNumber && !sku && !mfgStyle) {
+      continue;
+    }
+
+    const ttlUnits = parseInt(record['Qty'], 10) || 0;
+    const costUnit = parseCurrencyToNumber(record['Cost/Unit']);
+    const retail = parseCurrencyToNumber(record['Retail']);
+    const packQty = parseInt(record['Pack Qty.'], 10) || '';
+    const ttlAmt = costUnit !== null ? costUnit * ttlUnits : '';
+
+    const vendorData = vendorLookup[mfgStyle] || {};
+    const baseCost = typeof vendorData.baseCost === 'number' ? vendorData.baseCost : null;
+    const ttlCost = baseCost !== null ? baseCost * ttlUnits : '';
+
+    rows.push([
+      poNumber,
+      toPoListDate(record['ORDER DATE']),
+      toPoListDate(record['SHIP DATE']),
+      toPoListDate(record['CANCEL DATE']),
+      record['DEPT #'] || '',
+      (record['DC'] || '').toString().trim(),
+      record['STORE #'] || '',
+      sku,
+      mfgStyle,
+      costUnit !== null ? costUnit : '',
+      retail !== null ? retail : '',
+      packQty,
+      ttlUnits,
+      ttlAmt,
+      record['Line'] || '',
+      appRunTimestamp,
+      vendorData.vend || '',
+      baseCost !== null ? baseCost : '',
+      vendorData.boxCase || '',
+      vendorData.unitCase || '',
+      ttlCost,
+      (record['SourceFile'] || '').toString().trim(),
+      ...PO_LIST_CONFIG.extraFields.map(field => (record[field] ?? '').toString().trim())
+    ]);
+  }
+
+  return rows;
+}
+
+/**
+ * A PO date as a real Date for PO#List, or the text as-is if it won't parse
+ */
+function toPoListDate(value) {
+  return poConverter.parseDate(value) || (value || '').toString().trim();
+}
+
+/**
+ * Append rows to first worksheet in PO#List workbook
+ * Takes the PO#List.xlsx contents and returns the updated file as `buffer`
+ * (an ArrayBuffer) with the appended/skipped/updated counts, and the
+ * revisions left out for being older than the one listed (ignoredRevisions:
+ * [{ po, revision, appliedRevision, sourceFile }]).
+ */
+async function appendRowsToWorkbook(poListArrayBuffer, rowsToAppend, poRevisions = []) {
+  const workbook = poConverter.createWorkbook();
+  await workbook.xlsx.load(poListArrayBuffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('PO#List workbook has no worksheet');
+  }
+
+  let nextRow = PO_LIST_CONFIG.startRow;
+  const maxRow = Math.max(worksheet.rowCount, PO_LIST_CONFIG.startRow);
+  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= maxRow; rowNum++) {
+    let hasData = false;
+    for (let col = PO_LIST_CONFIG.startColumn; col <= PO_LIST_CONFIG.endColumn; col++) {
+      const cellValue = worksheet.getCell(rowNum, col).value;
+      if (cellValue !== null && cellValue !== undefined && String(cellValue).trim() !== '') {
+        hasData = true;
+        break;
+      }
+    }
+    if (!hasData) {
+      nextRow = rowNum;
+      break;
+    }
+    nextRow = rowNum + 1;
+  }
+
+  ensurePoListExtraHeaders(worksheet);
+
+  // Revised/cancelled POs update their existing lines; only new lines go on
+  const revisionResult = applyPoRevisions(worksheet, nextRow - 1, rowsToAppend, poRevisions);
+  rowsToAppend = revisionResult.rows;
+  const { updatedRows, ignoredRevisions } = revisionResult;
+
+  // --- Duplicate check: skip rows whose SourceFile already exists in PO#List ---
+  // SourceFile is in column W (23)
+  const srcColIndex = PO_LIST_CONFIG.sourceColumn;
+  const srcRowIndex = srcColIndex - PO_LIST_CONFIG.startColumn;
+
+  const existingSources = new Set();
+  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum < nextRow; rowNum++) {
+    const srcVal = (worksheet.getCell(rowNum, srcColIndex).value ?? '').toString().trim();
+    if (srcVal) {
+      existingSources.add(srcVal);
+    }
+  }
+
+  const originalCount = rowsToAppend.length;
+  const skippedPOs = new Set();
+  const skippedSources = new Set();
+  rowsToAppend = rowsToAppend.filter(row => {
+    const srcVal = (row[srcRowIndex] ?? '').toString().trim(); // SourceFile
+    if (existingSources.has(srcVal)) {
+      const poVal = (row[0] ?? '').toString().trim();      // PO#
+      if (poVal) skippedPOs.add(poVal);
+      if (srcVal) skippedSources.add(srcVal);
+      return false;
+    }
+    return true;
+  });
+
+  const skippedCount = originalCount - rowsToAppend.length;
+  const skippedPOList = Array.from(skippedPOs).sort();
+  const skippedSourceList = Array.from(skippedSources).sort();
+  if (skippedCount > 0) {
+    console.log(`Duplicate check: skipped ${skippedCount} row(s) already in PO#List.xlsx. POs skipped: ${skippedPOList.join(', ')}. Sources: ${skippedSourceList.join(', ')}`);
+  }
+
+  if (rowsToAppend.length === 0) {
+    console.log('All rows already exist in PO#List.xlsx — nothing to append.');
+    return {
+      buffer: await poConverter.writeWorkbook(workbook),
+      appendedRows: 0,
+      skippedRows: skippedCount,
+      updatedRows,
+      skippedPOList,
+      skippedSourceList,
+      ignoredRevisions
+    };
+  }
+  // --- End duplicate check ---
+
+  const firstAppendedRow = nextRow;
+  for (const rowValues of rowsToAppend) {
+    rowValues.forEach((value, idx) => {
+      worksheet.getCell(nextRow, PO_LIST_CONFIG.startColumn + idx).value = value;
+    });
+
+    PO_LIST_CONFIG.dateColumns.forEach(col => {
+      worksheet.getCell(nextRow, col).numFmt = 'mm/dd/yyyy';
+    });
+    // Currency formats for K, L, O, S, V
+    worksheet.getCell(nextRow, 11).numFmt = '$#,##0.00';
+    worksheet.getCell(nextRow, 12).numFmt = '$#,##0.00';
+    worksheet.getCell(nextRow, 15).numFmt = '$#,##0.00';
+    worksheet.getCell(nextRow, 19).numFmt = '$#,##0.00';
+    worksheet.getCell(nextRow, 22).numFmt = '$#,##0.00';
+
+    nextRow++;
+  }
+
+  // Sort all populated data rows (B through the extra columns) by PO# in column B;
+  // each row's UPC cell style moves with it
+  const upcColumn = PO_LIST_CONFIG.sourceColumn + 1 + PO_LIST_CONFIG.extraFields.indexOf('UPC');
+  const dataRows = [];
+  const lastAppendedRow = Math.max(PO_LIST_CONFIG.startRow, nextRow - 1);
+  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= lastAppendedRow; rowNum++) {
+    const rowValues = [];
+    let hasData = false;
+    for (let col = PO_LIST_CONFIG.startColumn; col <= PO_LIST_CONFIG.endColumn; col++) {
+      const cellValue = worksheet.getCell(rowNum, col).value;
+      rowValues.push(cellValue);
+      if (cellValue !== null && cellValue !== undefined && String(cellValue).trim() !== '') {
+        hasData = true;
+      }
+    }
+    if (hasData) {
+      dataRows.push({
+        values: rowValues,
+        appended: rowNum >= firstAppendedRow,
+        upcStyle: { ...worksheet.getCell(rowNum, upcColumn).style }
+      });
+    }
+  }
+
+  dataRows.sort((a, b) => {
+    const poA = (a.values[0] ?? '').toString().trim();
+    const poB = (b.values[0] ?? '').toString().trim();
+
+    const numA = parseInt(poA, 10);
+    const numB = parseInt(poB, 10);
+    const aIsNum = Number.isFinite(numA);
+    const bIsNum = Number.isFinite(numB);
+
+    if (aIsNum && bIsNum) {
+      return numA - numB;
+    }
+    if (aIsNum && !bIsNum) return -1;
+    if (!aIsNum && bIsNum) return 1;
+    return poA.localeCompare(poB);
+  });
+
+  // Clear existing data region, then rewrite sorted rows from row 10
+  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= lastAppendedRow; rowNum++) {
+    for (let col = PO_LIST_CONFIG.startColumn; col <= PO_LIST_CONFIG.endColumn; col++) {
+      worksheet.getCell(rowNum, col).value = null;
+    }
+  }
+
+  let writeRow = PO_LIST_CONFIG.startRow;
+  for (const { values: rowValues, appended, upcStyle } of dataRows) {
+    rowValues.forEach((value, idx) => {
+      const col = PO_LIST_CONFIG.startColumn + idx;
+      // Rows from older runs may hold dates as text
+      worksheet.getCell(writeRow, col).value = PO_LIST_CONFIG.dateColumns.includes(col) && typeof value === 'string'
+        ? toPoListDate(value)
+        : value;
+    });
+
+    PO_LIST_CONFIG.dateColumns.forEach(col => {
+      worksheet.getCell(writeRow, col).numFmt = 'mm/dd/yyyy';
+    });
+    // Currency formats for K, L, O, S, V
+    worksheet.getCell(writeRow, 11).numFmt = '$#,##0.00';
+    worksheet.getCell(writeRow, 12).numFmt = '$#,##0.00';
+    worksheet.getCell(writeRow, 15).numFmt = '$#,##0.00';
+    worksheet.getCell(writeRow, 19).numFmt = '$#,##0.00';
+    worksheet.getCell(writeRow, 22).numFmt = '$#,##0.00';
+    if (appended) {
+      stylePoListUpcCell(worksheet.getCell(writeRow, upcColumn));
+    } else {
+      worksheet.getCell(writeRow, upcColumn).style = upcStyle;
+    }
+
+    writeRow++;
+  }
+
+  const lastDataRow = Math.max(PO_LIST_CONFIG.startRow, writeRow - 1);
+
+  // Row 8 summary formulas for N (TTL UNITS), O (TTL AMT), and V (TTL COST)
+  worksheet.getCell(8, 14).value = { formula: `SUM(N${PO_LIST_CONFIG.startRow}:N${lastDataRow})` };
+  worksheet.getCell(8, 15).value = { formula: `SUM(O${PO_LIST_CONFIG.startRow}:O${lastDataRow})` };
+  worksheet.getCell(8, 22).value = { formula: `SUM(V${PO_LIST_CONFIG.startRow}:V${lastDataRow})` };
+  worksheet.getCell(8, 15).numFmt = '$#,##0.00';
+  worksheet.getCell(8, 22).numFmt = '$#,##0.00';
+
+  return {
+    buffer: await poConverter.writeWorkbook(workbook),
+    appendedRows: rowsToAppend.length,
+    skippedRows: skippedCount,
+    updatedRows,
+    skippedPOList,
+    skippedSourceList,
+    ignoredRevisions
+  };
+}
+
+/**
+ * Keep a PO#List UPC cell of an appended row as text and highlight it when
+ * missing or invalid
+ * Only rows appended by the current run are styled; rows from earlier runs
+ * (including ones from before the UPC column existed) keep their own style.
+ */
+function stylePoListUpcCell(cell) {
+  cell.numFmt = '@';
+  cell.fill = poConverter.normalizeUpc(cell.value).valid
+    ? { type: 'pattern', pattern: 'none' }
+    : poConverter.ERROR_FILL;
+}
+
+/**
+ * Apply revised/cancelled POs to the lines PO#List already has for them
+ * Lines are matched by PO # and SKU. Matches take the revision's quantity,
+ * amounts and dates; cancelled lines (and every line of a cancelled PO) are
+ * marked with the status and revision number rather than deleted. Lines new
+ * to the PO stay in the returned rows to be appended. A revision older than
+ * one already applied to the PO is dropped and returned in ignoredRevisions.
+ */
+function applyPoRevisions(worksheet, lastRow, rowsToAppend, poRevisions) {
+  if (poRevisions.length === 0) return { rows: rowsToAppend, updatedRows: 0, ignoredRevisions: [] };
+
+  const { PO_STATUS } = poConverter;
+  // Positions in a buildPoListRows row
+  const ROW = { po: 0, dates: [1, 2, 3], sku: 7, units: 12, amount: 13, totalCost: 20, source: 21 };
+  const extraIndex = field => PO_LIST_CONFIG.sourceColumn + 1 + PO_LIST_CONFIG.extraFields.indexOf(field) - PO_LIST_CONFIG.startColumn;
+  const statusIdx = extraIndex('STATUS');
+  const revisionIdx = extraIndex('REVISION');
+  const sizeIdx = extraIndex('Size Desc.');
+  const cellAt = (rowNum, idx) => worksheet.getCell(rowNum, PO_LIST_CONFIG.startColumn + idx);
+  const text = value => (value ?? '').toString().trim();
+
+  const existingByPo = new Map();
+  for (let rowNum = PO_LIST_CONFIG.startRow; rowNum <= lastRow; rowNum++) {
+    const po = text(cellAt(rowNum, ROW.po).value);
+    if (!po) continue;
+    if (!existingByPo.has(po)) existingByPo.set(po, []);
+    existingByPo.get(po).push(rowNum);
+  }
+
+  const consumed = new Set();
+  const changedRows = new Set();
+  const ignoredRevisions = [];
+  const setValue = (rowNum, idx, value) => {
+    const cell = cellAt(rowNum, idx);
+    const same = value instanceof Date && cell.value instanceof Date
+      ? value.getTime() === cell.value.getTime()
+      : text(value) === text(cell.value);
+    if (same) return;
+    cell.value = value;
+    changedRows.add(rowNum);
+  };
+
+  // Oldest revision first so the latest one wins within a batch
+  const ordered = poRevisions.slice().sort((a, b) => (parseInt(a['REVISION'], 10) || 0) - (parseInt(b['REVISION'], 10) || 0));
+  for (const revision of ordered) {
+    const po = text(revision['PO #']);
+    const existingRows = existingByPo.get(po);
+    if (!existingRows) continue; // First time we see this PO: append as usual
+
+    const revisionRows = rowsToAppend.filter(row => text(row[ROW.po]) === po && text(row[ROW.source]) === revision['SourceFile']);
+    const revisionNumber = parseInt(revision['REVISION'], 10);
+    const appliedNumbers = existingRows.map(rowNum => parseInt(cellAt(rowNum, revisionIdx).value, 10)).filter(Number.isFinite);
+    if (Number.isFinite(revisionNumber) && appliedNumbers.some(n => n > revisionNumber)) {
+      ignoredRevisions.push({ po, revision: revisionNumber, appliedRevision: Math.max(...appliedNumbers), sourceFile: revision['SourceFile'] });
+      revisionRows.forEach(row => consumed.add(row));
+      continue;
+    }
+
+    if (revision['STATUS'] === PO_STATUS.CANCELLED) {
+      for (const rowNum of existingRows) {
+        setValue(rowNum, statusIdx, PO_STATUS.CANCELLED);
+        setValue(rowNum, revisionIdx, text(revision['REVISION']));
+      }
+    }
+
+    const matchedRows = new Set();
+    for (const row of revisionRows) {
+      // Same SKU and size (size-run grids list a line per size); lines listed
+      // before sizes were recorded have none and match any size once
+      const sameSku = existingRows.filter(r => !matchedRows.has(r) && text(cellAt(r, ROW.sku).value) === text(row[ROW.sku]));
+      const rowNum = sameSku.find(r => text(cellAt(r, sizeIdx).value) === text(row[sizeIdx]))
+        || sameSku.find(r => !text(cellAt(r, sizeIdx).value));
+      if (!rowNum) continue; // Line added by the revision
+      consumed.add(row);
+      matchedRows.add(rowNum);
+
+      if (row[statusIdx] !== PO_STATUS.CANCELLED) {
+        ROW.dates.forEach(idx => {
+          if (row[idx] === '') return;
+          setValue(rowNum, idx, row[idx]);
+          cellAt(rowNum, idx).numFmt = 'mm/dd/yyyy';
+        });
+        [ROW.units, ROW.amount, ROW.totalCost].forEach(idx => {
+          if (row[idx] !== '') setValue(rowNum, idx, row[idx]);
+        });
+      }
+      setValue(rowNum, statusIdx, row[statusIdx]);
+      setValue(rowNum, revisionIdx, row[revisionIdx]);
+    }
+  }
+
+  return { rows: rowsToAppend.filter(row => !consumed.has(row)), updatedRows: changedRows.size, ignoredRevisions };
+}
+
+/**
+ * Label the extra PO#List columns (after W) in the header row if the template lacks them
+ */
+function ensurePoListExtraHeaders(worksheet) {
+  PO_LIST_CONFIG.extraFields.forEach((field, idx) => {
+    const cell = worksheet.getCell(PO_LIST_CONFIG.headerRow, PO_LIST_CONFIG.sourceColumn + 1 + idx);
+    if (cell.value === null || cell.value === undefined || String(cell.value).trim() === '') {
+      cell.value = field;
+      cell.font = { bold: true };
+    }
+  });
+}
+
+/**
+ * A currency cell or "$1,234.50" text as a number, or null
+ */
+function parseCurrencyToNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value).replace(/[$,]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+const POList = {
+  PO_LIST_CONFIG,
+  buildPoListRows,
+  appendRowsToWorkbook,
+  parseCurrencyToNumber
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = POList;
+} else {
+  window.POList = POList;
+}
@@ -0,0 +1,148 @@
+/**
+ * Retailer profiles
+ * Each profile bundles what differs between customers: text that identifies
+ * its POs, metadata patterns, SKU/header rules, which parsing strategies run
+ * (or the one always used), and its folder under CustomerData/ in Google Drive.
+ *
+ * Loaded by the page and by js/pdf-worker.js, or required by js/converter.js
+ * under Node. Regexes must not use the g flag; `table.sku` is a regex source
+ * without capturing groups.
+ */
+
+// Reissued POs: "REVISED" stamp, revision number, and whole-PO or per-line
+// cancellation wording (never the "Cancel Date" label)
+const REVISION_PATTERNS = {
+  revised: /\bREVISED\b/i,
+  number: /\bREV(?:ISION|\.)?\s*(?:#|NO\.?|NUMBER)?\s*:?\s*(\d{1,3})\b/i,
+  cancelled: [
+    /\b(?:P\.?O\.?|PURCHASE\s+ORDER|ORDER)\s+(?:HAS\s+BEEN\s+|IS\s+)?CANCELL?ED\b/i,
+    /\bCANCELLATION\s+(?:NOTICE|ORDER)\b/i,
+    /^\W*CANCELL?ED\W*$/im
+  ],
+  lineCancelled: /\bCANCEL(?:L?ED)?\b(?!\s*(?:DATE|IF|BY|AFTER))/i
+};
+
+// Footer totals printed under the SKU table; the value follows the label or
+// sits on the next line. "Number Of Packs Ordered: 2 Units: 6" is per line,
+// not a footer, so pack labels followed by "Units" are ignored.
+const FOOTER_TOTAL_PATTERNS = {
+  'TOTAL COST': /\bTOTAL\s+COST\b\s*:?/i,
+  'TOTAL QTY': /\bTOTAL\s+(?:QTY|QUANTITY|UNITS)\b\s*:?/i,
+  'TOTAL PACKS': /\b(?:TOTAL\s+PACKS|NUMBER\s+OF\s+PACKS(?:\s+ORDERED)?)\b\s*:?(?!.*\bUNITS\b)/i
+};
+
+// Prepack component row under a pack line (ComplexDomestic POs): SKU, style,
+// color (optional, may be several words), size and the ratio of units per
+// pack, e.g. "223456789 ST-1 BLUE SMALL 2" or "223456789 ST-1 S RATIO: 2"
+const PREPACK_COMPONENT_PATTERN = /^(?<sku>\d{8,9})\s+(?<style>\S+)\s+(?:(?<color>.+?)\s+)?(?<size>(?!RATIO)\S+)\s+(?:RATIO:?\s*)?(?<ratio>\d{1,3})$/i;
+
+const RETAILER_PROFILES = [
+  {
+    id: 'beals',
+    name: 'Beals',
+    // One point per matching pattern when auto-detecting
+    detect: [/\bBeals\b/i, /Outlet\s+Stores/i, /DEPT\.\s*NUMBER:\s*ORDER\s*NUMBER/i],
+    metadata: {
+      // "DEPT. NUMBER:ORDER NUMBER:7761665367" (concatenated)
+      deptPoConcat: /DEPT\.\s*NUMBER:\s*ORDER\s*NUMBER:\s*(\d{3,4}?)(\d{6,7})/i,
+      deptPoSpaced: /DEPT\.\s*NUMBER:\s*(\d+)\s*ORDER\s*NUMBER:\s*(\d+)/i,
+      // Labels printed on their own lines with the numbers below them
+      deptLabel: 'DEPT. NUMBER:',
+      orderLabel: 'ORDER NUMBER:',
+      dept: /DEPT\.?\s*(?:NUMBER|#)?:?\s*(\d{3,4})/i,
+      po: [/ORDER\s*NUMBER:?\s*(\d{6,7})/i, /PO\s*#?\s*:?\s*(\d{6,7})/i],
+      vendor: [/([\w\s]+)\s+Outlet\s+Stores/i, /([\w\s]+)\s+DIST\s*CENTER/i],
+      revision: REVISION_PATTERNS,
+      totals: FOOTER_TOTAL_PATTERNS
+    },
+    table: {
+      sku: '\\d{8,9}',
+      headerAnchor: /SKU/i,
+      headerRequires: ['MFG', 'STYLE'],
+      strategies: ['template', 'size-grid', 'columns', 'stacked', 'multi-line', 'single-line', 'split-price'],
+      forceStrategy: null, // e.g. 'stacked' to always use one strategy (see PARSE_STRATEGIES)
+      prepackComponent: PREPACK_COMPONENT_PATTERN
+    },
+    drive: {
+      folder: 'Beals'
+    }
+  },
+  {
+    id: 'generic',
+    name: 'Generic PO',
+    detect: [/PURCHASE\s+ORDER/i, /\bP\.?O\.?\s*(?:NUMBER|NO\.?|#)/i],
+    metadata: {
+      deptPoConcat: null,
+      deptPoSpaced: /DEPT(?:ARTMENT)?\.?\s*(?:NUMBER|NO\.?|#)?:?\s*(\d+)\s*(?:P\.?O\.?|ORDER)\s*(?:NUMBER|NO\.?|#)?:?\s*(\d+)/i,
+      deptLabel: null,
+      orderLabel: null,
+      dept: /DEPT(?:ARTMENT)?\.?\s*(?:NUMBER|NO\.?|#)?:?\s*(\d{1,4})\b/i,
+      po: [/(?:P\.?O\.?|PURCHASE\s+ORDER|ORDER)\s*(?:NUMBER|NO\.?|#)\s*:?\s*(\d[\dA-Z-]{3,})/i],
+      vendor: [/SOLD\s*TO:?\s*([A-Z][\w&.' ]+)/i, /BUYER:?\s*([A-Z][\w&.' ]+)/i],
+      revision: REVISION_PATTERNS,
+      totals: FOOTER_TOTAL_PATTERNS
+    },
+    table: {
+      sku: '\\d{6,10}',
+      headerAnchor: /\b(?:SKU|ITEM)\b/i,
+      headerRequires: ['STYLE'],
+      strategies: ['template', 'size-grid', 'columns', 'multi-line', 'single-line', 'split-price'],
+      forceStrategy: null,
+      prepackComponent: null // No prepack breakdown
+    },
+    drive: {
+      folder: 'Generic'
+    }
+  }
+];
+
+const DEFAULT_PROFILE_ID = 'beals';
+
+const POProfiles = {
+  /**
+   * List all profiles
+   */
+  list() {
+    return RETAILER_PROFILES.slice();
+  },
+
+  /**
+   * Get a profile by id (falls back to the default profile)
+   */
+  get(id) {
+    return RETAILER_PROFILES.find(p => p.id === id)
+      || RETAILER_PROFILES.find(p => p.id === DEFAULT_PROFILE_ID);
+  },
+
+  /**
+   * Pick the profile whose detect patterns best match the PDF text
+   * Ties go to the earlier profile; no match at all means the default.
+   */
+  detect(text) {
+    let best = null;
+    let bestScore = 0;
+    for (const profile of RETAILER_PROFILES) {
+      const score = profile.detect.filter(re => re.test(text || '')).length;
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    }
+    return best || this.get(DEFAULT_PROFILE_ID);
+  },
+
+  /**
+   * Resolve a profile: explicit id/object wins, otherwise auto-detect from text
+   */
+  resolve(profileOrId, text) {
+    if (profileOrId && typeof profileOrId === 'object') return profileOrId;
+    if (profileOrId && profileOrId !== 'auto') return this.get(profileOrId);
+    return this.detect(text);
+  }
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = POProfiles; // require('./profiles.js') under Node
+} else {
+  (typeof window !== 'undefined' ? window : self).POProfiles = POProfiles;
+}
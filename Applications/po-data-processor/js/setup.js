@@ -5,6 +5,14 @@
 
 const SETUP = {
   STORAGE_KEY: 'po_processor_api_key',
+  PROFILE_STORAGE_KEY: 'po_processor_retailer_profile',
+  STRATEGY_STORAGE_KEY: 'po_processor_strategy_overrides',
+  SIZE_MATRIX_STORAGE_KEY: 'po_processor_size_matrix',
+  BLOCK_ON_FAILURES_STORAGE_KEY: 'po_processor_block_on_failures',
+  CONFLICT_POLICY_STORAGE_KEY: 'po_processor_conflict_policy',
+  OUTPUT_MODE_STORAGE_KEY: 'po_processor_output_mode',
+  TEMPLATE_STORAGE_KEY: 'po_processor_layout_templates',
+  OUTPUT_LAYOUT_STORAGE_KEY: 'po_processor_output_layout',
   SCRIPT_URL: 'https://script.google.com/macros/s/AKfycbwknF5fBpZHwy-U3nIhlOA8nWyKKLRx48VfT87XaAithJ3BcpcVx3nIWcY4fXw21dxh/exec',
   
   /**
@@ -33,6 +41,207 @@ const SETUP = {
     localStorage.removeItem(this.STORAGE_KEY);
   },
   
+  /**
+   * Get the retailer profile override ('auto' = detect from each PDF)
+   */
+  getRetailerProfile() {
+    return localStorage.getItem(this.PROFILE_STORAGE_KEY) || 'auto';
+  },
+  
+  /**
+   * Save the retailer profile override
+   */
+  setRetailerProfile(profileId) {
+    if (!profileId || profileId === 'auto') {
+      localStorage.removeItem(this.PROFILE_STORAGE_KEY);
+    } else {
+      localStorage.setItem(this.PROFILE_STORAGE_KEY, profileId);
+    }
+  },
+  
+  /**
+   * Get the forced parsing strategies: { profiles: { id: name }, files: { fileName: name } }
+   */
+  getStrategyOverrides() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.STRATEGY_STORAGE_KEY) || '{}');
+      return { profiles: saved.profiles || {}, files: saved.files || {} };
+    } catch (e) {
+      console.error('Ignoring unreadable strategy overrides:', e);
+      return { profiles: {}, files: {} };
+    }
+  },
+  
+  /**
+   * Save the forced parsing strategies
+   */
+  setStrategyOverrides(overrides) {
+    localStorage.setItem(this.STRATEGY_STORAGE_KEY, JSON.stringify({
+      profiles: overrides.profiles || {},
+      files: overrides.files || {}
+    }));
+  },
+  
+  /**
+   * Whether the customer workbook gets the Size Matrix sheet
+   */
+  getSizeMatrix() {
+    return localStorage.getItem(this.SIZE_MATRIX_STORAGE_KEY) === 'true';
+  },
+  
+  /**
+   * Save the Size Matrix sheet setting
+   */
+  setSizeMatrix(enabled) {
+    if (enabled) {
+      localStorage.setItem(this.SIZE_MATRIX_STORAGE_KEY, 'true');
+    } else {
+      localStorage.removeItem(this.SIZE_MATRIX_STORAGE_KEY);
+    }
+  },
+  
+  /**
+   * Whether nothing is uploaded when any PDF failed or gave no usable lines
+   */
+  getBlockOnFailures() {
+    return localStorage.getItem(this.BLOCK_ON_FAILURES_STORAGE_KEY) === 'true';
+  },
+  
+  /**
+   * Save the block-upload-on-failures setting
+   */
+  setBlockOnFailures(enabled) {
+    if (enabled) {
+      localStorage.setItem(this.BLOCK_ON_FAILURES_STORAGE_KEY, 'true');
+    } else {
+      localStorage.removeItem(this.BLOCK_ON_FAILURES_STORAGE_KEY);
+    }
+  },
+  
+  /**
+   * How the PO Data sheet settles a SKU whose cost, retail or pack qty
+   * differ between POs ('first', 'latest' or 'split')
+   */
+  getConflictPolicy() {
+    return localStorage.getItem(this.CONFLICT_POLICY_STORAGE_KEY) || 'first';
+  },
+  
+  /**
+   * Save the conflict policy
+   */
+  setConflictPolicy(policy) {
+    if (!policy || policy === 'first') {
+      localStorage.removeItem(this.CONFLICT_POLICY_STORAGE_KEY);
+    } else {
+      localStorage.setItem(this.CONFLICT_POLICY_STORAGE_KEY, policy);
+    }
+  },
+  
+  /**
+   * Shape of the PO Data sheet: 'wide' (a column per PO) or 'long' (a row
+   * per PO and SKU)
+   */
+  getOutputMode() {
+    return localStorage.getItem(this.OUTPUT_MODE_STORAGE_KEY) || 'wide';
+  },
+  
+  /**
+   * Save the PO Data sheet shape
+   */
+  setOutputMode(mode) {
+    if (!mode || mode === 'wide') {
+      localStorage.removeItem(this.OUTPUT_MODE_STORAGE_KEY);
+    } else {
+      localStorage.setItem(this.OUTPUT_MODE_STORAGE_KEY, mode);
+    }
+  },
+  
+  /**
+   * Get the layout templates saved in the settings panel (array of objects)
+   */
+  getLayoutTemplates() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.TEMPLATE_STORAGE_KEY) || '[]');
+      return Array.isArray(saved) ? saved : [saved];
+    } catch (e) {
+      console.error('Ignoring unreadable layout templates:', e);
+      return [];
+    }
+  },
+  
+  /**
+   * Save layout templates from JSON text (one template or an array)
+   * Returns the problems found; nothing is saved unless the list is empty.
+   */
+  setLayoutTemplates(text) {
+    if (!(text || '').trim()) {
+      localStorage.removeItem(this.TEMPLATE_STORAGE_KEY);
+      return [];
+    }
+    let templates;
+    try {
+      templates = [].concat(JSON.parse(text));
+    } catch (e) {
+      return [`Not valid JSON: ${e.message}`];
+    }
+    const errors = window.POConverter
+      ? templates.flatMap(template => window.POConverter.validateLayoutTemplate(template))
+      : [];
+    if (errors.length === 0) {
+      localStorage.setItem(this.TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+    }
+    return errors;
+  },
+  
+  /**
+   * Get the custom output layout for the PO Data sheet, or null for the default
+   */
+  getOutputLayout() {
+    try {
+      return JSON.parse(localStorage.getItem(this.OUTPUT_LAYOUT_STORAGE_KEY) || 'null');
+    } catch (e) {
+      console.error('Ignoring unreadable output layout:', e);
+      return null;
+    }
+  },
+  
+  /**
+   * Save the output layout from JSON text (empty text restores the default)
+   * Returns the problems found; nothing is saved unless the list is empty.
+   */
+  setOutputLayout(text) {
+    if (!(text || '').trim()) {
+      localStorage.removeItem(this.OUTPUT_LAYOUT_STORAGE_KEY);
+      return [];
+    }
+    let layout;
+    try {
+      layout = JSON.parse(text);
+    } catch (e) {
+      return [`Not valid JSON: ${e.message}`];
+    }
+    const errors = window.POConverter ? window.POConverter.validateOutputLayout(layout) : [];
+    if (errors.length === 0) {
+      localStorage.setItem(this.OUTPUT_LAYOUT_STORAGE_KEY, JSON.stringify(layout));
+    }
+    return errors;
+  },
+  
+  /**
+   * Parse "file name = strategy" lines from the settings panel
+   */
+  parseFileStrategies(text) {
+    const files = {};
+    (text || '').split('\n').forEach(line => {
+      const sep = line.lastIndexOf('=');
+      if (sep === -1) return;
+      const fileName = line.slice(0, sep).trim();
+      const strategy = line.slice(sep + 1).trim();
+      if (fileName && strategy) files[fileName] = strategy;
+    });
+    return files;
+  },
+  
   /**
    * Check if API key is configured
    */
@@ -167,6 +376,52 @@ const SETUP = {
     const currentKey = this.getApiKey();
     const masked = currentKey ? currentKey.substring(0, 8) + '...' + currentKey.substring(currentKey.length - 4) : 'not set';
     
+    const currentProfile = this.getRetailerProfile();
+    const profileOptions = [{ id: 'auto', name: 'Auto-detect from PDF' }]
+      .concat(window.POProfiles ? window.POProfiles.list() : [])
+      .map(p => `<option value="${p.id}"${p.id === currentProfile ? ' selected' : ''}>${p.name}</option>`)
+      .join('');
+    
+    const conflictPolicy = this.getConflictPolicy();
+    const conflictOptions = [
+      { id: 'first', name: 'First value seen' },
+      { id: 'latest', name: 'Value on the PO with the latest order date' },
+      { id: 'split', name: 'A separate row per value' }
+    ]
+      .map(p => `<option value="${p.id}"${p.id === conflictPolicy ? ' selected' : ''}>${p.name}</option>`)
+      .join('');
+    
+    const outputMode = this.getOutputMode();
+    const outputModeOptions = [
+      { id: 'wide', name: 'A column per PO' },
+      { id: 'long', name: 'A row per PO and SKU (for pivot tables)' }
+    ]
+      .map(m => `<option value="${m.id}"${m.id === outputMode ? ' selected' : ''}>${m.name}</option>`)
+      .join('');
+    
+    const strategyOverrides = this.getStrategyOverrides();
+    const strategyNames = window.POConverter ? window.POConverter.listParseStrategies() : [];
+    const strategySelects = (window.POProfiles ? window.POProfiles.list() : []).map(p => {
+      const options = ['', ...strategyNames]
+        .map(name => `<option value="${name}"${name === (strategyOverrides.profiles[p.id] || '') ? ' selected' : ''}>${name || 'Auto (profile strategies)'}</option>`)
+        .join('');
+      return `<p>${p.name}</p><select data-strategy-profile="${p.id}" class="setup-input">${options}</select>`;
+    }).join('');
+    const fileStrategies = Object.entries(strategyOverrides.files)
+      .map(([fileName, strategy]) => `${fileName} = ${strategy}`)
+      .join('\n')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;');
+    const savedTemplates = this.getLayoutTemplates();
+    const templatesText = (savedTemplates.length > 0 ? JSON.stringify(savedTemplates, null, 2) : '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;');
+    
+    const savedLayout = this.getOutputLayout();
+    const layoutText = (savedLayout ? JSON.stringify(savedLayout, null, 2) : '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;');
+    
     const settingsPanel = document.createElement('div');
     settingsPanel.id = 'settings-modal';
     settingsPanel.className = 'setup-modal';
@@ -187,6 +442,62 @@ const SETUP = {
             <label>Google Apps Script URL:</label>
             <p><code>${this.SCRIPT_URL}</code></p>
           </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-retailer-profile">Retailer Profile:</label>
+            <select id="settings-retailer-profile" class="setup-input">${profileOptions}</select>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label>Parsing Strategy per Retailer:</label>
+            ${strategySelects}
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-file-strategies">Parsing Strategy per File:</label>
+            <textarea id="settings-file-strategies" class="setup-input" rows="3" placeholder="PO_1234.pdf = stacked">${fileStrategies}</textarea>
+            <p>One per line, exact PDF file name. Strategies: <code>${strategyNames.join(', ')}</code></p>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-size-matrix">
+              <input type="checkbox" id="settings-size-matrix"${this.getSizeMatrix() ? ' checked' : ''}>
+              Add a Size Matrix sheet
+            </label>
+            <p>Units by size and colour for each style read from a size-run grid.</p>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-block-on-failures">
+              <input type="checkbox" id="settings-block-on-failures"${this.getBlockOnFailures() ? ' checked' : ''}>
+              Don't upload when a PDF fails
+            </label>
+            <p>Stops before Google Drive and PO#List when any PDF had an error, no line items or lines without a PO #.</p>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-conflict-policy">Conflicting Cost / Retail / Pack Qty:</label>
+            <select id="settings-conflict-policy" class="setup-input">${conflictOptions}</select>
+            <p>When a SKU has different values on different POs. The rows are highlighted and every value is listed in the Conflicts sheet.</p>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-layout-templates">Layout Templates (JSON):</label>
+            <textarea id="settings-layout-templates" class="setup-input" rows="6" placeholder='[{ "id": "acme", "match": ["ACME STORES"], "metadata": { "PO #": { "pattern": "PO #:? *([0-9]+)" } } }]'>${templatesText}</textarea>
+            <p id="settings-layout-templates-status">Tried on each PO before the built-in rules, followed by the <code>.json</code> files in the Drive <code>Templates/</code> folder. See the README for the format.</p>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-output-mode">PO Data Sheet Shape:</label>
+            <select id="settings-output-mode" class="setup-input">${outputModeOptions}</select>
+            <p>A row per PO and SKU, with the PO's dates, dept, DC, store and terms as columns, stays narrow for large batches. The vendor merge handles both.</p>
+          </div>
+          
+          <div class="setup-settings-item">
+            <label for="settings-output-layout">PO Data Output Layout (JSON):</label>
+            <textarea id="settings-output-layout" class="setup-input" rows="6" placeholder='{ "trailingColumns": [{ "field": "SourceFile", "header": "SOURCE FILE" }, { "field": "UPC", "header": "UPC", "numFmt": "@" }, { "field": "Description", "header": "DESCRIPTION" }] }'>${layoutText}</textarea>
+            <p id="settings-output-layout-status">Columns, headers, number formats and where the PO quantity columns start in the customer workbook; the vendor merge follows it. Leave empty for the standard layout. See the README for the format.</p>
+          </div>
         </div>
         
         <div class="setup-modal-footer">
@@ -198,6 +509,51 @@ const SETUP = {
     
     document.body.insertBefore(settingsPanel, document.body.firstChild);
     
+    document.getElementById('settings-retailer-profile').addEventListener('change', (e) => {
+      this.setRetailerProfile(e.target.value);
+    });
+    
+    const saveStrategies = () => {
+      const profiles = {};
+      settingsPanel.querySelectorAll('select[data-strategy-profile]').forEach(select => {
+        if (select.value) profiles[select.dataset.strategyProfile] = select.value;
+      });
+      const files = this.parseFileStrategies(document.getElementById('settings-file-strategies').value);
+      this.setStrategyOverrides({ profiles, files });
+    };
+    settingsPanel.querySelectorAll('select[data-strategy-profile]').forEach(select => {
+      select.addEventListener('change', saveStrategies);
+    });
+    document.getElementById('settings-file-strategies').addEventListener('change', saveStrategies);
+    
+    document.getElementById('settings-size-matrix').addEventListener('change', (e) => {
+      this.setSizeMatrix(e.target.checked);
+    });
+    
+    document.getElementById('settings-block-on-failures').addEventListener('change', (e) => {
+      this.setBlockOnFailures(e.target.checked);
+    });
+    
+    document.getElementById('settings-conflict-policy').addEventListener('change', (e) => {
+      this.setConflictPolicy(e.target.value);
+    });
+    
+    document.getElementById('settings-output-mode').addEventListener('change', (e) => {
+      this.setOutputMode(e.target.value);
+    });
+    
+    document.getElementById('settings-layout-templates').addEventListener('change', (e) => {
+      const errors = this.setLayoutTemplates(e.target.value);
+      const status = document.getElementById('settings-layout-templates-status');
+      status.textContent = errors.length > 0 ? `Not saved: ${errors.join('; ')}` : 'Saved.';
+    });
+    
+    document.getElementById('settings-output-layout').addEventListener('change', (e) => {
+      const errors = this.setOutputLayout(e.target.value);
+      const status = document.getElementById('settings-output-layout-status');
+      status.textContent = errors.length > 0 ? `Not saved: ${errors.join('; ')}` : 'Saved.';
+    });
+    
     document.getElementById('settings-reconfigure-btn').addEventListener('click', () => {
       settingsPanel.remove();
       this.showSetupModal();
@@ -397,6 +753,13 @@ const SETUP = {
         word-break: break-all;
       }
       
+      .setup-settings-item select,
+      .setup-settings-item textarea {
+        width: 100%;
+        box-sizing: border-box;
+        margin-bottom: 8px;
+      }
+      
       .setup-settings-item code {
         display: inline-block;
         background: #f5f5f5;
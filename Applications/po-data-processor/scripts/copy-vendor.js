@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Copy the browser builds of pdf.js, ExcelJS and Tesseract.js into vendor/
+ * The page loads them from there instead of a CDN, so PDFs (scanned ones
+ * included) are read and converted without any network access. Runs after `npm install`
+ * (postinstall); the copies are git-ignored, so versions are set in
+ * package.json only.
+ *
+ *   npm run vendor      copy again (e.g. after a dependency update)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const VENDOR_DIR = path.join(__dirname, '..', 'vendor');
+
+// [package, file in the package, copy under vendor/]
+const VENDOR_FILES = [
+  ['pdfjs-dist', 'build/pdf.min.js', 'pdfjs/pdf.min.js'],
+  ['pdfjs-dist', 'build/pdf.worker.min.js', 'pdfjs/pdf.worker.min.js'],
+  ['pdfjs-dist', 'LICENSE', 'pdfjs/LICENSE'],
+  ['exceljs', 'dist/exceljs.min.js', 'exceljs/exceljs.min.js'],
+  ['exceljs', 'LICENSE', 'exceljs/LICENSE'],
+  ['tesseract.js', 'dist/tesseract.min.js', 'tesseract/tesseract.min.js'],
+  ['tesseract.js', 'dist/tesseract.min.js.LICENSE.txt', 'tesseract/tesseract.min.js.LICENSE.txt'],
+  ['tesseract.js', 'dist/worker.min.js', 'tesseract/worker.min.js'],
+  ['tesseract.js', 'dist/worker.min.js.LICENSE.txt', 'tesseract/worker.min.js.LICENSE.txt'],
+  ['tesseract.js-core', 'tesseract-core-lstm.wasm.js', 'tesseract/tesseract-core-lstm.wasm.js'],
+  ['tesseract.js-core', 'tesseract-core-simd-lstm.wasm.js', 'tesseract/tesseract-core-simd-lstm.wasm.js'],
+  ['tesseract.js-core', 'LICENSE', 'tesseract/LICENSE'],
+  ['@tesseract.js-data/eng', '4.0.0_best_int/eng.traineddata.gz', 'tesseract/lang/eng.traineddata.gz']
+];
+
+/**
+ * Folder of an installed package
+ */
+function packageDir(name) {
+  return path.dirname(require.resolve(`${name}/package.json`));
+}
+
+function main() {
+  for (const [name, file, target] of VENDOR_FILES) {
+    const destination = path.join(VENDOR_DIR, target);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.copyFileSync(path.join(packageDir(name), file), destination);
+  }
+  console.log(`Copied ${VENDOR_FILES.length} files to ${path.relative(process.cwd(), VENDOR_DIR) || '.'}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Could not copy the pdf.js/ExcelJS/Tesseract.js files to vendor/: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,190 @@
+/**
+ * Golden-file regression suite for the PDF parsers
+ * Each fixture in test/fixtures/ is an anonymized PO, either the PDF itself
+ * (<name>.pdf, read with pdfjs-dist) or its extracted text (<name>.txt), next
+ * to <name>.expected.json with the profile, metadata and line items it should
+ * give. The fixture runs through extractPdfLayout -> getPoMetadata ->
+ * parseSkuTable as in the browser, and every field that differs is listed.
+ * A fixture with a <name>.template.json is read with that layout template
+ * (one template or an array), as if it were saved in the settings panel.
+ *
+ *   npm test                       run every fixture
+ *   npm test -- beals              only fixtures whose name contains "beals"
+ *   npm test -- --update [name]    rewrite the expected files from the current
+ *                                  output (review the git diff before committing)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const POProfiles = require('../js/profiles.js');
+const { loadPdfjs } = require('../cli/node-pdfjs.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const INPUT_EXTENSIONS = ['.pdf', '.txt'];
+
+/**
+ * The converter module with pdfjs-dist injected
+ */
+function loadConverter() {
+  return require('../js/converter.js').configure({ pdfjsLib: loadPdfjs() });
+}
+
+/**
+ * Fixtures as { name, input, expected } sorted by name
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => INPUT_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, path.extname(file));
+      return {
+        name,
+        input: path.join(FIXTURES_DIR, file),
+        expected: path.join(FIXTURES_DIR, `${name}.expected.json`),
+        templates: path.join(FIXTURES_DIR, `${name}.template.json`)
+      };
+    });
+}
+
+/**
+ * Keep the non-empty values of the listed keys (all keys when none are
+ * listed), as plain JSON
+ */
+function compact(record, keys = Object.keys(record)) {
+  const result = {};
+  for (const key of keys) {
+    const value = record[key];
+    if (value !== undefined && value !== null && value !== '') result[key] = value;
+  }
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Parse one fixture the way the page does (without OCR)
+ */
+async function parseFixture(converter, fixture) {
+  let text;
+  let layout = null;
+  let profileId;
+
+  if (path.extname(fixture.input) === '.pdf') {
+    const data = new Uint8Array(fs.readFileSync(fixture.input));
+    const extracted = await converter.extractPdfLayout(data, { ocr: false });
+    text = extracted.text;
+    layout = { pages: extracted.pages };
+    profileId = extracted.profileId;
+  } else {
+    text = fs.readFileSync(fixture.input, 'utf8');
+    profileId = POProfiles.resolve(null, text).id;
+  }
+
+  let template = null;
+  if (fs.existsSync(fixture.templates)) {
+    const { templates, errors } = converter.filterLayoutTemplates([].concat(JSON.parse(fs.readFileSync(fixture.templates, 'utf8'))));
+    if (errors.length > 0) throw new Error(`Invalid layout template: ${errors.join('; ')}`);
+    template = converter.matchLayoutTemplate(text, templates);
+  }
+
+  const metadata = await converter.getPoMetadata(text, profileId, layout, { template });
+  delete metadata._fields;
+  const lineFields = [...converter.ITEM_FIELDS, ...converter.PREPACK_FIELDS, 'ParseStrategy'];
+  const lines = converter.parseSkuTable(text, layout, profileId, { template });
+
+  return {
+    profile: profileId,
+    ...(template ? { template: template.id } : {}),
+    metadata: compact(metadata),
+    lines: lines.map(line => compact(line, lineFields))
+  };
+}
+
+/**
+ * Field-by-field differences between expected and actual values
+ * A field missing on one side counts as empty.
+ */
+function diffFields(label, expected, actual) {
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys
+    .filter(key => JSON.stringify(expected[key] ?? '') !== JSON.stringify(actual[key] ?? ''))
+    .map(key => `${label}${key}: expected ${JSON.stringify(expected[key] ?? '')}, got ${JSON.stringify(actual[key] ?? '')}`);
+}
+
+/**
+ * Every difference between an expected file and the parser output
+ */
+function diffResult(expected, actual) {
+  const diffs = [];
+  if (expected.profile !== actual.profile) {
+    diffs.push(`profile: expected ${JSON.stringify(expected.profile)}, got ${JSON.stringify(actual.profile)}`);
+  }
+  if ((expected.template || '') !== (actual.template || '')) {
+    diffs.push(`template: expected ${JSON.stringify(expected.template || '')}, got ${JSON.stringify(actual.template || '')}`);
+  }
+  diffs.push(...diffFields('metadata ', expected.metadata || {}, actual.metadata));
+
+  const expectedLines = expected.lines || [];
+  if (expectedLines.length !== actual.lines.length) {
+    diffs.push(`lines: expected ${expectedLines.length}, got ${actual.lines.length}`);
+  }
+  for (let i = 0; i < Math.max(expectedLines.length, actual.lines.length); i++) {
+    diffs.push(...diffFields(`line ${i + 1} `, expectedLines[i] || {}, actual.lines[i] || {}));
+  }
+  return diffs;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const filters = args.filter(arg => arg !== '--update');
+  const fixtures = listFixtures().filter(fixture => filters.length === 0 || filters.some(text => fixture.name.includes(text)));
+
+  if (fixtures.length === 0) {
+    console.error(`No fixtures found in ${path.relative(process.cwd(), FIXTURES_DIR)}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const converter = loadConverter();
+  let failed = 0;
+
+  for (const fixture of fixtures) {
+    let actual;
+    try {
+      actual = await parseFixture(converter, fixture);
+    } catch (err) {
+      failed++;
+      console.log(`✗ ${fixture.name}\n    ${err.stack || err}`);
+      continue;
+    }
+
+    if (update) {
+      fs.writeFileSync(fixture.expected, JSON.stringify(actual, null, 2) + '\n');
+      console.log(`✎ ${fixture.name} (${actual.lines.length} lines written)`);
+      continue;
+    }
+
+    if (!fs.existsSync(fixture.expected)) {
+      failed++;
+      console.log(`✗ ${fixture.name}\n    no ${path.basename(fixture.expected)} (run with --update to create it)`);
+      continue;
+    }
+
+    const diffs = diffResult(JSON.parse(fs.readFileSync(fixture.expected, 'utf8')), actual);
+    if (diffs.length > 0) {
+      failed++;
+      console.log(`✗ ${fixture.name}\n${diffs.map(diff => `    ${diff}`).join('\n')}`);
+    } else {
+      console.log(`✓ ${fixture.name} (${actual.lines.length} lines)`);
+    }
+  }
+
+  if (!update) {
+    console.log(`\n${fixtures.length - failed} passed, ${failed} failed`);
+  }
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();
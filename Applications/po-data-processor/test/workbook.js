@@ -0,0 +1,387 @@
+/**
+ * Checks of the workbooks and exports built from PO line records
+ * Each check builds a workbook from a few hand-made records (no PDFs) with
+ * buildCustomerWorkbook, appends them to a PO#List or exports them
+ * (js/po-export.js), and compares the cells, JSON or CSV with the values
+ * they should hold.
+ *
+ *   npm test                       run every check, then the golden files
+ *   node test/workbook.js merge    only checks whose name contains "merge"
+ */
+
+'use strict';
+
+const assert = require('assert');
+const ExcelJS = require('exceljs');
+const converter = require('../js/converter.js').configure({ ExcelJS });
+const POList = require('../js/po-list.js');
+const POExport = require('../js/po-export.js');
+
+/**
+ * A PO line record as processPdfBuffer gives it, with the given fields changed
+ */
+function record(fields = {}) {
+  return {
+    'PO #': '100',
+    'ORDER DATE': '01/02/2027',
+    'SHIP DATE': '02/03/2027',
+    'CANCEL DATE': '03/04/2027',
+    'VENDOR': 'ACME',
+    'SKU': '111',
+    'MFG Style': 'ST-1',
+    'MFG Color': 'RED',
+    'Size Desc.': 'M',
+    'Description': 'TEE',
+    'Cost/Unit': '$2.50',
+    'Retail': '$5.99',
+    'Pack Qty.': '6',
+    'Qty': '12',
+    'UPC': '012345678905',
+    'SourceFile': 'a.pdf',
+    'Pages': '1',
+    'Line': 1,
+    ...fields
+  };
+}
+
+/**
+ * A sheet's rows below the row holding `header` as objects keyed by header,
+ * up to the first row with an empty first column
+ * A PO quantity column is keyed by its "PO# <number>" label in the row
+ * above instead, and formulas are left out (they have no cached result).
+ */
+function readRows(ws, header) {
+  let headerRow = null;
+  ws.eachRow((row, rowNumber) => {
+    if (!headerRow && row.values.includes(header)) headerRow = rowNumber;
+  });
+  assert.ok(headerRow, `${ws.name} has no "${header}" header`);
+
+  const names = [];
+  ws.getRow(headerRow).eachCell((cell, col) => {
+    const poLabel = headerRow > 1 ? ws.getCell(headerRow - 1, col).value : null;
+    names[col] = typeof poLabel === 'string' && poLabel.startsWith('PO# ') ? poLabel : cell.value;
+  });
+
+  const rows = [];
+  for (let r = headerRow + 1; r <= ws.rowCount; r++) {
+    const values = ws.getRow(r).values;
+    if (values[1] === undefined || values[1] === null || values[1] === '') break;
+    const row = {};
+    names.forEach((name, col) => {
+      const value = values[col];
+      if (name && !(name in row) && !(value && typeof value === 'object' && 'formula' in value)) row[name] = value ?? null;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+const VARIANT_LAYOUT = {
+  columns: [
+    { field: 'SKU', header: 'SKU #' },
+    { field: 'MFG Style', header: 'STYLE' },
+    { field: 'MFG Color', header: 'COLOR' },
+    { field: 'Size Desc.', header: 'SIZE' },
+    { field: 'Cost/Unit', header: 'COST' },
+    { field: 'TTL UNITS', header: 'UNITS' }
+  ]
+};
+
+const CHECKS = [
+  {
+    name: 'merge by SKU and style',
+    run() {
+      const records = [
+        record(),
+        record({ 'Size Desc.': 'L', 'Qty': '6' }),
+        record({ 'PO #': '200', 'SourceFile': 'b.pdf', 'Qty': '24' })
+      ];
+      const rows = readRows(converter.buildCustomerWorkbook(records).getWorksheet('PO Data'), 'SKU #');
+      assert.deepStrictEqual(rows.map(row => [row['SKU #'], row['PO# 100'], row['PO# 200']]), [['111', 18, 24]]);
+    }
+  },
+  {
+    name: 'merge keeps a row per color and size in the layout',
+    run() {
+      const records = [
+        record(),
+        record({ 'Size Desc.': 'L', 'Qty': '6' }),
+        record({ 'MFG Color': 'BLUE', 'Qty': '3' }),
+        record({ 'PO #': '200', 'SourceFile': 'b.pdf', 'Qty': '24' })
+      ];
+      const ws = converter.buildCustomerWorkbook(records, { layout: VARIANT_LAYOUT }).getWorksheet('PO Data');
+      assert.deepStrictEqual(readRows(ws, 'SKU #').map(row => [row['COLOR'], row['SIZE'], row['PO# 100'], row['PO# 200']]), [
+        ['RED', 'M', 12, 24],
+        ['RED', 'L', 6, null],
+        ['BLUE', 'M', 3, null]
+      ]);
+    }
+  },
+  {
+    name: 'merge keeps a row per size in long format',
+    run() {
+      const records = [record(), record({ 'Size Desc.': 'L', 'Qty': '6' })];
+      const ws = converter.buildCustomerWorkbook(records, { layout: VARIANT_LAYOUT, outputMode: converter.OUTPUT_MODE.LONG }).getWorksheet('PO Data');
+      assert.deepStrictEqual(readRows(ws, 'SKU #').map(row => [row['PO #'], row['SIZE'], row['UNITS']]), [
+        ['100', 'M', 12],
+        ['100', 'L', 6]
+      ]);
+    }
+  },
+  {
+    name: 'conflicts: first value',
+    run() {
+      const workbook = converter.buildCustomerWorkbook(CONFLICT_RECORDS, { conflictPolicy: converter.CONFLICT_POLICY.FIRST });
+      assert.deepStrictEqual(conflictSheets(workbook), {
+        conflicts: [[2.5, '100', 'yes'], [3, '200', '']],
+        poData: [[2.5, 12, 12]]
+      });
+    }
+  },
+  {
+    name: 'conflicts: latest order date',
+    run() {
+      const workbook = converter.buildCustomerWorkbook(CONFLICT_RECORDS, { conflictPolicy: converter.CONFLICT_POLICY.LATEST });
+      assert.deepStrictEqual(conflictSheets(workbook), {
+        conflicts: [[2.5, '100', ''], [3, '200', 'yes']],
+        poData: [[3, 12, 12]]
+      });
+    }
+  },
+  {
+    name: 'conflicts: latest falls back to the first value without order dates',
+    run() {
+      const undated = CONFLICT_RECORDS.map(r => ({ ...r, 'ORDER DATE': '' }));
+      const workbook = converter.buildCustomerWorkbook(undated, { conflictPolicy: converter.CONFLICT_POLICY.LATEST });
+      assert.deepStrictEqual(conflictSheets(workbook), {
+        conflicts: [[2.5, '100', 'yes'], [3, '200', '']],
+        poData: [[2.5, 12, 12]]
+      });
+    }
+  },
+  {
+    name: 'conflicts: a row per value when split',
+    run() {
+      const workbook = converter.buildCustomerWorkbook(CONFLICT_RECORDS, { conflictPolicy: converter.CONFLICT_POLICY.SPLIT });
+      assert.deepStrictEqual(conflictSheets(workbook), {
+        conflicts: [[2.5, '100', 'own row'], [3, '200', 'own row']],
+        poData: [[2.5, 12, null], [3, null, 12]]
+      });
+    }
+  },
+  {
+    name: 'conflicts: long format follows the policy',
+    run() {
+      const rowsOf = policy => {
+        const workbook = converter.buildCustomerWorkbook(CONFLICT_RECORDS, { conflictPolicy: policy, outputMode: converter.OUTPUT_MODE.LONG });
+        return {
+          used: readRows(workbook.getWorksheet('Conflicts'), 'SKU').map(row => row['USED']),
+          poData: readRows(workbook.getWorksheet('PO Data'), 'SKU #').map(row => [row['PO #'], row['COST / UNIT']])
+        };
+      };
+      assert.deepStrictEqual(rowsOf(converter.CONFLICT_POLICY.FIRST), { used: ['yes', ''], poData: [['100', 2.5], ['200', 2.5]] });
+      assert.deepStrictEqual(rowsOf(converter.CONFLICT_POLICY.LATEST), { used: ['', 'yes'], poData: [['100', 3], ['200', 3]] });
+      assert.deepStrictEqual(rowsOf(converter.CONFLICT_POLICY.SPLIT), { used: ['own row', 'own row'], poData: [['100', 2.5], ['200', 3]] });
+    }
+  },
+  {
+    name: 'layout without MFG Style is rejected',
+    run() {
+      const layout = { columns: [{ field: 'SKU', header: 'SKU #' }, { field: 'Cost/Unit', header: 'COST' }] };
+      assert.ok(converter.validateOutputLayout(layout).some(error => error.includes('MFG Style')));
+      assert.throws(() => converter.buildCustomerWorkbook([record()], { layout }), /MFG Style/);
+      assert.deepStrictEqual(converter.validateOutputLayout(VARIANT_LAYOUT), []);
+    }
+  },
+  {
+    name: 'vendor file reads the same from CSV and XLSX',
+    async run() {
+      const table = [
+        ['Item#', 'WHS#', 'Vend#', 'Base Cost', 'Box/Case', 'Unit/Case'],
+        ['ST-1', '2', 'V9', '$9.00', '1', '1'],
+        ['ST-1', '1', 'V1', '$1,002.50', '2', '12'],
+        ['ST-1', '1', 'V2', '$3.00', '4', '24'],
+        ['ST-2', '1', 'V3', '', '', '']
+      ];
+      const csv = table.map(row => row.join(',').replace('$1,002.50', '"$1,002.50"')).join('\r\n');
+      const workbook = converter.createWorkbook();
+      const ws = workbook.addWorksheet('Vendor');
+      table.forEach((row, idx) => ws.addRow(idx > 0 && row[3] ? [...row.slice(0, 3), Number(row[3].replace(/[$,]/g, '')), ...row.slice(4)] : row));
+
+      const expected = {
+        'ST-1': { vend: 'V1', baseCost: 1002.5, boxCase: '2', unitCase: '12' },
+        'ST-2': { vend: 'V3', baseCost: null, boxCase: '', unitCase: '' }
+      };
+      assert.deepStrictEqual(await converter.buildVendorLookup(new TextEncoder().encode(csv).buffer, 'vendor.csv'), expected);
+      assert.deepStrictEqual(await converter.buildVendorLookup(await converter.writeWorkbook(workbook), 'vendor.xlsx'), expected);
+    }
+  },
+  {
+    name: 'PO list highlights the UPCs of appended rows only',
+    async run() {
+      const { PO_LIST_CONFIG } = POList;
+      const upcColumn = PO_LIST_CONFIG.sourceColumn + 1 + PO_LIST_CONFIG.extraFields.indexOf('UPC');
+
+      // A list with a row written before UPCs were highlighted
+      const workbook = converter.createWorkbook();
+      const ws = workbook.addWorksheet('PO List');
+      POList.buildPoListRows([record({ 'PO #': '300', 'UPC': '', 'SourceFile': 'old.pdf' })], {}, 'old')[0]
+        .forEach((value, idx) => { ws.getCell(PO_LIST_CONFIG.startRow, PO_LIST_CONFIG.startColumn + idx).value = value; });
+
+      const rows = POList.buildPoListRows([
+        record({ 'PO #': '100' }),
+        record({ 'PO #': '400', 'UPC': '', 'SourceFile': 'b.pdf' })
+      ], {}, 'new');
+      const result = await POList.appendRowsToWorkbook(await converter.writeWorkbook(workbook), rows);
+      const list = converter.createWorkbook();
+      await list.xlsx.load(result.buffer);
+
+      const highlighted = row => {
+        const fill = list.worksheets[0].getCell(row, upcColumn).fill;
+        return !!(fill && fill.fgColor && fill.fgColor.argb === converter.ERROR_FILL.fgColor.argb);
+      };
+      const listed = [10, 11, 12].map(row => [String(list.worksheets[0].getCell(row, PO_LIST_CONFIG.startColumn).value), highlighted(row)]);
+      assert.deepStrictEqual(listed, [['100', false], ['300', false], ['400', true]]);
+    }
+  },
+  {
+    name: 'PO list reports revisions older than the listed one',
+    async run() {
+      const { PO_LIST_CONFIG } = POList;
+      const revised = fields => record({ 'STATUS': converter.PO_STATUS.REVISED, ...fields });
+
+      // PO 100 is listed at revision 2; revision 1 arrives late, revision 3 applies
+      const workbook = converter.createWorkbook();
+      const ws = workbook.addWorksheet('PO List');
+      POList.buildPoListRows([revised({ 'REVISION': '2', 'Qty': '24' })], {}, 'old')[0]
+        .forEach((value, idx) => { ws.getCell(PO_LIST_CONFIG.startRow, PO_LIST_CONFIG.startColumn + idx).value = value; });
+      const list = await converter.writeWorkbook(workbook);
+
+      const late = revised({ 'REVISION': '1', 'Qty': '6', 'SourceFile': 'rev1.pdf' });
+      const result = await POList.appendRowsToWorkbook(list, POList.buildPoListRows([late], {}, 'new'), [late]);
+      assert.deepStrictEqual(result.ignoredRevisions, [{ po: '100', revision: 1, appliedRevision: 2, sourceFile: 'rev1.pdf' }]);
+      assert.deepStrictEqual([result.appendedRows, result.updatedRows], [0, 0]);
+
+      const next = revised({ 'REVISION': '3', 'Qty': '36', 'SourceFile': 'rev3.pdf' });
+      const applied = await POList.appendRowsToWorkbook(list, POList.buildPoListRows([next], {}, 'new'), [next]);
+      assert.deepStrictEqual(applied.ignoredRevisions, []);
+      assert.strictEqual(applied.updatedRows, 1);
+    }
+  },
+  {
+    name: 'export document has the schema fields',
+    run() {
+      const doc = exportOf(EXPORT_RECORDS, {
+        poRevisions: [{ 'PO #': '300', 'STATUS': 'CANCELLED', 'SourceFile': 'c.pdf' }],
+        vendorLookup: { 'ST-1': { vend: 'V1', baseCost: 2, boxCase: '2', unitCase: '12' } },
+        run: { timestamp: '20270101_000000', folder: 'Beals', retailer: 'beals', vendorFile: 'v.csv', files: EXPORT_SOURCES }
+      });
+
+      assert.strictEqual(doc.schema, POExport.EXPORT_SCHEMA);
+      assert.strictEqual(doc.schemaVersion, POExport.EXPORT_SCHEMA_VERSION);
+      assert.deepStrictEqual(Object.keys(doc.run), ['generatedAt', 'timestamp', 'folder', 'fileCount', 'retailer', 'vendorFile', 'files']);
+      assert.strictEqual(doc.run.fileCount, 2);
+      assert.deepStrictEqual(doc.run.files[1], { name: 'b.pdf', pageCount: 2, status: 'ok', message: null });
+
+      assert.deepStrictEqual(doc.poHeaders.map(po => Object.keys(po)), doc.poHeaders.map(() => [...converter.PO_HEADER_FIELDS, 'Lines', 'Units']));
+      assert.deepStrictEqual(doc.poHeaders.map(po => [po['PO #'], po['ORDER DATE'], po['TOTAL COST'], po['Lines'], po['Units']]), [
+        ['100', '2027-01-02', 75, 1, 12],
+        ['200', 'not a date', null, 1, 12],
+        ['300', null, null, 0, 0]
+      ]);
+
+      assert.deepStrictEqual(Object.keys(doc.lineItems[0]), [...converter.LINE_ITEM_FIELDS, 'vendor']);
+      assert.deepStrictEqual(doc.lineItems.map(item => [item['SKU'], item['Cost/Unit'], item['Qty'], item['UPC'], item.vendor]), [
+        ['111', 2.5, 12, '012345678905', { vend: 'V1', baseCost: 2, boxCase: '2', unitCase: '12' }],
+        ['222', 2.5, 12, null, null]
+      ]);
+    }
+  },
+  {
+    name: 'export CSV quotes commas, quotes and blanks',
+    run() {
+      const csv = POExport.exportToCsv(exportOf(EXPORT_RECORDS, { run: { files: [{ name: 'a, b.pdf', status: 'error', message: ' no text ' }] } }));
+      assert.deepStrictEqual(Object.keys(csv), Object.keys(POExport.EXPORT_CSV_FILES));
+
+      const lineRows = csv.lineItems.split('\r\n');
+      assert.strictEqual(lineRows.length, EXPORT_RECORDS.length + 2, 'a row per line item, a header and a final line break');
+      assert.strictEqual(lineRows[0], [...converter.LINE_ITEM_FIELDS, ...converter.VENDOR_FIELDS.map(field => `vendor.${field}`)].join(','));
+      assert.ok(lineRows[1].includes(',"TEE, ""V"" NECK",'), lineRows[1]);
+      assert.ok(lineRows[2].endsWith(',,,,'), 'no vendor data gives empty vendor columns');
+
+      assert.strictEqual(csv.poHeaders.split('\r\n')[0], [...converter.PO_HEADER_FIELDS, 'Lines', 'Units'].join(','));
+      assert.strictEqual(csv.files, 'name,pageCount,status,message\r\n"a, b.pdf",,error," no text "\r\n');
+    }
+  },
+  {
+    name: 'export round trip through the customer workbook',
+    async run() {
+      const buffer = await converter.writeWorkbook(converter.buildCustomerWorkbook(EXPORT_RECORDS, { sources: EXPORT_SOURCES }));
+      const readBack = await POExport.readWorkbookRecords(buffer);
+
+      assert.deepStrictEqual(readBack.files, EXPORT_SOURCES);
+      assert.deepStrictEqual(
+        exportOf(readBack.records, { run: { files: readBack.files } }),
+        exportOf(EXPORT_RECORDS, { run: { files: EXPORT_SOURCES } })
+      );
+    }
+  }
+];
+
+/**
+ * A workbook's Conflicts rows as [value, PO #, used] and PO Data rows as
+ * [cost, PO# 100 qty, PO# 200 qty]
+ */
+function conflictSheets(workbook) {
+  return {
+    conflicts: readRows(workbook.getWorksheet('Conflicts'), 'SKU').map(row => [row['VALUE'], row['PO #'], row['USED']]),
+    poData: readRows(workbook.getWorksheet('PO Data'), 'SKU #').map(row => [row['COST / UNIT'], row['PO# 100'], row['PO# 200']])
+  };
+}
+
+// SKU 111 at $2.50 on PO 100 and at $3.00 on the later PO 200
+const CONFLICT_RECORDS = [
+  record(),
+  record({ 'PO #': '200', 'ORDER DATE': '03/01/2027', 'Cost/Unit': '$3.00', 'SourceFile': 'b.pdf' })
+];
+
+/**
+ * The export of the given records with a fixed generatedAt
+ */
+function exportOf(records, options) {
+  const doc = POExport.buildExport(records, options);
+  doc.run.generatedAt = '2027-01-01T00:00:00.000Z';
+  return doc;
+}
+
+const EXPORT_RECORDS = [
+  record({ 'Description': 'TEE, "V" NECK', 'TOTAL COST': '75.00' }),
+  record({ 'PO #': '200', 'ORDER DATE': 'not a date', 'SKU': '222', 'MFG Style': 'ST-2', 'Description': 'TANK', 'UPC': '', 'SourceFile': 'b.pdf' })
+];
+
+const EXPORT_SOURCES = [
+  { name: 'a.pdf', pageCount: 1, status: 'ok', message: '' },
+  { name: 'b.pdf', pageCount: 2, status: 'ok', message: '' }
+];
+
+async function main() {
+  const filters = process.argv.slice(2);
+  const checks = CHECKS.filter(check => filters.length === 0 || filters.some(text => check.name.includes(text)));
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.run();
+      console.log(`✓ ${check.name}`);
+    } catch (err) {
+      failed++;
+      console.log(`✗ ${check.name}\n    ${(err.stack || String(err)).split('\n').join('\n    ')}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failed} passed, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();